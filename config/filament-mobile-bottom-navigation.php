@@ -0,0 +1,309 @@
+<?php
+
+// config for Jenilutfifauzi/FilamentMobileBottomNavigation
+return [
+
+    /*
+    |--------------------------------------------------------------------------
+    | Maximum Tabs
+    |--------------------------------------------------------------------------
+    |
+    | Number of tabs the bar shows. Past it, the last tab becomes "More" and
+    | opens a bottom sheet listing the remaining items, grouped by their
+    | navigation group, so every tab keeps a 44px touch target. Set it to 0
+    | to show every item. Override it per panel with ->maxItems().
+    |
+    */
+
+    'max_items' => 5,
+
+    /*
+    |--------------------------------------------------------------------------
+    | Breakpoint
+    |--------------------------------------------------------------------------
+    |
+    | Viewport width in pixels from which the panel's sidebar is used and the
+    | bar hides. Below it the bar is shown and the page gets bottom padding
+    | for it. Override it per panel with ->breakpoint().
+    |
+    */
+
+    'breakpoint' => 768,
+
+    /*
+    |--------------------------------------------------------------------------
+    | Group Tabs
+    |--------------------------------------------------------------------------
+    |
+    | Show each labeled navigation group as one tab, with the group's icon
+    | (or its first item's) and label. Tapping it opens a sheet with the
+    | group's items; the tab is active when one of them is. Ungrouped items
+    | stay tabs of their own. Override it per panel with ->groupTabs().
+    |
+    */
+
+    'group_tabs' => false,
+
+    /*
+    |--------------------------------------------------------------------------
+    | Center Action Button
+    |--------------------------------------------------------------------------
+    |
+    | A raised button in the center of the bar for the panel's main action.
+    | It takes one of the `max_items` slots and needs exactly one target:
+    |
+    |   'url'    => '/admin/orders/create',  // Link, opened with wire:navigate
+    |   'action' => 'create',                // Filament action of the page
+    |   'event'  => 'open-scanner',          // Livewire event
+    |
+    | `params` are passed to the action or event. `label` is read by screen
+    | readers; `icon` defaults to heroicon-o-plus. Pages can replace it with
+    | the `fmbn:set-fab` browser event. Override it per panel with ->fab().
+    |
+    | Example: ['label' => 'New order', 'url' => '/admin/orders/create']
+    |
+    */
+
+    'fab' => null,
+
+    /*
+    |--------------------------------------------------------------------------
+    | Quick Actions
+    |--------------------------------------------------------------------------
+    |
+    | Menus of shortcuts opened by holding a tab for `long_press_delay`
+    | milliseconds, a right click, the context menu key or Shift+F10. They
+    | are indexed by item key (the resource or page slug) and take the same
+    | targets as the center action button, plus a required `label`. Override
+    | them per panel with ->quickActions().
+    |
+    | Example:
+    |   'orders' => [
+    |       ['label' => 'New order', 'icon' => 'heroicon-o-plus', 'url' => '/admin/orders/create'],
+    |       ['label' => 'Export', 'action' => 'export'],
+    |   ],
+    |
+    */
+
+    'quick_actions' => [],
+
+    'long_press_delay' => 500,
+
+    /*
+    |--------------------------------------------------------------------------
+    | Keyboard Navigation
+    |--------------------------------------------------------------------------
+    |
+    | Defaults for every panel. Override them per panel through the plugin
+    | (FilamentMobileBottomNavigationPlugin::make()->rovingTabindex()) or per
+    | nav element with data-fmbn-* attributes.
+    |
+    | roving_tabindex: keep a single Tab stop for the whole bar
+    | wrap_around:     arrow keys wrap from the last item to the first
+    | typeahead:       typing letters focuses the item with a matching label
+    |
+    */
+
+    'roving_tabindex' => false,
+
+    'wrap_around' => true,
+
+    'typeahead' => true,
+
+    /*
+    |--------------------------------------------------------------------------
+    | Keyboard Hotkeys
+    |--------------------------------------------------------------------------
+    |
+    | Global shortcuts for keyboard users. Each entry in `items` activates the
+    | navigation item at the same position, and `focus` moves focus into the
+    | bar. Hotkeys are ignored while typing in form fields, contenteditable
+    | regions, or when a Filament modal is open.
+    |
+    */
+
+    'hotkeys' => [
+        'enabled' => false,
+        'items' => ['Alt+1', 'Alt+2', 'Alt+3', 'Alt+4', 'Alt+5', 'Alt+6', 'Alt+7', 'Alt+8', 'Alt+9'],
+        'focus' => 'Alt+0',
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Active Item Sync
+    |--------------------------------------------------------------------------
+    |
+    | Recompute the highlighted item from the URL after wire:navigate and
+    | browser back/forward, so a persisted bar never shows a stale tab.
+    | Resource items stay active on their child pages (create, edit, ...);
+    | other items only match their exact URL.
+    |
+    */
+
+    'active_sync' => true,
+
+    /*
+    |--------------------------------------------------------------------------
+    | Screen Reader Announcements
+    |--------------------------------------------------------------------------
+    |
+    | After navigating from the bar, announce the new page through a polite
+    | live region, e.g. "Orders, page loaded". `:title` is replaced with the
+    | page heading. Leave `template` null to use the translation
+    | (mobile-bottom-navigation.announcements.page_loaded). Of several
+    | announcements within `throttle` milliseconds only the last one is read,
+    | and the same text is not repeated within that window.
+    |
+    */
+
+    'announcements' => [
+        'enabled' => true,
+        'template' => null,
+        'throttle' => 1000,
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Focus Management
+    |--------------------------------------------------------------------------
+    |
+    | After keyboard navigation from the bar, move focus to the new page so
+    | keyboard and switch users do not have to walk back up from the bottom.
+    | The first visible element matching one of the `targets` selectors gets
+    | focus. Navigation by mouse or touch always leaves focus in place.
+    |
+    */
+
+    'focus_main_content' => [
+        'enabled' => false,
+        'targets' => ['.fi-header-heading', 'main h1', 'h1', 'main'],
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Badge Polling
+    |--------------------------------------------------------------------------
+    |
+    | Refresh badges in the background. `items` maps item keys (the resource
+    | or page slug, e.g. `orders`) to a JSON endpoint, or to an array with
+    | `url` and its own `interval`. Endpoints answer with the value or with
+    | {"value": 12, "color": "danger"}. Times are in milliseconds.
+    |
+    | Polling pauses while the page is hidden and resumes right away when it
+    | comes back. Failed requests back off up to `backoff` milliseconds.
+    |
+    */
+
+    'badge_polling' => [
+        'enabled' => false,
+        'interval' => 30000,
+        'backoff' => 300000,
+        'items' => [],
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Cross-Tab Sync
+    |--------------------------------------------------------------------------
+    |
+    | Share badge values and user nav preferences with the other open tabs of
+    | the same panel (BroadcastChannel, or storage events where it is not
+    | supported). Panels never see each other's messages.
+    |
+    */
+
+    'cross_tab_sync' => true,
+
+    /*
+    |--------------------------------------------------------------------------
+    | Badge Display
+    |--------------------------------------------------------------------------
+    |
+    | max:         counts above it show as "99+" (null for no cap)
+    | compact:     format large counts per locale, e.g. "1.2K" or "1,2 Mio."
+    | dot:         show a dot instead of the count
+    | description: accessible text per plural category (one, other, ...);
+    |              null uses the translation (mobile-bottom-navigation.badges.description)
+    |
+    | Screen readers hear the description once, together with the item
+    | ("Orders, 12 notifications"), never the raw badge text.
+    |
+    */
+
+    'badges' => [
+        'max' => 99,
+        'compact' => true,
+        'dot' => false,
+        'description' => null,
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Hide On Scroll
+    |--------------------------------------------------------------------------
+    |
+    | Slide the bar out when scrolling down and back in when scrolling up,
+    | once a scroll covers `threshold` pixels or is faster than `velocity`
+    | pixels per millisecond. The bar is always shown at the top of the page,
+    | within `bottom` pixels of the bottom and while an item has focus.
+    |
+    | The body padding stays reserved, so content never jumps.
+    |
+    */
+
+    'hide_on_scroll' => [
+        'enabled' => false,
+        'threshold' => 48,
+        'velocity' => 0.5,
+        'bottom' => 80,
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Hide With Keyboard
+    |--------------------------------------------------------------------------
+    |
+    | Hide the bar while the on-screen keyboard is open, so it does not cover
+    | the field being edited. The nav gets a `data-fmbn-keyboard-open`
+    | attribute meanwhile, and comes back when focus leaves the text fields.
+    |
+    */
+
+    'hide_with_keyboard' => true,
+
+    /*
+    |--------------------------------------------------------------------------
+    | Swipe Navigation
+    |--------------------------------------------------------------------------
+    |
+    | Swipe horizontally on the page content to move to the neighboring tab,
+    | once a swipe covers `distance` pixels or is faster than `velocity`
+    | pixels per millisecond. Vertical scrolls, horizontally scrollable
+    | regions (tables) and elements under [data-fmbn-no-swipe] are left alone.
+    |
+    */
+
+    'swipe_navigation' => [
+        'enabled' => false,
+        'distance' => 80,
+        'velocity' => 0.5,
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Active Indicator
+    |--------------------------------------------------------------------------
+    |
+    | Mark the active tab with an element that slides between tabs instead of
+    | the tab's own border and background. `style` is 'pill' (background
+    | behind the tab), 'underline' or 'top-bar' (along the top edge of the
+    | bar). It jumps instead of sliding under prefers-reduced-motion.
+    |
+    */
+
+    'active_indicator' => [
+        'enabled' => false,
+        'style' => 'pill',
+    ],
+
+];
@@ -1,6 +0,0 @@
-<?php
-
-// config for Jenilutfifauzi/FilamentMobileBottomNavigation
-return [
-
-];
@@ -1 +1 @@
-var r=class{constructor(e=null){this.nav=e||document.querySelector(".fmbn-bottom-nav"),this.nav&&(this.items=Array.from(this.nav.querySelectorAll(".fmbn-nav-item")),this.currentIndex=-1,this.bindEvents())}bindEvents(){this.nav.addEventListener("keydown",e=>this.handleKeydown(e),!0),this.items.forEach((e,n)=>{e.addEventListener("focus",()=>{this.currentIndex=n})})}handleKeydown(e){let{key:n}=e;if(!this.isNavigationKey(n)||this.currentIndex===-1)return;let t=this.currentIndex;switch(n){case"ArrowLeft":t=this.getLeftIndex(),e.preventDefault();break;case"ArrowRight":t=this.getRightIndex(),e.preventDefault();break;case"Home":t=0,e.preventDefault();break;case"End":t=this.items.length-1,e.preventDefault();break;default:return}t!==this.currentIndex&&this.focusItem(t)}isNavigationKey(e){return["ArrowLeft","ArrowRight","Home","End"].includes(e)}getLeftIndex(){return this.currentIndex>0?this.currentIndex-1:this.items.length-1}getRightIndex(){return this.currentIndex<this.items.length-1?this.currentIndex+1:0}focusItem(e){e>=0&&e<this.items.length&&(this.items[e].focus(),this.currentIndex=e)}};document.readyState==="loading"?document.addEventListener("DOMContentLoaded",()=>{new r}):new r;if(typeof MutationObserver<"u"){let s=new MutationObserver(e=>{e.forEach(n=>{n.addedNodes.length>0&&n.addedNodes.forEach(t=>{t.classList&&t.classList.contains("fmbn-bottom-nav")&&new r(t)})})});document.body&&s.observe(document.body,{childList:!0,subtree:!0})}var i=r;export{i as MobileBottomNavigationKeyboard};
+var Mt="position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0;",L=class{constructor(){this.region=null,this.lastMessage="",this.lastAnnouncedAt=-1/0,this.queuedMessage=null,this.throttleTimer=null,this.writeTimer=null}announce(t,e=0){let i=String(t).trim();if(!i)return;if(this.throttleTimer){this.queuedMessage=i;return}let n=Date.now()-this.lastAnnouncedAt;if(n<e){if(i===this.lastMessage)return;this.queuedMessage=i,this.throttleTimer=setTimeout(()=>this.flush(),e-n);return}this.write(i)}flush(){let t=this.queuedMessage;this.throttleTimer=null,this.queuedMessage=null,t&&t!==this.lastMessage&&this.write(t)}write(t){let e=this.ensureRegion();e&&(this.lastMessage=t,this.lastAnnouncedAt=Date.now(),e.textContent="",clearTimeout(this.writeTimer),this.writeTimer=setTimeout(()=>{e.textContent=t},100))}ensureRegion(){return document.body?(this.region||(this.region=document.createElement("div"),this.region.setAttribute("role","status"),this.region.setAttribute("aria-live","polite"),this.region.setAttribute("aria-atomic","true"),this.region.setAttribute("data-fmbn-live-region",""),this.region.setAttribute("style",Mt)),this.region.parentNode!==document.body&&document.body.appendChild(this.region),this.region):null}reset(){clearTimeout(this.throttleTimer),clearTimeout(this.writeTimer),this.region&&this.region.remove(),this.region=null,this.lastMessage="",this.lastAnnouncedAt=-1/0,this.queuedMessage=null,this.throttleTimer=null,this.writeTimer=null}},v=new L;var c={breakpoint:768,rovingTabindex:!1,wrapAround:!0,typeahead:!0,hotkeys:{enabled:!1,items:["Alt+1","Alt+2","Alt+3","Alt+4","Alt+5","Alt+6","Alt+7","Alt+8","Alt+9"],focus:"Alt+0"},activeSync:!0,announcements:{enabled:!0,template:":title, page loaded",throttle:1e3},focusMainContent:{enabled:!1,targets:[".fi-header-heading","main h1","h1","main"]},badgePolling:{enabled:!1,interval:3e4,backoff:3e5,items:{}},crossTabSync:!0,badges:{max:99,compact:!0,dot:!1,description:{one:":count notification",other:":count notifications"}},hideOnScroll:{enabled:!1,threshold:48,velocity:.5,bottom:80},hideWithKeyboard:!0,activeIndicator:{enabled:!1,style:"pill"},longPressDelay:500,swipeNavigation:{enabled:!1,distance:80,velocity:.5}},Kt=["panel","keyboardOpen"],X=new Set,C=s=>{X.has(s)||(X.add(s),console.warn(`[filament-mobile-bottom-navigation] ${s}`))},w=s=>s===null?"null":Array.isArray(s)?"array":typeof s,G=s=>w(s)==="object",_=(s,t)=>{let e={};return Object.entries(s||{}).forEach(([i,n])=>{if(!(i in c)){C(`Unknown option "${i}" in ${t}.`);return}let r=w(c[i]),o=w(n);if(o!==r){C(`Option "${i}" in ${t} should be of type ${r}, got ${o}.`);return}if(r==="number"&&!Number.isFinite(n)){C(`Option "${i}" in ${t} should be a finite number, got ${n}.`);return}e[i]=n}),e},Ft=(s,t)=>{switch(t){case"boolean":return s!=="false";case"number":return s.trim()===""?NaN:Number(s);case"object":try{return JSON.parse(s)}catch{return s}default:return s}},Rt=()=>typeof window<"u"&&window.filamentData?.filamentMobileBottomNavigation||{},z=s=>{let{defaults:t={},panels:e={}}=Rt();return s&&e[s]||t},Bt=s=>{let t={};return Object.entries(s.dataset).forEach(([e,i])=>{if(!e.startsWith("fmbn")||e.length<=4)return;let n=e.charAt(4).toLowerCase()+e.slice(5);Kt.includes(n)||(t[n]=n in c?Ft(i,w(c[n])):i)}),_(t,"data-fmbn-* attributes")},qt=(...s)=>s.reduce((t,e)=>(Object.entries(e).forEach(([i,n])=>{t[i]=G(n)&&G(t[i])?{...t[i],...n}:n}),t),{}),N=(s,t={})=>qt(c,_(z(s.dataset.fmbnPanel),"panel settings"),Bt(s),_(t,"JavaScript options"));var Ht='a[href], button:not([disabled]), input:not([disabled]), [tabindex]:not([tabindex="-1"])',f=s=>{let t=s.getAttribute("aria-controls");return t?document.getElementById(t):null},m=s=>Array.from(s.querySelectorAll("[data-fmbn-sheet-toggle]")).flatMap(t=>{let e=f(t);return e?Array.from(e.querySelectorAll(".fmbn-sheet__item")):[]}),J=s=>{let t=s.closest("[data-fmbn-sheet]");if(!t||!t.id)return null;let e=document.querySelector(`[data-fmbn-sheet-toggle][aria-controls="${t.id}"]`);return e?e.closest(".fmbn-bottom-nav"):null},k=class{constructor(t,e,i=()=>{}){this.toggle=t,this.sheet=e,this.panel=e.querySelector(".fmbn-sheet__panel")||e,this.onChange=i,this.abortController=new AbortController,this.isOpen=!1,this.swipe=null,this.previousOverflow="";let{signal:n}=this.abortController;this.toggle.addEventListener("click",()=>this.isOpen?this.close():this.open(),{signal:n}),this.sheet.addEventListener("keydown",o=>this.handleKeydown(o),{signal:n}),this.sheet.addEventListener("click",o=>{o.target.closest("[data-fmbn-sheet-close]")?this.close():o.target.closest(".fmbn-sheet__item")&&this.close({restoreFocus:!1})},{signal:n});let r=this.sheet.querySelector(".fmbn-sheet__header");r&&(r.addEventListener("pointerdown",o=>this.startSwipe(o),{signal:n}),r.addEventListener("pointermove",o=>this.moveSwipe(o),{signal:n}),r.addEventListener("pointerup",o=>this.endSwipe(o),{signal:n}),r.addEventListener("pointercancel",()=>this.cancelSwipe(),{signal:n}))}open(){if(this.isOpen)return;this.isOpen=!0,this.sheet.hidden=!1,this.toggle.setAttribute("aria-expanded","true"),this.previousOverflow=document.documentElement.style.overflow,document.documentElement.style.overflow="hidden";let t=this.sheet.querySelector('.fmbn-sheet__item[aria-current="page"]')||this.sheet.querySelector(".fmbn-sheet__item")||this.getFocusableElements()[0];t&&t.focus(),this.onChange(!0)}close({restoreFocus:t=!0}={}){this.isOpen&&(this.isOpen=!1,this.cancelSwipe(),this.sheet.hidden=!0,this.toggle.setAttribute("aria-expanded","false"),document.documentElement.style.overflow=this.previousOverflow,t&&this.toggle.focus(),this.onChange(!1))}getFocusableElements(){return Array.from(this.sheet.querySelectorAll(Ht)).filter(t=>t.getClientRects().length>0||t===document.activeElement)}handleKeydown(t){if(t.key==="Escape"){t.preventDefault(),t.stopPropagation(),this.close();return}if(["ArrowDown","ArrowUp","Home","End"].includes(t.key)){this.moveFocus(t);return}if(t.key!=="Tab")return;let e=this.getFocusableElements();if(e.length===0){t.preventDefault();return}let i=e[0],n=e[e.length-1];t.shiftKey&&document.activeElement===i?(t.preventDefault(),n.focus()):!t.shiftKey&&document.activeElement===n&&(t.preventDefault(),i.focus())}moveFocus(t){if(t.altKey||t.ctrlKey||t.metaKey||t.shiftKey)return;let e=this.getFocusableElements().filter(r=>r.matches(".fmbn-sheet__item"));if(e.length===0)return;let i=e.indexOf(document.activeElement),n;switch(t.key){case"Home":n=0;break;case"End":n=e.length-1;break;case"ArrowDown":n=i===-1?0:(i+1)%e.length;break;default:n=i===-1?e.length-1:(i-1+e.length)%e.length}t.preventDefault(),e[n].focus()}startSwipe(t){!t.isPrimary||t.button!==0||t.target.closest("button")||(this.swipe={startY:t.clientY,startTime:performance.now(),distance:0},t.currentTarget.setPointerCapture?.(t.pointerId))}moveSwipe(t){this.swipe&&(this.swipe.distance=Math.max(t.clientY-this.swipe.startY,0),this.panel.style.transform=`translateY(${this.swipe.distance}px)`)}endSwipe(t){if(!this.swipe)return;let e=Math.max(t.clientY-this.swipe.startY,0),i=e/Math.max(performance.now()-this.swipe.startTime,1);this.cancelSwipe(),(e>=80||e>=80/4&&i>=.5)&&this.close()}cancelSwipe(){this.swipe=null,this.panel.style.transform=""}destroy(){this.close({restoreFocus:!1}),this.abortController.abort()}},Q=k;var $t="position: absolute; top: -4px; inset-inline-end: -4px; white-space: nowrap;",E="fmbn-nav-item__badge--",tt="fmbn-nav-item__badge--dot",et=new WeakMap,Ut=0,it=s=>s.startsWith(E)&&s!==tt,Yt=s=>s==null||s===!1||s===""||s===0||s==="0",Wt=s=>{let t=typeof CSS<"u"&&CSS.escape?CSS.escape(s):String(s).replace(/"/g,'\\"');return Array.from(document.querySelectorAll(`.fmbn-bottom-nav .fmbn-nav-item[data-fmbn-key="${t}"], [data-fmbn-sheet] .fmbn-sheet__item[data-fmbn-key="${t}"]`))},st=s=>s.closest(".fmbn-bottom-nav")||J(s),O=s=>s.querySelector(".fmbn-nav-item__badge"),Vt=s=>{let t=Array.from(s.classList).find(it);return t?t.slice(E.length):null},jt=(s,t)=>{Array.from(s.classList).filter(it).forEach(e=>s.classList.remove(e)),t&&s.classList.add(`${E}${t}`)},D=s=>s.dataset.fmbnBadgeValue??s.textContent.trim(),Xt=s=>et.get(st(s))||c.badges,Gt=s=>s.closest("[lang]")?.getAttribute("lang")||navigator.language||"en",nt=s=>/^\d+$/.test(s)?Number(s):null,zt=(s,t,e)=>{let i=nt(s);if(i===null)return s;if(t.max&&i>t.max)return`${new Intl.NumberFormat(e).format(t.max)}+`;let n=t.compact?{notation:"compact",maximumFractionDigits:1}:{};return new Intl.NumberFormat(e,n).format(i)},Jt=(s,t,e)=>{let i=nt(s),n=t.description||{};return i===null||!n.other?s:(n[new Intl.PluralRules(e).select(i)]||n.other).replace(/:count/g,new Intl.NumberFormat(e).format(i))},Z=(s,t,e)=>{let i=(s.getAttribute("aria-describedby")||"").split(/\s+/).filter(n=>n&&n!==t);e&&i.push(t),i.length>0?s.setAttribute("aria-describedby",i.join(" ")):s.removeAttribute("aria-describedby")},rt=(s,t)=>{let e=s.querySelector("[data-fmbn-badge-description]");if(t===null){e&&(Z(s,e.id,!1),e.remove());return}e||(e=document.createElement("span"),e.id=`fmbn-badge-description-${++Ut}`,e.hidden=!0,e.setAttribute("data-fmbn-badge-description",""),s.appendChild(e)),e.textContent=t,Z(s,e.id,!0)},ot=(s,t,e)=>{let i=Xt(s),n=Gt(s);t.dataset.fmbnBadgeValue=e,t.classList.toggle(tt,!!i.dot),t.textContent=i.dot?"":zt(e,i,n),t.setAttribute("aria-hidden","true"),rt(s,Jt(e,i,n))},P=(s,t)=>{et.set(s,t),[...s.querySelectorAll(".fmbn-nav-item"),...m(s)].forEach(e=>{let i=O(e);i&&ot(e,i,D(i))})},Qt=(s,t,e)=>{let i=O(s);if(Yt(t))return i?(i.remove(),rt(s,null),!0):!1;let n=String(t).trim(),r=e?`${E}${e}`:null;if(i&&D(i)===n&&(e===void 0||i.classList.contains(r)))return!1;if(!i){let o=s.querySelector(".fmbn-nav-item__icon");if(!o)return!1;i=document.createElement("span"),i.className="fmbn-nav-item__badge",i.setAttribute("style",$t),o.appendChild(i)}return ot(s,i,n),e!==void 0&&jt(i,e),!0},M=(s,t,e)=>{let i=Wt(s);return i.forEach(n=>p(n,t,e)),i.length>0},p=(s,t,e)=>{if(!Qt(s,t,e))return!1;let i=O(s),n=st(s)||s;return h(n,"badge-change",{key:s.dataset.fmbnKey||null,value:i?D(i):null,color:i?Vt(i):null,item:s}),!0};window.addEventListener("fmbn:set-badge",s=>{let{key:t,value:e=null,color:i}=s.detail||{};t&&M(String(t),e,i)});var Zt=1e3,te=250,b=()=>document.visibilityState==="hidden",ee=(...s)=>{let t=s.map(Number).find(e=>Number.isFinite(e)&&e>0);return Math.max(t??c.badgePolling.interval,Zt)},K=class{constructor(t,e){this.options=e,this.abortController=new AbortController,this.targets=this.resolveTargets(t);let{signal:i}=this.abortController;document.addEventListener("visibilitychange",()=>this.handleVisibilityChange(),{signal:i}),window.addEventListener("focus",()=>this.resume(),{signal:i}),b()||this.targets.forEach(n=>this.schedule(n,n.interval))}resolveTargets(t){let e=this.options.items||{};return t.map(i=>{let n=e[i.dataset.fmbnKey]||{};typeof n=="string"&&(n={url:n});let r=i.dataset.fmbnBadgeUrl||n.url;if(!r)return null;let o=ee(i.dataset.fmbnBadgeInterval,n.interval,this.options.interval);return{item:i,url:r,interval:o,delay:o,timer:null,fetching:!1,lastPolledAt:Date.now()}}).filter(Boolean)}schedule(t,e){clearTimeout(t.timer),t.timer=setTimeout(()=>this.poll(t),e)}async poll(t){if(clearTimeout(t.timer),t.timer=null,!(b()||t.fetching)){t.fetching=!0,t.lastPolledAt=Date.now();try{let e=await fetch(t.url,{headers:{Accept:"application/json","X-Requested-With":"XMLHttpRequest"},credentials:"same-origin",signal:this.abortController.signal});if(!e.ok)throw new Error(`Badge endpoint ${t.url} answered ${e.status}`);let i=await e.json(),n=i!==null&&typeof i=="object";p(t.item,n?i.value:i,n?i.color:void 0),t.delay=t.interval}catch{if(this.abortController.signal.aborted)return;t.delay=Math.min(t.delay*2,Math.max(this.options.backoff,t.interval))}finally{t.fetching=!1}b()||this.schedule(t,t.delay)}}handleVisibilityChange(){b()?this.pause():this.resume()}pause(){this.targets.forEach(t=>{clearTimeout(t.timer),t.timer=null})}resume(){b()||this.targets.forEach(t=>{if(t.fetching)return;let e=Date.now()-t.lastPolledAt,i=t.delay>t.interval?t.delay:te;if(e<i){t.timer||this.schedule(t,t.delay-e);return}clearTimeout(t.timer),this.poll(t)})}destroy(){this.pause(),this.abortController.abort(),this.targets=[]}},at=K;var lt="fmbn-bottom-nav--hidden";var F=class{constructor(t,e,i=()=>{}){this.nav=t,this.options=e,this.onChange=i,this.abortController=new AbortController,this.frame=null,this.hidden=!1,this.lastY=window.scrollY,this.lastTime=performance.now(),this.direction=0,this.distance=0;let{signal:n}=this.abortController;window.addEventListener("scroll",()=>this.scheduleUpdate(),{passive:!0,signal:n}),this.nav.addEventListener("focusin",()=>this.show(),{signal:n})}scheduleUpdate(){this.frame===null&&(this.frame=requestAnimationFrame(()=>{this.frame=null,this.update()}))}update(){let t=window.scrollY,e=performance.now(),i=t-this.lastY,n=e-this.lastTime,r=Math.sign(i);if(this.lastY=t,this.lastTime=e,r===0)return;if((r!==this.direction||n>150)&&(this.direction=r,this.distance=0),this.distance+=Math.abs(i),this.isNearEdge(t)){this.show();return}let o=n>0?Math.abs(i)/n:0;this.distance<this.options.threshold&&o<this.options.velocity||(r>0?this.hide():this.show())}isNearEdge(t){let e=document.documentElement.scrollHeight-window.innerHeight;return t<=this.nav.offsetHeight||t>=e-this.options.bottom}hide(){this.hidden||this.nav.contains(document.activeElement)||this.setHidden(!0)}show(){this.hidden&&this.setHidden(!1)}setHidden(t){this.hidden=t,this.nav.classList.toggle(lt,t),this.onChange(t)}destroy(){this.abortController.abort(),this.frame!==null&&(cancelAnimationFrame(this.frame),this.frame=null),this.hidden&&(this.hidden=!1,this.nav.classList.remove(lt))}},ct=F;var ie=["text","search","email","number","password","tel","url"],ht=s=>!s||s.nodeType!==Node.ELEMENT_NODE?!1:s.isContentEditable||s.matches("textarea")?!0:s.matches("input")&&ie.includes(s.type)&&!s.readOnly,R=class{constructor(t,e=()=>{}){this.nav=t,this.onChange=e,this.abortController=new AbortController,this.open=!1,this.layoutHeight=window.innerHeight,this.layoutWidth=window.innerWidth;let{signal:i}=this.abortController,n=navigator.virtualKeyboard;n&&n.overlaysContent?n.addEventListener("geometrychange",()=>this.update(),{signal:i}):window.visualViewport&&window.visualViewport.addEventListener("resize",()=>this.update(),{signal:i}),document.addEventListener("focusin",()=>this.update(),{signal:i}),document.addEventListener("focusout",r=>this.handleFocusOut(r),{signal:i}),this.update()}handleFocusOut(t){ht(t.relatedTarget)||this.setOpen(!1)}update(){this.setOpen(ht(document.activeElement)&&this.getKeyboardHeight()>=150)}getKeyboardHeight(){let t=navigator.virtualKeyboard;if(t&&t.overlaysContent)return t.boundingRect.height;let e=window.visualViewport;return e?(window.innerWidth!==this.layoutWidth?(this.layoutWidth=window.innerWidth,this.layoutHeight=window.innerHeight):this.layoutHeight=Math.max(this.layoutHeight,window.innerHeight),this.layoutHeight-e.height*e.scale):0}setOpen(t){t!==this.open&&(this.open=t,this.nav.toggleAttribute("data-fmbn-keyboard-open",t),this.onChange(t))}destroy(){this.abortController.abort(),this.open=!1,this.nav.removeAttribute("data-fmbn-keyboard-open")}},dt=R;var B=["data-fmbn-action","data-fmbn-event","data-fmbn-params"],se=s=>{if(!s)return{};try{return JSON.parse(s)||{}}catch{return{}}},ne=()=>{let s=document.querySelector(".fi-page")?.closest("[wire\\:id]");return!s||!window.Livewire?null:window.Livewire.find(s.getAttribute("wire:id"))||null},ut=(s,{action:t,event:e,params:i})=>{B.forEach(n=>s.removeAttribute(n)),s.setAttribute(t?"data-fmbn-action":"data-fmbn-event",t||e),i&&Object.keys(i).length>0&&s.setAttribute("data-fmbn-params",JSON.stringify(i))},A=s=>{let{fmbnAction:t,fmbnEvent:e}=s.dataset,i=se(s.dataset.fmbnParams);if(t){let n=ne();return n?(n.mountAction(t,i),!0):(console.warn(`[filament-mobile-bottom-navigation] No page component to mount the action "${t}".`),!1)}return e?(window.Livewire?window.Livewire.dispatch(e,i):window.dispatchEvent(new CustomEvent(e,{detail:i})),!0):!1};var re=10,x=8,ft=s=>{let t=s.getAttribute("data-fmbn-quick-actions");return t?document.getElementById(t):null},q=class{constructor(t,e,{delay:i},n=()=>{}){this.item=t,this.menu=e,this.delay=i,this.onChange=n,this.abortController=new AbortController,this.isOpen=!1,this.press=null,this.timer=null,this.suppressActivation=!1;let{signal:r}=this.abortController;this.item.addEventListener("pointerdown",a=>this.startPress(a),{signal:r}),this.item.addEventListener("pointermove",a=>this.movePress(a),{signal:r}),["pointerup","pointercancel","pointerleave"].forEach(a=>this.item.addEventListener(a,()=>this.cancelPress(),{signal:r})),this.item.addEventListener("contextmenu",a=>this.handleContextMenu(a),{signal:r}),this.item.addEventListener("keydown",a=>this.handleItemKeydown(a),{signal:r});let o=this.item.parentElement||this.item;["mouseup","click"].forEach(a=>o.addEventListener(a,l=>this.stopActivation(l),{capture:!0,signal:r})),this.menu.addEventListener("keydown",a=>this.handleMenuKeydown(a),{signal:r}),this.menu.addEventListener("click",a=>this.handleMenuClick(a),{signal:r}),document.addEventListener("pointerdown",a=>{this.isOpen&&!this.menu.contains(a.target)&&!this.item.contains(a.target)&&this.close({restoreFocus:!1})},{capture:!0,signal:r}),window.addEventListener("resize",()=>this.close({restoreFocus:!1}),{signal:r})}startPress(t){!t.isPrimary||t.button!==0||this.isDisabled()||(this.cancelPress(),this.suppressActivation=!1,this.press={startX:t.clientX,startY:t.clientY},this.timer=setTimeout(()=>this.handleLongPress(),this.delay))}movePress(t){if(!this.press)return;Math.hypot(t.clientX-this.press.startX,t.clientY-this.press.startY)>re&&this.cancelPress()}cancelPress(){clearTimeout(this.timer),this.timer=null,this.press=null}handleLongPress(){this.cancelPress(),this.suppressActivation=!0,this.open()}handleContextMenu(t){t.preventDefault(),!this.isDisabled()&&(this.press&&(this.suppressActivation=!0),this.cancelPress(),this.open())}handleItemKeydown(t){t.key!=="F10"||!t.shiftKey||t.altKey||t.ctrlKey||t.metaKey||(t.preventDefault(),this.isDisabled()||this.open())}stopActivation(t){this.suppressActivation&&(t.preventDefault(),t.stopImmediatePropagation(),t.type==="click"&&(this.suppressActivation=!1))}open(){if(this.isOpen)return;this.isOpen=!0,this.menu.hidden=!1,this.position();let t=this.getEntries()[0];t&&t.focus(),this.onChange(!0)}close({restoreFocus:t=!0}={}){this.isOpen&&(this.isOpen=!1,this.menu.hidden=!0,t&&this.item.focus(),this.onChange(!1))}position(){let t=this.item.getBoundingClientRect(),e=this.menu.offsetWidth,i=Math.max(window.innerWidth-e-x,x),n=Math.min(Math.max(t.left+t.width/2-e/2,x),i);this.menu.style.left=`${n}px`,this.menu.style.bottom=`${window.innerHeight-t.top+x}px`}getEntries(){return Array.from(this.menu.querySelectorAll('[role="menuitem"]'))}handleMenuKeydown(t){if(t.key==="Escape"){t.preventDefault(),t.stopPropagation(),this.close();return}if(t.key==="Tab"){t.preventDefault(),this.close();return}if(!["ArrowDown","ArrowUp","Home","End"].includes(t.key)||t.altKey||t.ctrlKey||t.metaKey||t.shiftKey)return;let e=this.getEntries();if(e.length===0)return;let i=e.indexOf(document.activeElement),n;switch(t.key){case"Home":n=0;break;case"End":n=e.length-1;break;case"ArrowDown":n=i===-1?0:(i+1)%e.length;break;default:n=i===-1?e.length-1:(i-1+e.length)%e.length}t.preventDefault(),e[n].focus()}handleMenuClick(t){let e=t.target.closest('[role="menuitem"]');if(e){if(e.hasAttribute("href")){this.close({restoreFocus:!1});return}this.close(),A(e)}}isDisabled(){return this.item.getAttribute("aria-disabled")==="true"}destroy(){this.cancelPress(),this.close({restoreFocus:!1}),this.abortController.abort()}},mt=q;var oe=[".fmbn-bottom-nav","[data-fmbn-sheet]","[data-fmbn-menu]","[data-fmbn-no-swipe]",'[aria-modal="true"]',".fi-modal-window","input","textarea","select",'[contenteditable]:not([contenteditable="false"])','[draggable="true"]'].join(", "),ae=s=>s.scrollWidth<=s.clientWidth?!1:["auto","scroll"].includes(window.getComputedStyle(s).overflowX),le=s=>{if(!s||s.nodeType!==Node.ELEMENT_NODE||s.closest(oe))return!0;for(let t=s;t&&t!==document.documentElement;t=t.parentElement)if(ae(t))return!0;return!1},H=class{constructor(t,e,i){this.nav=t,this.options=e,this.onSwipe=i,this.abortController=new AbortController,this.gesture=null;let{signal:n}=this.abortController;document.addEventListener("pointerdown",r=>this.start(r),{passive:!0,signal:n}),document.addEventListener("pointermove",r=>this.move(r),{passive:!0,signal:n}),document.addEventListener("pointerup",r=>this.end(r),{passive:!0,signal:n}),document.addEventListener("pointercancel",()=>this.cancel(),{passive:!0,signal:n}),document.documentElement.setAttribute("data-fmbn-swipe","")}start(t){if(!t.isPrimary){this.cancel();return}t.pointerType==="mouse"||this.isBarHidden()||t.clientX<20||t.clientX>window.innerWidth-20||le(t.target)||(this.gesture={pointerId:t.pointerId,startX:t.clientX,startY:t.clientY,startTime:performance.now(),axis:null})}move(t){if(!this.gesture||t.pointerId!==this.gesture.pointerId||this.gesture.axis)return;let e=Math.abs(t.clientX-this.gesture.startX),i=Math.abs(t.clientY-this.gesture.startY);Math.max(e,i)<10||(i>=e?this.cancel():this.gesture.axis="x")}end(t){if(!this.gesture||t.pointerId!==this.gesture.pointerId)return;let{startX:e,startY:i,startTime:n,axis:r}=this.gesture;this.cancel();let o=t.clientX-e,a=Math.abs(o);if(r!=="x"||a<=Math.abs(t.clientY-i))return;let l=a/Math.max(performance.now()-n,1),{distance:y,velocity:Pt}=this.options;(a>=y||a>=y/4&&l>=Pt)&&this.onSwipe(Math.sign(o))}cancel(){this.gesture=null}isBarHidden(){return this.nav.getClientRects().length===0||window.getComputedStyle(this.nav).visibility==="hidden"}destroy(){this.abortController.abort(),this.cancel(),document.documentElement.removeAttribute("data-fmbn-swipe")}},pt=H;var $=["pill","underline","top-bar"],U=class{constructor(t,{style:e},i){this.nav=t,this.getActiveItem=i,this.observer=null,this.placed=!1,$.includes(e)||(console.warn(`[filament-mobile-bottom-navigation] Unknown active indicator style "${e}", expected one of ${$.join(", ")}.`),e=$[0]),this.element=document.createElement("span"),this.element.className=`fmbn-active-indicator fmbn-active-indicator--${e}`,this.element.setAttribute("aria-hidden","true"),this.element.hidden=!0,this.nav.classList.add("fmbn-bottom-nav--indicator"),this.nav.append(this.element),typeof ResizeObserver<"u"?this.observer=new ResizeObserver(()=>this.update({animate:!1})):(this.onResize=()=>this.update({animate:!1}),window.addEventListener("resize",this.onResize)),this.refresh()}refresh(){this.observer&&(this.observer.disconnect(),this.observer.observe(this.nav),this.nav.querySelectorAll(".fmbn-nav-item").forEach(t=>this.observer.observe(t))),this.update({animate:!1})}update({animate:t=!0}={}){let e=this.getActiveItem();if(this.element.isConnected||this.nav.append(this.element),!e||e.getClientRects().length===0||this.nav.getClientRects().length===0){this.element.hidden=!0,this.placed=!1;return}let i=this.nav.getBoundingClientRect(),n=e.getBoundingClientRect(),r=!t||!this.placed;r&&this.element.classList.add("fmbn-active-indicator--instant"),this.element.hidden=!1,this.element.style.setProperty("--fmbn-indicator-x",`${n.left-i.left}px`),this.element.style.setProperty("--fmbn-indicator-y",`${n.top-i.top}px`),this.element.style.setProperty("--fmbn-indicator-width",`${n.width}px`),this.element.style.setProperty("--fmbn-indicator-height",`${n.height}px`),r&&(this.element.offsetWidth,this.element.classList.remove("fmbn-active-indicator--instant")),this.placed=!0}destroy(){this.observer?(this.observer.disconnect(),this.observer=null):window.removeEventListener("resize",this.onResize),this.element.remove(),this.nav.classList.remove("fmbn-bottom-nav--indicator")}},bt=U;var ce="filament-mobile-bottom-navigation",Y="fmbn:sync",W=Math.random().toString(36).slice(2),V=new Set,I=null,gt=!1,he=0,yt=s=>{!s||s.source===W||!s.panel||V.forEach(({panel:t,handler:e})=>{t===s.panel&&e(s)})},vt=()=>{if(!gt){if(gt=!0,typeof BroadcastChannel<"u"){I=new BroadcastChannel(ce),I.addEventListener("message",s=>yt(s.data));return}window.addEventListener("storage",s=>{if(!(s.key!==Y||!s.newValue))try{yt(JSON.parse(s.newValue))}catch{}})}},S=(s,t,e)=>{if(!s)return;vt();let i={panel:s,type:t,data:e,source:W,id:`${W}:${++he}`};if(I){I.postMessage(i);return}try{localStorage.setItem(Y,JSON.stringify(i)),localStorage.removeItem(Y)}catch{}},wt=(s,t,e)=>{if(!s)return;vt();let i={panel:s,handler:t};V.add(i),e&&e.addEventListener("abort",()=>V.delete(i),{once:!0})};var de=500,h=(s,t,e={})=>{let i=new CustomEvent(`fmbn:${t}`,{bubbles:!0,detail:e});i.__livewire={name:`fmbn:${t}`,params:e,receivedBy:[]},s.dispatchEvent(i)},ue=s=>{let t=String(s).split("+").map(i=>i.trim()),e=t.slice(0,-1).map(i=>i.toLowerCase());return{alt:e.includes("alt"),ctrl:e.includes("control")||e.includes("ctrl"),shift:e.includes("shift"),meta:e.includes("meta"),key:t[t.length-1]}},Et=(s,t)=>{let{alt:e,ctrl:i,shift:n,meta:r,key:o}=ue(t);return s.altKey!==e||s.ctrlKey!==i||s.shiftKey!==n||s.metaKey!==r?!1:/^[0-9]$/.test(o)?s.code===`Digit${o}`||s.code===`Numpad${o}`:/^[a-z]$/i.test(o)?s.code===`Key${o.toUpperCase()}`:s.key.toLowerCase()===o.toLowerCase()},fe=s=>!s||s.nodeType!==Node.ELEMENT_NODE?!1:s.isContentEditable||s.matches('input, textarea, select, [contenteditable]:not([contenteditable="false"])'),At=()=>Array.from(document.querySelectorAll('.fi-modal-open, [aria-modal="true"]')).some(s=>s.getClientRects().length>0),me=(s,t)=>{let e=s.getAttribute("href");if(!e||s.dataset.fmbnMatch==="none")return-1;let i=a=>a.replace(/\/+$/,"")||"/",n=new URL(e,document.baseURI);if(n.origin!==t.origin)return-1;let r=i(n.pathname),o=i(t.pathname);return r===o?Number.MAX_SAFE_INTEGER:s.dataset.fmbnMatch!=="exact"&&o.startsWith(r==="/"?"/":`${r}/`)?r.length:-1},g=new WeakMap,d=null,pe=1e4,xt=(s,t)=>{d={url:new URL(s,window.location.href).href,...t,startedAt:Date.now()}},be=s=>{let t=s.detail&&s.detail.url;d&&t&&new URL(t,window.location.href).href!==d.url&&(d=null)},ge=()=>{let s=document.querySelector(".fi-header-heading, main h1, h1");return s?s.textContent.trim():""},ye=(s,t)=>{let e=ge()||s||document.title,i=t.template||c.announcements.template;v.announce(i.replace(/:title/g,e),t.throttle)},ve=s=>{let t=document.activeElement;if(t&&t!==document.body&&!t.closest(".fmbn-bottom-nav"))return!1;for(let e of s){let i=null;try{i=document.querySelector(e)}catch{continue}if(!(!i||i.closest(".fmbn-bottom-nav")||i.getClientRects().length===0)&&(i.tabIndex<0&&!i.hasAttribute("tabindex")&&(i.setAttribute("tabindex","-1"),i.addEventListener("blur",()=>i.removeAttribute("tabindex"),{once:!0})),i.focus(),document.activeElement===i))return!0}return!1},we=()=>{if(!d)return;let{label:s,source:t,options:e,startedAt:i}=d;d=null,!(Date.now()-i>pe)&&(t==="keyboard"&&e.focusMainContent.enabled&&ve(e.focusMainContent.targets),e.announcements.enabled&&ye(s,e.announcements))},u=class s{static getInstance(t){return t&&g.get(t)||null}static getOrCreate(t,e={}){return s.getInstance(t)||new s(t,e)}constructor(t=null,e={}){if(this.nav=t||document.querySelector(".fmbn-bottom-nav"),!this.nav)return;let i=g.get(this.nav);i&&i.destroy(),g.set(this.nav,this),this.options=N(this.nav,e),this.items=this.queryItems(),this.currentIndex=-1,this.activeIndex=this.getActiveIndex(),this.tabStopIndex=Math.max(this.activeIndex,0),this.abortController=null,this.observer=null,this.typeaheadBuffer="",this.typeaheadTimer=null,this.untabbableItems=new WeakSet,this.badgePoller=null,this.scrollHider=null,this.virtualKeyboard=null,this.sheets=[],this.quickActions=[],this.swipe=null,this.activeIndicator=null,this.applyingSyncMessage=!1,this.bindEvents(),this.observeNav(),this.updateKeyShortcuts(),this.updateDisabledItems(),P(this.nav,this.options.badges),this.startBadgePolling(),this.startScrollHiding(),this.startKeyboardDetection(),this.startSheets(),this.startQuickActions(),this.startSwipeNavigation(),this.startActiveIndicator(),this.options.rovingTabindex&&this.updateTabStops(),this.dispatch("init",{items:this.items.length})}dispatch(t,e={}){h(this.nav,t,e)}queryItems(){return Array.from(this.nav.querySelectorAll(".fmbn-nav-item"))}bindEvents(){this.abortController=new AbortController;let{signal:t}=this.abortController;this.nav.addEventListener("keydown",i=>this.handleKeydown(i),{capture:!0,signal:t}),this.options.hotkeys.enabled&&document.addEventListener("keydown",i=>this.handleHotkey(i),{signal:t}),typeof window.matchMedia=="function"&&window.matchMedia(`(min-width: ${this.options.breakpoint}px)`).addEventListener("change",i=>{i.matches&&this.closeOverlays()},{signal:t}),["click","mousedown","mouseup"].forEach(i=>{this.nav.addEventListener(i,n=>this.blockDisabledActivation(n),{capture:!0,signal:t})});let e=Array.from(this.nav.querySelectorAll("[data-fmbn-sheet-toggle]")).map(f).filter(Boolean);[this.nav,...e].forEach(i=>{i.addEventListener("click",n=>this.handleActivation(n),{signal:t}),i.addEventListener("keydown",n=>{n.key==="Enter"&&n.defaultPrevented&&!n.altKey&&!n.ctrlKey&&!n.metaKey&&!n.shiftKey&&this.handleActivation(n)},{signal:t})}),this.options.crossTabSync&&(this.nav.addEventListener("fmbn:badge-change",i=>this.publishBadgeChange(i),{signal:t}),wt(this.nav.dataset.fmbnPanel,i=>this.handleSyncMessage(i),t)),this.options.activeSync&&(document.addEventListener("livewire:navigated",()=>this.syncActiveItem(),{signal:t}),window.addEventListener("popstate",()=>this.syncActiveItem(),{signal:t})),this.items.forEach((i,n)=>{i.addEventListener("focus",()=>{let r=this.currentIndex;this.currentIndex=n,this.options.rovingTabindex&&(this.tabStopIndex=n,this.updateTabStops()),this.dispatch("focus-change",{index:n,previousIndex:r,item:i})},{signal:t})})}handleActivation(t){if(t.ctrlKey||t.metaKey||t.shiftKey||t.altKey||t.type==="click"&&t.button!==0)return;let e=t.target.closest(".fmbn-nav-item, .fmbn-sheet__item");if(!e||!e.hasAttribute("href"))return;let i=this.items.indexOf(e);if(i===-1&&!e.classList.contains("fmbn-sheet__item"))return;let n=e.getAttribute("href"),r=this.getItemLabel(e),o=this.getActivationSource(t);xt(n,{label:r,source:o,options:this.options}),this.dispatch("activate",{index:i,href:n,label:r,item:e,source:o})}getActivationSource(t){return t.type==="keydown"||t.detail===0?"keyboard":"pointer"}unbindEvents(){this.abortController&&(this.abortController.abort(),this.abortController=null)}observeNav(){typeof MutationObserver>"u"||(this.observer=new MutationObserver(t=>{if(t.some(e=>e.type==="childList")&&this.itemsChanged()){this.refresh();return}this.options.rovingTabindex?this.syncRovingTabindex():this.updateDisabledItems()}),this.observer.observe(this.nav,{childList:!0,subtree:!0,attributes:!0,attributeFilter:this.options.rovingTabindex?["tabindex","class","aria-current","aria-disabled"]:["aria-disabled"]}))}itemsChanged(){let t=this.queryItems();return t.length!==this.items.length||t.some((e,i)=>e!==this.items[i])}refresh(){if(!this.nav)return;let t=this.items[this.tabStopIndex];this.unbindEvents(),this.items=this.queryItems(),this.currentIndex=this.items.indexOf(document.activeElement),this.activeIndex=this.getActiveIndex();let e=this.items.indexOf(t);this.tabStopIndex=e!==-1?e:Math.max(this.activeIndex,0),this.bindEvents(),this.updateKeyShortcuts(),this.updateDisabledItems(),P(this.nav,this.options.badges),this.startBadgePolling(),this.startSheets(),this.startQuickActions(),this.activeIndicator&&this.activeIndicator.refresh(),this.options.rovingTabindex&&this.updateTabStops()}publishBadgeChange(t){let{key:e,value:i,color:n}=t.detail;this.applyingSyncMessage||!e||S(this.nav.dataset.fmbnPanel,"badge",{key:e,value:i,color:n})}handleSyncMessage({type:t,data:e}){if(t==="preference"){this.dispatch("preference-change",{name:e.name,value:e.value});return}if(t==="badge"){this.applyingSyncMessage=!0;try{this.getAllItems().filter(i=>i.dataset.fmbnKey===e.key).forEach(i=>p(i,e.value,e.color))}finally{this.applyingSyncMessage=!1}}}getAllItems(){return[...this.items,...m(this.nav)]}startBadgePolling(){this.stopBadgePolling(),this.options.badgePolling.enabled&&(this.badgePoller=new at(this.getAllItems(),this.options.badgePolling))}stopBadgePolling(){this.badgePoller&&(this.badgePoller.destroy(),this.badgePoller=null)}startScrollHiding(){this.stopScrollHiding(),this.options.hideOnScroll.enabled&&(this.scrollHider=new ct(this.nav,this.options.hideOnScroll,t=>this.dispatch("visibility-change",{hidden:t,reason:"scroll"})))}stopScrollHiding(){this.scrollHider&&(this.scrollHider.destroy(),this.scrollHider=null)}startActiveIndicator(){this.stopActiveIndicator(),this.options.activeIndicator.enabled&&(this.activeIndicator=new bt(this.nav,this.options.activeIndicator,()=>this.items[this.getActiveIndex()]||null))}stopActiveIndicator(){this.activeIndicator&&(this.activeIndicator.destroy(),this.activeIndicator=null)}startKeyboardDetection(){this.stopKeyboardDetection(),this.options.hideWithKeyboard&&(this.virtualKeyboard=new dt(this.nav,t=>this.dispatch("visibility-change",{hidden:t,reason:"keyboard"})))}stopKeyboardDetection(){this.virtualKeyboard&&(this.virtualKeyboard.destroy(),this.virtualKeyboard=null)}startSheets(){this.stopSheets(),this.sheets=this.items.filter(t=>t.hasAttribute("data-fmbn-sheet-toggle")).map(t=>{let e=f(t);return e?new Q(t,e,i=>this.dispatch("sheet-change",{open:i})):null}).filter(Boolean)}stopSheets(){this.sheets.forEach(t=>t.destroy()),this.sheets=[]}startQuickActions(){this.stopQuickActions(),this.quickActions=this.items.filter(t=>t.hasAttribute("data-fmbn-quick-actions")).map(t=>{let e=ft(t);return e?new mt(t,e,{delay:this.options.longPressDelay},i=>this.dispatch("quick-actions-change",{open:i,item:t})):null}).filter(Boolean)}stopQuickActions(){this.quickActions.forEach(t=>t.destroy()),this.quickActions=[]}startSwipeNavigation(){this.stopSwipeNavigation(),this.options.swipeNavigation.enabled&&(this.swipe=new pt(this.nav,this.options.swipeNavigation,t=>this.handleSwipe(t)))}stopSwipeNavigation(){this.swipe&&(this.swipe.destroy(),this.swipe=null)}handleSwipe(t){let e=this.getActiveIndex();if(e===-1||At())return;let i=t<0!==this.isRtl()?1:-1;for(let n=e+i;n>=0&&n<this.items.length;n+=i){let r=this.items[n];if(!r.hasAttribute("href")||r.dataset.fmbnMatch==="none"||!this.isItemFocusable(r))continue;let o=r.getAttribute("href"),a=this.getItemLabel(r);xt(o,{label:a,source:"swipe",options:this.options}),this.dispatch("activate",{index:n,href:o,label:a,item:r,source:"swipe"}),window.Livewire&&typeof window.Livewire.navigate=="function"?window.Livewire.navigate(o):window.location.assign(o);return}}destroy(){this.nav&&(this.dispatch("destroy"),this.unbindEvents(),this.resetTypeahead(),this.stopBadgePolling(),this.stopScrollHiding(),this.stopKeyboardDetection(),this.stopSheets(),this.stopQuickActions(),this.stopSwipeNavigation(),this.stopActiveIndicator(),this.observer&&(this.observer.disconnect(),this.observer=null),this.options.rovingTabindex?this.items.forEach(t=>t.removeAttribute("tabindex")):this.items.filter(t=>this.untabbableItems.has(t)).forEach(t=>t.removeAttribute("tabindex")),this.options.hotkeys.enabled&&this.items.forEach(t=>t.removeAttribute("aria-keyshortcuts")),g.get(this.nav)===this&&g.delete(this.nav),this.items=[],this.currentIndex=-1,this.nav=null)}syncRovingTabindex(){let t=this.getActiveIndex();t!==this.activeIndex&&(this.activeIndex=t,this.tabStopIndex=Math.max(t,0)),this.updateTabStops()}updateTabStops(){if(!this.isItemFocusable(this.items[this.tabStopIndex])){let t=this.getEntryIndex(!1);t!==-1&&(this.tabStopIndex=t)}this.items.forEach((t,e)=>{let i=e===this.tabStopIndex?"0":"-1";t.getAttribute("tabindex")!==i&&t.setAttribute("tabindex",i)})}syncActiveItem(t=window.location.href){let e=this.getLinkForUrl(t);m(this.nav).forEach(i=>{let n=i===e;i.classList.toggle("fmbn-sheet__item--active",n),n?i.setAttribute("aria-current","page"):i.removeAttribute("aria-current")}),this.setActiveIndex(this.getItemIndexForLink(e))}getItemIndexForUrl(t){return this.getItemIndexForLink(this.getLinkForUrl(t))}getLinkForUrl(t){let e=new URL(t,document.baseURI),i=null,n=-1;return this.getAllItems().forEach(r=>{let o=me(r,e);o>n&&(i=r,n=o)}),i}getItemIndexForLink(t){if(!t)return-1;let e=this.items.indexOf(t);return e!==-1?e:this.items.findIndex(i=>i.hasAttribute("data-fmbn-sheet-toggle")&&!!f(i)?.contains(t))}setActiveIndex(t){let e=this.getActiveIndex();this.items.forEach((i,n)=>{let r=n===t;i.classList.toggle("fmbn-nav-item--active",r),r&&i.hasAttribute("href")?i.setAttribute("aria-current","page"):i.removeAttribute("aria-current");let o=i.querySelector(".fmbn-nav-item__icon");o&&o.classList.toggle("fmbn-nav-item__icon--active",r)}),this.options.rovingTabindex&&this.syncRovingTabindex(),this.activeIndicator&&this.activeIndicator.update(),t!==e&&this.dispatch("active-change",{index:t,previousIndex:e,item:this.items[t]||null})}isItemDisabled(t){return t.getAttribute("aria-disabled")==="true"}isItemVisible(t){return t.getClientRects().length>0&&window.getComputedStyle(t).visibility!=="hidden"}isItemFocusable(t){return!!t&&!this.isItemDisabled(t)&&this.isItemVisible(t)}setItemDisabled(t,e=!0){let i=typeof t=="number"?this.items[t]:t;!i||!this.items.includes(i)||(e?i.setAttribute("aria-disabled","true"):i.removeAttribute("aria-disabled"),this.updateDisabledItems(),this.options.rovingTabindex&&this.updateTabStops())}updateDisabledItems(){this.options.rovingTabindex||this.items.forEach(t=>{this.isItemDisabled(t)?t.getAttribute("tabindex")!=="-1"&&(t.setAttribute("tabindex","-1"),this.untabbableItems.add(t)):this.untabbableItems.delete(t)&&t.removeAttribute("tabindex")})}blockDisabledActivation(t){let e=t.target.closest&&t.target.closest(".fmbn-nav-item");return!e||!this.isItemDisabled(e)?!1:(t.preventDefault(),t.stopPropagation(),!0)}closeOverlays(){this.sheets.forEach(t=>t.close({restoreFocus:!1})),this.quickActions.forEach(t=>t.close({restoreFocus:!1}))}getHotkeyItems(){return this.items.filter(t=>!t.hasAttribute("data-fmbn-fab")&&!t.hasAttribute("data-fmbn-sheet-toggle"))}updateKeyShortcuts(){if(!this.options.hotkeys.enabled)return;let t=this.options.hotkeys.items||[],e=this.getHotkeyItems();this.items.forEach(i=>{let n=t[e.indexOf(i)];n?i.setAttribute("aria-keyshortcuts",n):i.removeAttribute("aria-keyshortcuts")})}handleHotkey(t){if(t.defaultPrevented||t.repeat||this.nav.getClientRects().length===0||fe(t.target)||At())return;let{items:e=[],focus:i}=this.options.hotkeys;if(i&&Et(t,i)){t.preventDefault(),this.focusItem(this.getEntryIndex());return}let n=e.findIndex(o=>Et(t,o)),r=this.getHotkeyItems()[n];!r||!this.isItemFocusable(r)||(t.preventDefault(),r.click())}getEntryIndex(t=!0){if(t&&this.options.rovingTabindex&&this.isItemFocusable(this.items[this.tabStopIndex]))return this.tabStopIndex;let e=this.getActiveIndex();return this.isItemFocusable(this.items[e])?e:this.findFocusableIndex(0,1)}getActiveIndex(){return this.items.findIndex(t=>t.classList.contains("fmbn-nav-item--active")||t.getAttribute("aria-current")==="page")}handleKeydown(t){let{key:e}=t;if(e==="Enter"&&this.blockDisabledActivation(t)||!this.isNavigationKey(e)||this.currentIndex===-1)return;let i=this.currentIndex;switch(e){case"ArrowLeft":i=this.getLeftIndex(),t.preventDefault();break;case"ArrowRight":i=this.getRightIndex(),t.preventDefault();break;case"Home":i=this.findFocusableIndex(0,1),t.preventDefault();break;case"End":i=this.findFocusableIndex(this.items.length-1,-1),t.preventDefault();break;default:if(t.ctrlKey||t.metaKey||t.altKey||(i=this.getTypeaheadIndex(e),i===-1))return;t.preventDefault();break}i!==-1&&i!==this.currentIndex&&this.focusItem(i)}isNavigationKey(t){return["ArrowLeft","ArrowRight","Home","End"].includes(t)||this.isTypeaheadKey(t)}isTypeaheadKey(t){return!this.options.typeahead||t.length!==1?!1:t!==" "||this.typeaheadBuffer!==""}getTypeaheadIndex(t){clearTimeout(this.typeaheadTimer),this.typeaheadBuffer+=t,this.typeaheadTimer=setTimeout(()=>this.resetTypeahead(),de);let e=this.typeaheadBuffer,n=Array.from(e).every(a=>a===e[0])?e[0]:e,r=n.length===1?this.currentIndex+1:this.currentIndex,o=new Intl.Collator(this.getLocale(),{usage:"search",sensitivity:"base"});for(let a=0;a<this.items.length;a++){let l=(r+a)%this.items.length;if(!this.isItemFocusable(this.items[l]))continue;let y=this.getItemLabel(this.items[l]);if(o.compare(y.slice(0,n.length),n)===0)return l}return-1}resetTypeahead(){clearTimeout(this.typeaheadTimer),this.typeaheadTimer=null,this.typeaheadBuffer=""}getItemLabel(t){let e=t.querySelector(".fmbn-nav-item__label");return(e?e.textContent:t.getAttribute("aria-label")||"").trim()}getLocale(){let t=this.nav.closest("[lang]");return t&&t.getAttribute("lang")||void 0}isRtl(){return window.getComputedStyle(this.nav).direction==="rtl"}getLeftIndex(){return this.isRtl()?this.getNextIndex():this.getPreviousIndex()}getRightIndex(){return this.isRtl()?this.getPreviousIndex():this.getNextIndex()}getPreviousIndex(){let t=this.findFocusableIndex(this.currentIndex-1,-1,this.options.wrapAround);return t===-1?this.currentIndex:t}getNextIndex(){let t=this.findFocusableIndex(this.currentIndex+1,1,this.options.wrapAround);return t===-1?this.currentIndex:t}findFocusableIndex(t,e,i=!1){let n=this.items.length;for(let r=0;r<n;r++){let o=t+r*e;if(i)o=(o%n+n)%n;else if(o<0||o>=n)return-1;if(this.isItemFocusable(this.items[o]))return o}return-1}focusItem(t){this.isItemFocusable(this.items[t])&&(this.items[t].focus(),this.currentIndex=t)}},It=()=>{document.querySelectorAll(".fmbn-bottom-nav").forEach(s=>{u.getOrCreate(s)})};document.readyState==="loading"?document.addEventListener("DOMContentLoaded",It):It();document.addEventListener("livewire:navigate",be);document.addEventListener("livewire:navigated",we);var St=s=>s.nodeType!==Node.ELEMENT_NODE?[]:s.classList.contains("fmbn-bottom-nav")?[s]:Array.from(s.getElementsByClassName("fmbn-bottom-nav"));if(typeof MutationObserver<"u"){let s=new Set,t=new Set,e=!1,i=()=>{e=!1,t.forEach(o=>{St(o).forEach(a=>{if(a.isConnected)return;let l=u.getInstance(a);l&&l.destroy()})}),s.forEach(o=>{o.isConnected&&St(o).forEach(a=>u.getOrCreate(a))}),t.clear(),s.clear()},n=()=>{e||(e=!0,typeof requestAnimationFrame=="function"?requestAnimationFrame(i):setTimeout(i,0))};new MutationObserver(o=>{o.forEach(a=>{a.removedNodes.forEach(l=>{l.nodeType===Node.ELEMENT_NODE&&t.add(l)}),a.addedNodes.forEach(l=>{l.nodeType===Node.ELEMENT_NODE&&s.add(l)})}),(s.size>0||t.size>0)&&n()}).observe(document.documentElement,{childList:!0,subtree:!0})}var Tt=u;var Ee='<svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" style="width: 24px; height: 24px;"><path stroke-linecap="round" stroke-linejoin="round" d="M12 4.5v15m7.5-7.5h-15" /></svg>',Lt="min-width: 44px; min-height: 44px; flex: 1; display: flex; flex-direction: column; align-items: center; justify-content: center;",Ae=`${Lt} border: 0; background: none; font: inherit; cursor: pointer;`,xe=new Set(["svg","g","path","circle","ellipse","line","polyline","polygon","rect","defs","use","symbol","title","desc","clippath","mask","lineargradient","radialgradient","stop"]),Ie=new Set(["xmlns","xmlns:xlink","viewbox","width","height","x","y","x1","y1","x2","y2","cx","cy","r","rx","ry","d","points","transform","preserveaspectratio","fill","fill-rule","fill-opacity","clip-rule","clip-path","mask","opacity","stroke","stroke-width","stroke-linecap","stroke-linejoin","stroke-miterlimit","stroke-dasharray","stroke-dashoffset","stroke-opacity","offset","stop-color","stop-opacity","gradientunits","gradienttransform","clippathunits","maskunits","id","class","style","role","aria-hidden","data-slot","href","xlink:href"]),Se=({name:s,value:t})=>s==="href"||s==="xlink:href"?/^\s*#/.test(t):!/url\s*\(\s*['"]?\s*(?!#)/i.test(t)&&!/expression\s*\(/i.test(t),Ct=s=>{let t=new DOMParser().parseFromString(String(s),"text/html").querySelector("svg");if(!t)return null;let e=i=>{Array.from(i.children).forEach(n=>{xe.has(n.localName.toLowerCase())?e(n):n.remove()}),Array.from(i.attributes).filter(n=>!Ie.has(n.name.toLowerCase())||!Se(n)).forEach(n=>i.removeAttribute(n.name))};return e(t),document.importNode(t,!0)},Te=s=>{try{return["http:","https:"].includes(new URL(String(s),window.location.href).protocol)}catch{return!1}},Le=s=>{let t=document.createElement(s?"a":"button");t.className="fmbn-nav-item fmbn-nav-item--fab",t.setAttribute("data-fmbn-fab",""),t.setAttribute("style",s?Lt:Ae),s?(t.setAttribute("wire:navigate",""),t.setAttribute("data-fmbn-match","none")):t.type="button";let e=document.createElement("span");e.className="fmbn-fab__button",e.setAttribute("aria-hidden","true");let i=document.createElement("span");return i.className="fmbn-fab__icon",i.setAttribute("style","width: 24px; height: 24px; display: flex;"),i.append(Ct(Ee)),e.append(i),t.append(e),t},Ce=s=>{let t=s.querySelector(".fmbn-nav__list");if(!t)return null;let e=document.createElement("li");return e.className="fmbn-nav__list-item fmbn-nav__list-item--fab",e.setAttribute("style","flex: 1; margin: 0; padding: 0;"),t.insertBefore(e,t.children[Math.floor(t.children.length/2)]||null),e},_e=(s,t)=>{let e=s.querySelector("[data-fmbn-fab]"),i=!t||t.hidden===!0;if(i){if(!e)return!1;(e.closest(".fmbn-nav__list-item")||e).hidden=!0}else{if(t.url&&!Te(t.url))return console.warn(`[filament-mobile-bottom-navigation] Ignoring FAB url "${t.url}": only http(s) urls are allowed.`),!1;let n=!!(t.url||t.action||t.event);if(!e&&!n)return console.warn("[filament-mobile-bottom-navigation] The FAB needs a url, action or event."),!1;let r=n?!!t.url:e.hasAttribute("href");if(!e||e.tagName==="A"!==r){let a=Le(r);if(e){let l=e.querySelector(".fmbn-fab__icon");l&&a.querySelector(".fmbn-fab__icon").replaceWith(l),a.setAttribute("aria-label",e.getAttribute("aria-label")||""),e.replaceWith(a)}else{let l=Ce(s);if(!l)return!1;l.append(a)}e=a}n&&(r?(B.forEach(a=>e.removeAttribute(a)),e.setAttribute("href",t.url)):ut(e,t)),t.label&&e.setAttribute("aria-label",String(t.label));let o=t.icon?Ct(t.icon):null;o&&e.querySelector(".fmbn-fab__icon").replaceChildren(o),(e.closest(".fmbn-nav__list-item")||e).hidden=!1}return h(s,"fab-change",{hidden:i,label:i?null:e.getAttribute("aria-label"),item:e}),!0},j=s=>Array.from(document.querySelectorAll(".fmbn-bottom-nav")).filter(t=>_e(t,s)).length>0;document.addEventListener("click",s=>{let t=s.target.closest?.("button[data-fmbn-fab]");!t||!t.closest(".fmbn-bottom-nav")||A(t)});window.addEventListener("fmbn:set-fab",s=>{j(s.detail||null)});var _t=s=>`fmbn:preferences:${s}`,T=new Map,Ne=s=>Object.prototype.toString.call(s)==="[object Object]",Nt=s=>{if(T.has(s))return{...T.get(s)};try{let t=JSON.parse(localStorage.getItem(_t(s)));return Ne(t)?t:{}}catch{return{}}},kt=(s,t,e=null)=>{let i=Nt(s);return t in i?i[t]:e},ke=(s,t,e)=>{document.querySelectorAll(".fmbn-bottom-nav").forEach(i=>{i.dataset.fmbnPanel===s&&h(i,"preference-change",{name:t,value:e})})},Ot=(s,t,e)=>{let i=Nt(s);e==null?delete i[t]:i[t]=e;try{localStorage.setItem(_t(s),JSON.stringify(i)),T.delete(s)}catch{T.set(s,i)}ke(s,t,e??null),S(s,"preference",{name:t,value:e??null})};var Dt=()=>document.querySelector(".fmbn-bottom-nav[data-fmbn-panel]")?.dataset.fmbnPanel,Oe=(s,t=null,e=Dt())=>e?kt(e,s,t):t,De=(s,t,e=Dt())=>{e&&Ot(e,s,t)};window.FilamentMobileBottomNavigation={...window.FilamentMobileBottomNavigation,MobileBottomNavigationKeyboard:Tt,announcer:v,setBadge:M,setFab:j,getPreference:Oe,setPreference:De};export{c as DEFAULT_OPTIONS,Tt as MobileBottomNavigationKeyboard,v as announcer,z as getPanelOptions,Oe as getPreference,N as resolveOptions,M as setBadge,j as setFab,De as setPreference};
@@ -1,10 +1,73 @@
 /**
  * Mobile Bottom Navigation Bundle Entry Point
  *
- * Imports and initializes all keyboard navigation enhancements
+ * Imports and initializes all keyboard navigation enhancements. Panel settings
+ * from the PHP plugin and config file are read from `window.filamentData`
+ * (see mobile-bottom-navigation-options.js).
+ *
+ * The public API is also available as `window.FilamentMobileBottomNavigation`
+ * for scripts that do not import the bundle.
  */
 
 import MobileBottomNavigationKeyboard from './mobile-bottom-navigation.js';
+import { announcer } from './mobile-bottom-navigation-announcer.js';
+import { setBadge } from './mobile-bottom-navigation-badges.js';
+import { setFab } from './mobile-bottom-navigation-fab.js';
+import {
+  DEFAULT_OPTIONS,
+  getPanelOptions,
+  resolveOptions,
+} from './mobile-bottom-navigation-options.js';
+import {
+  getPreference as getPanelPreference,
+  setPreference as setPanelPreference,
+} from './mobile-bottom-navigation-preferences.js';
+
+/**
+ * Panel of the first bar on the page, used when no panel id is given
+ * @returns {string|undefined}
+ */
+const getCurrentPanel = () => document.querySelector('.fmbn-bottom-nav[data-fmbn-panel]')?.dataset.fmbnPanel;
+
+/**
+ * Read a user nav preference of a panel
+ * @param {string} name
+ * @param {*} [fallback]
+ * @param {string} [panel] Defaults to the panel of the bar on the page
+ * @returns {*}
+ */
+const getPreference = (name, fallback = null, panel = getCurrentPanel()) =>
+  panel ? getPanelPreference(panel, name, fallback) : fallback;
+
+/**
+ * Save a user nav preference of a panel and share it with the other tabs
+ * @param {string} name
+ * @param {*} value null removes the preference
+ * @param {string} [panel] Defaults to the panel of the bar on the page
+ */
+const setPreference = (name, value, panel = getCurrentPanel()) => {
+  if (panel) setPanelPreference(panel, name, value);
+};
+
+window.FilamentMobileBottomNavigation = {
+  ...window.FilamentMobileBottomNavigation,
+  MobileBottomNavigationKeyboard,
+  announcer,
+  setBadge,
+  setFab,
+  getPreference,
+  setPreference,
+};
 
 // Export for external use
-export { MobileBottomNavigationKeyboard };
+export {
+  MobileBottomNavigationKeyboard,
+  DEFAULT_OPTIONS,
+  getPanelOptions,
+  resolveOptions,
+  announcer,
+  setBadge,
+  setFab,
+  getPreference,
+  setPreference,
+};
@@ -0,0 +1,90 @@
+/**
+ * Mobile Bottom Navigation Actions
+ *
+ * Runs the buttons of the bar that do not navigate: the center action button
+ * and quick actions. Their target is set in data attributes:
+ * - data-fmbn-action: a Filament action of the current page, mounted with
+ *   data-fmbn-params (JSON) as arguments
+ * - data-fmbn-event: a Livewire event, dispatched with data-fmbn-params
+ *
+ * Links (url targets) are plain wire:navigate links and never get here.
+ */
+
+/**
+ * Data attributes holding the target of a button
+ */
+export const TARGET_ATTRIBUTES = ['data-fmbn-action', 'data-fmbn-event', 'data-fmbn-params'];
+
+/**
+ * @param {string|undefined} value JSON from data-fmbn-params
+ * @returns {Object}
+ */
+const parseParams = (value) => {
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+/**
+ * Get the Livewire component of the current Filament page
+ * @returns {Object|null} Its $wire
+ */
+export const getPageComponent = () => {
+  const root = document.querySelector('.fi-page')?.closest('[wire\\:id]');
+  if (!root || !window.Livewire) return null;
+
+  return window.Livewire.find(root.getAttribute('wire:id')) || null;
+};
+
+/**
+ * Set the target of a button, replacing the previous one
+ * @param {HTMLElement} element
+ * @param {{action?: string, event?: string, params?: Object}} target
+ */
+export const setActionTarget = (element, { action, event, params }) => {
+  TARGET_ATTRIBUTES.forEach((name) => element.removeAttribute(name));
+
+  element.setAttribute(action ? 'data-fmbn-action' : 'data-fmbn-event', action || event);
+
+  if (params && Object.keys(params).length > 0) {
+    element.setAttribute('data-fmbn-params', JSON.stringify(params));
+  }
+};
+
+/**
+ * Mount the action or dispatch the event of a button
+ * @param {HTMLElement} element
+ * @returns {boolean} Whether something ran
+ */
+export const runAction = (element) => {
+  const { fmbnAction: action, fmbnEvent: event } = element.dataset;
+  const params = parseParams(element.dataset.fmbnParams);
+
+  if (action) {
+    const component = getPageComponent();
+
+    if (!component) {
+      console.warn(`[filament-mobile-bottom-navigation] No page component to mount the action "${action}".`);
+      return false;
+    }
+
+    component.mountAction(action, params);
+    return true;
+  }
+
+  if (event) {
+    if (window.Livewire) {
+      window.Livewire.dispatch(event, params);
+    } else {
+      window.dispatchEvent(new CustomEvent(event, { detail: params }));
+    }
+
+    return true;
+  }
+
+  return false;
+};
@@ -0,0 +1,128 @@
+/**
+ * Mobile Bottom Navigation Active Indicator
+ *
+ * Optional element that slides between tabs to mark the active one, instead
+ * of the active item's own border and background. Styles:
+ * - pill:      rounded background behind the active tab
+ * - underline: short line under the active tab
+ * - top-bar:   full-width line along the top edge of the bar
+ *
+ * The script only measures: it sets the active tab's box (relative to the
+ * nav) as --fmbn-indicator-x/-y/-width/-height, and the stylesheet places
+ * each style from those and animates the change. The first placement and
+ * changes caused by resizes (orientation, items added or hidden) jump instead
+ * of sliding, and so does everything under prefers-reduced-motion.
+ */
+
+/**
+ * Supported styles
+ */
+export const INDICATOR_STYLES = ['pill', 'underline', 'top-bar'];
+
+class MobileBottomNavigationActiveIndicator {
+  /**
+   * @param {HTMLElement} nav
+   * @param {Object} options The activeIndicator options
+   * @param {Function} getActiveItem Returns the active tab, or null
+   */
+  constructor(nav, { style }, getActiveItem) {
+    this.nav = nav;
+    this.getActiveItem = getActiveItem;
+    this.observer = null;
+    this.placed = false;
+
+    if (!INDICATOR_STYLES.includes(style)) {
+      console.warn(
+        `[filament-mobile-bottom-navigation] Unknown active indicator style "${style}", expected one of ${INDICATOR_STYLES.join(', ')}.`
+      );
+      style = INDICATOR_STYLES[0];
+    }
+
+    this.element = document.createElement('span');
+    this.element.className = `fmbn-active-indicator fmbn-active-indicator--${style}`;
+    this.element.setAttribute('aria-hidden', 'true');
+    this.element.hidden = true;
+
+    this.nav.classList.add('fmbn-bottom-nav--indicator');
+    this.nav.append(this.element);
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.observer = new ResizeObserver(() => this.update({ animate: false }));
+    } else {
+      this.onResize = () => this.update({ animate: false });
+      window.addEventListener('resize', this.onResize);
+    }
+
+    this.refresh();
+  }
+
+  /**
+   * Watch the current items and place the indicator again, e.g. after the
+   * markup of the bar was swapped
+   */
+  refresh() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer.observe(this.nav);
+      this.nav.querySelectorAll('.fmbn-nav-item').forEach((item) => this.observer.observe(item));
+    }
+
+    this.update({ animate: false });
+  }
+
+  /**
+   * Move the indicator to the active tab
+   * @param {Object} [options]
+   * @param {boolean} [options.animate=true] Slide from the previous tab
+   */
+  update({ animate = true } = {}) {
+    const item = this.getActiveItem();
+
+    // A morph of the bar may have dropped the element
+    if (!this.element.isConnected) this.nav.append(this.element);
+
+    // No active tab, or the bar is not rendered (desktop, keyboard open)
+    if (!item || item.getClientRects().length === 0 || this.nav.getClientRects().length === 0) {
+      this.element.hidden = true;
+      this.placed = false;
+      return;
+    }
+
+    const navRect = this.nav.getBoundingClientRect();
+    const itemRect = item.getBoundingClientRect();
+    const jump = !animate || !this.placed;
+
+    if (jump) this.element.classList.add('fmbn-active-indicator--instant');
+
+    this.element.hidden = false;
+    this.element.style.setProperty('--fmbn-indicator-x', `${itemRect.left - navRect.left}px`);
+    this.element.style.setProperty('--fmbn-indicator-y', `${itemRect.top - navRect.top}px`);
+    this.element.style.setProperty('--fmbn-indicator-width', `${itemRect.width}px`);
+    this.element.style.setProperty('--fmbn-indicator-height', `${itemRect.height}px`);
+
+    if (jump) {
+      // Apply the new position before transitions come back
+      void this.element.offsetWidth;
+      this.element.classList.remove('fmbn-active-indicator--instant');
+    }
+
+    this.placed = true;
+  }
+
+  /**
+   * Remove the indicator and give the active item its own styles back
+   */
+  destroy() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    } else {
+      window.removeEventListener('resize', this.onResize);
+    }
+
+    this.element.remove();
+    this.nav.classList.remove('fmbn-bottom-nav--indicator');
+  }
+}
+
+export default MobileBottomNavigationActiveIndicator;
@@ -0,0 +1,143 @@
+/**
+ * Mobile Bottom Navigation Announcer
+ *
+ * Owns a visually hidden, polite live region that tells screen reader users
+ * about client-side page changes. wire:navigate replaces <body>, so the region
+ * is re-attached before every announcement.
+ *
+ * - The same message is not repeated within the throttle window
+ * - Of several messages within the throttle window only the last one is read
+ */
+
+/**
+ * Delay between clearing the region and writing the message (ms), so screen
+ * readers notice the change even when the text is the same or the region was
+ * just attached
+ */
+const WRITE_DELAY = 100;
+
+/**
+ * Visually hidden, still read by screen readers (like Tailwind's sr-only)
+ */
+const VISUALLY_HIDDEN_STYLE =
+  'position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0;';
+
+class MobileBottomNavigationAnnouncer {
+  constructor() {
+    this.region = null;
+    this.lastMessage = '';
+    this.lastAnnouncedAt = -Infinity;
+    this.queuedMessage = null;
+    this.throttleTimer = null;
+    this.writeTimer = null;
+  }
+
+  /**
+   * Announce a message politely
+   * @param {string} message
+   * @param {number} [throttle] Minimum time between announcements (ms)
+   */
+  announce(message, throttle = 0) {
+    const text = String(message).trim();
+    if (!text) return;
+
+    // A newer message replaces the one waiting for the window to end
+    if (this.throttleTimer) {
+      this.queuedMessage = text;
+      return;
+    }
+
+    const elapsed = Date.now() - this.lastAnnouncedAt;
+
+    if (elapsed < throttle) {
+      if (text === this.lastMessage) return;
+
+      this.queuedMessage = text;
+      this.throttleTimer = setTimeout(() => this.flush(), throttle - elapsed);
+      return;
+    }
+
+    this.write(text);
+  }
+
+  /**
+   * Write the queued message once the throttle window has passed
+   */
+  flush() {
+    const text = this.queuedMessage;
+
+    this.throttleTimer = null;
+    this.queuedMessage = null;
+
+    if (text && text !== this.lastMessage) {
+      this.write(text);
+    }
+  }
+
+  /**
+   * Put a message in the live region
+   * @param {string} text
+   */
+  write(text) {
+    const region = this.ensureRegion();
+    if (!region) return;
+
+    this.lastMessage = text;
+    this.lastAnnouncedAt = Date.now();
+
+    region.textContent = '';
+    clearTimeout(this.writeTimer);
+    this.writeTimer = setTimeout(() => {
+      region.textContent = text;
+    }, WRITE_DELAY);
+  }
+
+  /**
+   * Create the live region, or re-attach it after <body> was replaced
+   * @returns {HTMLElement|null}
+   */
+  ensureRegion() {
+    if (!document.body) return null;
+
+    if (!this.region) {
+      this.region = document.createElement('div');
+      this.region.setAttribute('role', 'status');
+      this.region.setAttribute('aria-live', 'polite');
+      this.region.setAttribute('aria-atomic', 'true');
+      this.region.setAttribute('data-fmbn-live-region', '');
+      this.region.setAttribute('style', VISUALLY_HIDDEN_STYLE);
+    }
+
+    if (this.region.parentNode !== document.body) {
+      document.body.appendChild(this.region);
+    }
+
+    return this.region;
+  }
+
+  /**
+   * Remove the live region and cancel pending announcements
+   */
+  reset() {
+    clearTimeout(this.throttleTimer);
+    clearTimeout(this.writeTimer);
+
+    if (this.region) {
+      this.region.remove();
+    }
+
+    this.region = null;
+    this.lastMessage = '';
+    this.lastAnnouncedAt = -Infinity;
+    this.queuedMessage = null;
+    this.throttleTimer = null;
+    this.writeTimer = null;
+  }
+}
+
+/**
+ * Shared by every nav: one live region per page
+ */
+export const announcer = new MobileBottomNavigationAnnouncer();
+
+export default MobileBottomNavigationAnnouncer;
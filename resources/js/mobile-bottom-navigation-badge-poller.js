@@ -0,0 +1,210 @@
+/**
+ * Mobile Bottom Navigation Badge Poller
+ *
+ * Opt-in background refresh of item badges. Each item declares an endpoint
+ * (in the badgePolling option, keyed by data-fmbn-key, or with
+ * data-fmbn-badge-url on the item) and optionally its own interval.
+ *
+ * - Polling pauses while the page is hidden and resumes right away when it
+ *   becomes visible or the window gets focus
+ * - Failed requests back off exponentially up to `backoff` ms; the first
+ *   success goes back to the regular interval. Resuming does not cut a
+ *   back-off short
+ * - Intervals below 1 second are raised to 1 second
+ *
+ * Endpoints answer with JSON: a bare value (`12`) or `{ "value": 12,
+ * "color": "danger" }`. Empty values (null, '', 0) remove the badge.
+ */
+
+import { setItemBadge } from './mobile-bottom-navigation-badges.js';
+import { DEFAULT_OPTIONS } from './mobile-bottom-navigation-options.js';
+
+/**
+ * Shortest interval between two polls of the same item (ms)
+ */
+const MIN_INTERVAL = 1000;
+
+/**
+ * Minimum time between two polls of the same item when resuming (ms), so
+ * visibilitychange and focus firing together only cause one request
+ */
+const RESUME_GAP = 250;
+
+/**
+ * Check if the page is hidden
+ * @returns {boolean}
+ */
+const isPageHidden = () => document.visibilityState === 'hidden';
+
+/**
+ * Pick the first usable interval, raised to MIN_INTERVAL
+ * @param {...*} candidates Values from the most to the least specific source
+ * @returns {number}
+ */
+const resolveInterval = (...candidates) => {
+  const interval = candidates.map(Number).find((value) => Number.isFinite(value) && value > 0);
+
+  return Math.max(interval ?? DEFAULT_OPTIONS.badgePolling.interval, MIN_INTERVAL);
+};
+
+class MobileBottomNavigationBadgePoller {
+  /**
+   * @param {HTMLElement[]} items Items of one nav
+   * @param {Object} options The badgePolling options
+   */
+  constructor(items, options) {
+    this.options = options;
+    this.abortController = new AbortController();
+    this.targets = this.resolveTargets(items);
+
+    const { signal } = this.abortController;
+
+    document.addEventListener('visibilitychange', () => this.handleVisibilityChange(), { signal });
+    window.addEventListener('focus', () => this.resume(), { signal });
+
+    if (!isPageHidden()) {
+      this.targets.forEach((target) => this.schedule(target, target.interval));
+    }
+  }
+
+  /**
+   * Collect the items that declare an endpoint
+   * @param {HTMLElement[]} items
+   * @returns {Array<{item: HTMLElement, url: string, interval: number, delay: number, timer: number|null, fetching: boolean, lastPolledAt: number}>}
+   */
+  resolveTargets(items) {
+    const declared = this.options.items || {};
+
+    return items
+      .map((item) => {
+        let config = declared[item.dataset.fmbnKey] || {};
+        if (typeof config === 'string') config = { url: config };
+
+        const url = item.dataset.fmbnBadgeUrl || config.url;
+        if (!url) return null;
+
+        const interval = resolveInterval(item.dataset.fmbnBadgeInterval, config.interval, this.options.interval);
+
+        return {
+          item,
+          url,
+          interval,
+          delay: interval,
+          timer: null,
+          fetching: false,
+          lastPolledAt: Date.now(),
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Poll a target after a delay
+   * @param {Object} target
+   * @param {number} delay
+   */
+  schedule(target, delay) {
+    clearTimeout(target.timer);
+    target.timer = setTimeout(() => this.poll(target), delay);
+  }
+
+  /**
+   * Fetch the badge of a target and schedule the next poll
+   * @param {Object} target
+   */
+  async poll(target) {
+    // Called early (resume) the scheduled poll must not start a second chain
+    clearTimeout(target.timer);
+    target.timer = null;
+
+    if (isPageHidden() || target.fetching) return;
+
+    target.fetching = true;
+    target.lastPolledAt = Date.now();
+
+    try {
+      const response = await fetch(target.url, {
+        headers: { Accept: 'application/json', 'X-Requested-With': 'XMLHttpRequest' },
+        credentials: 'same-origin',
+        signal: this.abortController.signal,
+      });
+
+      if (!response.ok) {
+        throw new Error(`Badge endpoint ${target.url} answered ${response.status}`);
+      }
+
+      const data = await response.json();
+      const isObject = data !== null && typeof data === 'object';
+
+      setItemBadge(target.item, isObject ? data.value : data, isObject ? data.color : undefined);
+
+      target.delay = target.interval;
+    } catch (e) {
+      if (this.abortController.signal.aborted) return;
+
+      // Back off: double the delay up to the limit
+      target.delay = Math.min(target.delay * 2, Math.max(this.options.backoff, target.interval));
+    } finally {
+      target.fetching = false;
+    }
+
+    if (!isPageHidden()) {
+      this.schedule(target, target.delay);
+    }
+  }
+
+  /**
+   * Pause while hidden, resume when visible again
+   */
+  handleVisibilityChange() {
+    if (isPageHidden()) {
+      this.pause();
+    } else {
+      this.resume();
+    }
+  }
+
+  /**
+   * Stop the timers; requests in flight still update their badge
+   */
+  pause() {
+    this.targets.forEach((target) => {
+      clearTimeout(target.timer);
+      target.timer = null;
+    });
+  }
+
+  /**
+   * Poll every target right away, then continue at its interval. Targets
+   * backing off after a failure wait for the end of their delay.
+   */
+  resume() {
+    if (isPageHidden()) return;
+
+    this.targets.forEach((target) => {
+      if (target.fetching) return;
+
+      const elapsed = Date.now() - target.lastPolledAt;
+      const wait = target.delay > target.interval ? target.delay : RESUME_GAP;
+
+      if (elapsed < wait) {
+        if (!target.timer) this.schedule(target, target.delay - elapsed);
+        return;
+      }
+
+      clearTimeout(target.timer);
+      this.poll(target);
+    });
+  }
+
+  /**
+   * Stop polling and cancel requests in flight
+   */
+  destroy() {
+    this.pause();
+    this.abortController.abort();
+    this.targets = [];
+  }
+}
+
+export default MobileBottomNavigationBadgePoller;
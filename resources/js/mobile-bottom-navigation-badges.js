@@ -0,0 +1,354 @@
+/**
+ * Mobile Bottom Navigation Badges
+ *
+ * Creates, updates and removes item badges in place, so counts can change
+ * without a full reload. Items are addressed by their data-fmbn-key (the
+ * resource or page slug, e.g. "orders"); items in the "More" sheet count too.
+ *
+ * From JavaScript:
+ *   FilamentMobileBottomNavigation.setBadge('orders', 12, 'warning')
+ *
+ * From PHP (any Livewire component):
+ *   $this->dispatch('fmbn:set-badge', key: 'orders', value: 12, color: 'warning');
+ *
+ * Every change dispatches a bubbling `fmbn:badge-change` event
+ * ({ key, value, color, item }) from the nav element.
+ *
+ * Numeric values are formatted for display (capped at `max`, e.g. "99+", or
+ * compact per locale, e.g. "1.2K"), or reduced to a dot. The raw value stays
+ * in data-fmbn-badge-value. The badge itself is hidden from screen readers;
+ * the item gets a pluralized description ("12 notifications") through
+ * aria-describedby instead, so the count is read once, with the item.
+ */
+
+import { dispatchNavEvent } from './mobile-bottom-navigation.js';
+import { DEFAULT_OPTIONS } from './mobile-bottom-navigation-options.js';
+import { getSheetItems, getSheetNav } from './mobile-bottom-navigation-sheet.js';
+
+/**
+ * Inline position of the badge, same as the server-rendered one
+ */
+const BADGE_STYLE = 'position: absolute; top: -4px; inset-inline-end: -4px; white-space: nowrap;';
+
+const COLOR_CLASS_PREFIX = 'fmbn-nav-item__badge--';
+
+const DOT_CLASS = 'fmbn-nav-item__badge--dot';
+
+/**
+ * Badge options of each nav, set by its controller
+ * @type {WeakMap<HTMLElement, Object>}
+ */
+const navOptions = new WeakMap();
+
+let descriptionCount = 0;
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+const isColorClass = (name) => name.startsWith(COLOR_CLASS_PREFIX) && name !== DOT_CLASS;
+
+/**
+ * Values that hide the badge, like an empty `$item->getBadge()` in Blade
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isEmptyValue = (value) =>
+  value === null || value === undefined || value === false || value === '' || value === 0 || value === '0';
+
+/**
+ * Find the items with a key in every bar on the page
+ * @param {string} key
+ * @returns {HTMLElement[]}
+ */
+export const findItems = (key) => {
+  const escaped = typeof CSS !== 'undefined' && CSS.escape ? CSS.escape(key) : String(key).replace(/"/g, '\\"');
+
+  return Array.from(
+    document.querySelectorAll(
+      `.fmbn-bottom-nav .fmbn-nav-item[data-fmbn-key="${escaped}"], [data-fmbn-sheet] .fmbn-sheet__item[data-fmbn-key="${escaped}"]`
+    )
+  );
+};
+
+/**
+ * Get the nav an item belongs to; items of the "More" sheet belong to the
+ * nav of the tab that opens it
+ * @param {HTMLElement} item
+ * @returns {HTMLElement|null}
+ */
+const getItemNav = (item) => item.closest('.fmbn-bottom-nav') || getSheetNav(item);
+
+/**
+ * Get the badge element of an item
+ * @param {HTMLElement} item
+ * @returns {HTMLElement|null}
+ */
+export const getBadgeElement = (item) => item.querySelector('.fmbn-nav-item__badge');
+
+/**
+ * Get the color name of a badge
+ * @param {HTMLElement} badge
+ * @returns {string|null}
+ */
+export const getBadgeColor = (badge) => {
+  const name = Array.from(badge.classList).find(isColorClass);
+
+  return name ? name.slice(COLOR_CLASS_PREFIX.length) : null;
+};
+
+/**
+ * Replace the color modifier of a badge
+ * @param {HTMLElement} badge
+ * @param {string|null} color null removes the color
+ */
+const setBadgeColor = (badge, color) => {
+  Array.from(badge.classList)
+    .filter(isColorClass)
+    .forEach((name) => badge.classList.remove(name));
+
+  if (color) {
+    badge.classList.add(`${COLOR_CLASS_PREFIX}${color}`);
+  }
+};
+
+/**
+ * Get the raw value of a badge
+ * @param {HTMLElement} badge
+ * @returns {string}
+ */
+export const getBadgeValue = (badge) => badge.dataset.fmbnBadgeValue ?? badge.textContent.trim();
+
+/**
+ * Get the badge options that apply to an item
+ * @param {HTMLElement} item
+ * @returns {Object}
+ */
+const getItemOptions = (item) => navOptions.get(getItemNav(item)) || DEFAULT_OPTIONS.badges;
+
+/**
+ * Get the language of an item, for number formatting and plural rules
+ * @param {HTMLElement} item
+ * @returns {string}
+ */
+const getItemLocale = (item) => item.closest('[lang]')?.getAttribute('lang') || navigator.language || 'en';
+
+/**
+ * Parse a count; only plain non-negative integers count as numbers
+ * @param {string} value
+ * @returns {number|null}
+ */
+const parseCount = (value) => (/^\d+$/.test(value) ? Number(value) : null);
+
+/**
+ * Format a badge value for display
+ * @param {string} value Raw value
+ * @param {Object} options Badge options ({ max, compact })
+ * @param {string} locale
+ * @returns {string} "99+", "1.2K", "7" or the text itself
+ */
+export const formatBadgeValue = (value, options, locale) => {
+  const count = parseCount(value);
+  if (count === null) return value;
+
+  if (options.max && count > options.max) {
+    return `${new Intl.NumberFormat(locale).format(options.max)}+`;
+  }
+
+  const format = options.compact ? { notation: 'compact', maximumFractionDigits: 1 } : {};
+
+  return new Intl.NumberFormat(locale, format).format(count);
+};
+
+/**
+ * Build the accessible text of a badge
+ * @param {string} value Raw value
+ * @param {Object} options Badge options ({ description: { one, other, ... } })
+ * @param {string} locale
+ * @returns {string} e.g. "12 notifications"; text badges are read as is
+ */
+export const describeBadgeValue = (value, options, locale) => {
+  const count = parseCount(value);
+  const forms = options.description || {};
+
+  if (count === null || !forms.other) return value;
+
+  const template = forms[new Intl.PluralRules(locale).select(count)] || forms.other;
+
+  return template.replace(/:count/g, new Intl.NumberFormat(locale).format(count));
+};
+
+/**
+ * Add or remove an id in an aria-describedby list
+ * @param {HTMLElement} item
+ * @param {string} id
+ * @param {boolean} present
+ */
+const toggleDescribedBy = (item, id, present) => {
+  const ids = (item.getAttribute('aria-describedby') || '').split(/\s+/).filter((token) => token && token !== id);
+  if (present) ids.push(id);
+
+  if (ids.length > 0) {
+    item.setAttribute('aria-describedby', ids.join(' '));
+  } else {
+    item.removeAttribute('aria-describedby');
+  }
+};
+
+/**
+ * Create, update or remove the accessible description of an item's badge
+ * @param {HTMLElement} item
+ * @param {string|null} text null removes the description
+ */
+const updateDescription = (item, text) => {
+  let description = item.querySelector('[data-fmbn-badge-description]');
+
+  if (text === null) {
+    if (description) {
+      toggleDescribedBy(item, description.id, false);
+      description.remove();
+    }
+    return;
+  }
+
+  if (!description) {
+    // `hidden` keeps it out of the reading order; aria-describedby still
+    // reads hidden elements
+    description = document.createElement('span');
+    description.id = `fmbn-badge-description-${++descriptionCount}`;
+    description.hidden = true;
+    description.setAttribute('data-fmbn-badge-description', '');
+    item.appendChild(description);
+  }
+
+  description.textContent = text;
+  toggleDescribedBy(item, description.id, true);
+};
+
+/**
+ * Display a raw value in a badge and describe it on the item
+ * @param {HTMLElement} item
+ * @param {HTMLElement} badge
+ * @param {string} value
+ */
+const renderBadge = (item, badge, value) => {
+  const options = getItemOptions(item);
+  const locale = getItemLocale(item);
+
+  badge.dataset.fmbnBadgeValue = value;
+  badge.classList.toggle(DOT_CLASS, !!options.dot);
+  badge.textContent = options.dot ? '' : formatBadgeValue(value, options, locale);
+  badge.setAttribute('aria-hidden', 'true');
+
+  updateDescription(item, describeBadgeValue(value, options, locale));
+};
+
+/**
+ * Set the badge options of a nav and re-render its badges with them
+ * @param {HTMLElement} nav
+ * @param {Object} options The badges options
+ */
+export const setBadgeOptions = (nav, options) => {
+  navOptions.set(nav, options);
+
+  [...nav.querySelectorAll('.fmbn-nav-item'), ...getSheetItems(nav)].forEach((item) => {
+    const badge = getBadgeElement(item);
+
+    if (badge) {
+      renderBadge(item, badge, getBadgeValue(badge));
+    }
+  });
+};
+
+/**
+ * Create, update or remove the badge of an item
+ * @param {HTMLElement} item
+ * @param {string|number|null} value Empty values (null, '', 0) remove the badge
+ * @param {string|null} [color] Filament color name; undefined keeps the current one
+ * @returns {boolean} Whether the badge changed
+ */
+export const updateItemBadge = (item, value, color) => {
+  let badge = getBadgeElement(item);
+
+  if (isEmptyValue(value)) {
+    if (!badge) return false;
+
+    badge.remove();
+    updateDescription(item, null);
+    return true;
+  }
+
+  const text = String(value).trim();
+  const colorClass = color ? `${COLOR_CLASS_PREFIX}${color}` : null;
+
+  if (badge && getBadgeValue(badge) === text && (color === undefined || badge.classList.contains(colorClass))) {
+    return false;
+  }
+
+  if (!badge) {
+    const icon = item.querySelector('.fmbn-nav-item__icon');
+    if (!icon) return false;
+
+    badge = document.createElement('span');
+    badge.className = 'fmbn-nav-item__badge';
+    badge.setAttribute('style', BADGE_STYLE);
+    icon.appendChild(badge);
+  }
+
+  renderBadge(item, badge, text);
+
+  if (color !== undefined) {
+    setBadgeColor(badge, color);
+  }
+
+  return true;
+};
+
+/**
+ * Create, update or remove the badge of the items with a key
+ * @param {string} key data-fmbn-key of the item
+ * @param {string|number|null} value Empty values (null, '', 0) remove the badge
+ * @param {string|null} [color] Filament color name (danger, warning, ...);
+ *   undefined keeps the current one
+ * @returns {boolean} Whether an item with the key exists
+ */
+export const setBadge = (key, value, color) => {
+  const items = findItems(key);
+
+  items.forEach((item) => setItemBadge(item, value, color));
+
+  return items.length > 0;
+};
+
+/**
+ * Update the badge of one item and report the change
+ * @param {HTMLElement} item
+ * @param {string|number|null} value Empty values (null, '', 0) remove the badge
+ * @param {string|null} [color] undefined keeps the current color
+ * @returns {boolean} Whether the badge changed
+ */
+export const setItemBadge = (item, value, color) => {
+  if (!updateItemBadge(item, value, color)) return false;
+
+  const badge = getBadgeElement(item);
+  const nav = getItemNav(item) || item;
+
+  dispatchNavEvent(nav, 'badge-change', {
+    key: item.dataset.fmbnKey || null,
+    value: badge ? getBadgeValue(badge) : null,
+    color: badge ? getBadgeColor(badge) : null,
+    item,
+  });
+
+  return true;
+};
+
+/**
+ * Let PHP push counts: $this->dispatch('fmbn:set-badge', key: 'orders', value: 12)
+ */
+window.addEventListener('fmbn:set-badge', (event) => {
+  const { key, value = null, color } = event.detail || {};
+  if (!key) return;
+
+  setBadge(String(key), value, color);
+});
@@ -0,0 +1,281 @@
+/**
+ * Mobile Bottom Navigation FAB
+ *
+ * The raised button in the center of the bar, for the panel's main action.
+ * It is a wire:navigate link (url), or a button that mounts a Filament action
+ * of the current page (action) or dispatches a Livewire event (event), with
+ * optional params (see mobile-bottom-navigation-actions.js).
+ *
+ * Pages can replace or hide it; the next navigation renders the panel's
+ * button again.
+ *
+ * From JavaScript:
+ *   FilamentMobileBottomNavigation.setFab({ label: 'New post', action: 'create' })
+ *   FilamentMobileBottomNavigation.setFab(null)    // hide
+ *
+ * From PHP (any Livewire component):
+ *   $this->dispatch('fmbn:set-fab', label: 'New post', action: 'create');
+ *   $this->dispatch('fmbn:set-fab', hidden: true);
+ *
+ * Without a url, action or event the current target stays, so a page can
+ * change only the label. Icons are SVG markup (in PHP:
+ * svg('heroicon-o-pencil')->toHtml()), reduced to plain shapes; without one
+ * the current icon stays. Urls must be http(s); others (e.g. javascript:)
+ * are refused.
+ *
+ * Every change dispatches a bubbling `fmbn:fab-change` event
+ * ({ hidden, label, item }) from the nav element.
+ */
+
+import { dispatchNavEvent } from './mobile-bottom-navigation.js';
+import { runAction, setActionTarget, TARGET_ATTRIBUTES } from './mobile-bottom-navigation-actions.js';
+
+/**
+ * heroicon-o-plus, for buttons created without an icon
+ */
+const DEFAULT_ICON =
+  '<svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" style="width: 24px; height: 24px;"><path stroke-linecap="round" stroke-linejoin="round" d="M12 4.5v15m7.5-7.5h-15" /></svg>';
+
+/**
+ * Inline styles of the server-rendered button
+ */
+const ITEM_STYLE =
+  'min-width: 44px; min-height: 44px; flex: 1; display: flex; flex-direction: column; align-items: center; justify-content: center;';
+
+const BUTTON_STYLE = `${ITEM_STYLE} border: 0; background: none; font: inherit; cursor: pointer;`;
+
+/**
+ * SVG elements an icon may contain. Anything else (scripts, foreignObject,
+ * animations, links, images) is dropped with its content.
+ */
+const ICON_ELEMENTS = new Set([
+  'svg', 'g', 'path', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'rect',
+  'defs', 'use', 'symbol', 'title', 'desc', 'clippath', 'mask',
+  'lineargradient', 'radialgradient', 'stop',
+]);
+
+/**
+ * Attributes an icon element may keep
+ */
+const ICON_ATTRIBUTES = new Set([
+  'xmlns', 'xmlns:xlink', 'viewbox', 'width', 'height', 'x', 'y', 'x1', 'y1', 'x2', 'y2',
+  'cx', 'cy', 'r', 'rx', 'ry', 'd', 'points', 'transform', 'preserveaspectratio',
+  'fill', 'fill-rule', 'fill-opacity', 'clip-rule', 'clip-path', 'mask', 'opacity',
+  'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit',
+  'stroke-dasharray', 'stroke-dashoffset', 'stroke-opacity',
+  'offset', 'stop-color', 'stop-opacity', 'gradientunits', 'gradienttransform',
+  'clippathunits', 'maskunits', 'id', 'class', 'style', 'role', 'aria-hidden',
+  'data-slot', 'href', 'xlink:href',
+]);
+
+/**
+ * Check an attribute value only points inside the icon: links are `#id`
+ * fragments and paints or styles only use `url(#id)`
+ * @param {Attr} attribute
+ * @returns {boolean}
+ */
+const isLocalReference = ({ name, value }) => {
+  if (name === 'href' || name === 'xlink:href') return /^\s*#/.test(value);
+
+  return !/url\s*\(\s*['"]?\s*(?!#)/i.test(value) && !/expression\s*\(/i.test(value);
+};
+
+/**
+ * Parse SVG markup into an icon, keeping only allowed elements and
+ * attributes, so markup from the page cannot run scripts or load resources
+ * @param {string} markup
+ * @returns {SVGElement|null}
+ */
+const parseIcon = (markup) => {
+  const svg = new DOMParser().parseFromString(String(markup), 'text/html').querySelector('svg');
+  if (!svg) return null;
+
+  const clean = (element) => {
+    Array.from(element.children).forEach((child) => {
+      if (ICON_ELEMENTS.has(child.localName.toLowerCase())) {
+        clean(child);
+      } else {
+        child.remove();
+      }
+    });
+
+    Array.from(element.attributes)
+      .filter((attribute) => !ICON_ATTRIBUTES.has(attribute.name.toLowerCase()) || !isLocalReference(attribute))
+      .forEach((attribute) => element.removeAttribute(attribute.name));
+  };
+
+  clean(svg);
+
+  return document.importNode(svg, true);
+};
+
+/**
+ * Check a url is a web address, so a page cannot turn the button into a
+ * javascript: (or data:) link
+ * @param {string} url
+ * @returns {boolean}
+ */
+const isWebUrl = (url) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(String(url), window.location.href).protocol);
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Create an empty button, a link for urls
+ * @param {boolean} isLink
+ * @returns {HTMLElement}
+ */
+const createFabElement = (isLink) => {
+  const element = document.createElement(isLink ? 'a' : 'button');
+
+  element.className = 'fmbn-nav-item fmbn-nav-item--fab';
+  element.setAttribute('data-fmbn-fab', '');
+  element.setAttribute('style', isLink ? ITEM_STYLE : BUTTON_STYLE);
+
+  if (isLink) {
+    element.setAttribute('wire:navigate', '');
+    element.setAttribute('data-fmbn-match', 'none');
+  } else {
+    element.type = 'button';
+  }
+
+  const circle = document.createElement('span');
+  circle.className = 'fmbn-fab__button';
+  circle.setAttribute('aria-hidden', 'true');
+
+  const icon = document.createElement('span');
+  icon.className = 'fmbn-fab__icon';
+  icon.setAttribute('style', 'width: 24px; height: 24px; display: flex;');
+  icon.append(parseIcon(DEFAULT_ICON));
+
+  circle.append(icon);
+  element.append(circle);
+
+  return element;
+};
+
+/**
+ * Add a button in the middle of a bar that has none
+ * @param {HTMLElement} nav
+ * @returns {HTMLElement|null} The list item
+ */
+const createFabListItem = (nav) => {
+  const list = nav.querySelector('.fmbn-nav__list');
+  if (!list) return null;
+
+  const listItem = document.createElement('li');
+  listItem.className = 'fmbn-nav__list-item fmbn-nav__list-item--fab';
+  listItem.setAttribute('style', 'flex: 1; margin: 0; padding: 0;');
+
+  list.insertBefore(listItem, list.children[Math.floor(list.children.length / 2)] || null);
+
+  return listItem;
+};
+
+/**
+ * Replace, update or hide the button of one bar
+ * @param {HTMLElement} nav
+ * @param {Object|null} fab { label, icon, url, action, event, params }, or
+ *   null / { hidden: true } to hide it
+ * @returns {boolean} Whether the bar changed
+ */
+export const setNavFab = (nav, fab) => {
+  let element = nav.querySelector('[data-fmbn-fab]');
+  const hidden = !fab || fab.hidden === true;
+
+  if (hidden) {
+    if (!element) return false;
+
+    (element.closest('.fmbn-nav__list-item') || element).hidden = true;
+  } else {
+    if (fab.url && !isWebUrl(fab.url)) {
+      console.warn(`[filament-mobile-bottom-navigation] Ignoring FAB url "${fab.url}": only http(s) urls are allowed.`);
+      return false;
+    }
+
+    const hasTarget = !!(fab.url || fab.action || fab.event);
+
+    if (!element && !hasTarget) {
+      console.warn('[filament-mobile-bottom-navigation] The FAB needs a url, action or event.');
+      return false;
+    }
+
+    const isLink = hasTarget ? !!fab.url : element.hasAttribute('href');
+
+    // A link cannot become a button (or back) in place
+    if (!element || (element.tagName === 'A') !== isLink) {
+      const replacement = createFabElement(isLink);
+
+      if (element) {
+        const icon = element.querySelector('.fmbn-fab__icon');
+        if (icon) replacement.querySelector('.fmbn-fab__icon').replaceWith(icon);
+
+        replacement.setAttribute('aria-label', element.getAttribute('aria-label') || '');
+        element.replaceWith(replacement);
+      } else {
+        const listItem = createFabListItem(nav);
+        if (!listItem) return false;
+
+        listItem.append(replacement);
+      }
+
+      element = replacement;
+    }
+
+    if (hasTarget) {
+      if (isLink) {
+        TARGET_ATTRIBUTES.forEach((name) => element.removeAttribute(name));
+        element.setAttribute('href', fab.url);
+      } else {
+        setActionTarget(element, fab);
+      }
+    }
+
+    if (fab.label) {
+      element.setAttribute('aria-label', String(fab.label));
+    }
+
+    const icon = fab.icon ? parseIcon(fab.icon) : null;
+    if (icon) element.querySelector('.fmbn-fab__icon').replaceChildren(icon);
+
+    (element.closest('.fmbn-nav__list-item') || element).hidden = false;
+  }
+
+  dispatchNavEvent(nav, 'fab-change', {
+    hidden,
+    label: hidden ? null : element.getAttribute('aria-label'),
+    item: element,
+  });
+
+  return true;
+};
+
+/**
+ * Replace, update or hide the button of every bar on the page
+ * @param {Object|null} fab See setNavFab()
+ * @returns {boolean} Whether a bar changed
+ */
+export const setFab = (fab) =>
+  Array.from(document.querySelectorAll('.fmbn-bottom-nav')).filter((nav) => setNavFab(nav, fab)).length > 0;
+
+/**
+ * Run the action or event of buttons; links are left to wire:navigate.
+ * Disabled buttons never get here: the controller stops their clicks.
+ */
+document.addEventListener('click', (event) => {
+  const fab = event.target.closest?.('button[data-fmbn-fab]');
+  if (!fab || !fab.closest('.fmbn-bottom-nav')) return;
+
+  runAction(fab);
+});
+
+/**
+ * Let pages override the button:
+ * $this->dispatch('fmbn:set-fab', label: 'New post', action: 'create')
+ */
+window.addEventListener('fmbn:set-fab', (event) => {
+  setFab(event.detail || null);
+});
@@ -0,0 +1,274 @@
+/**
+ * Mobile Bottom Navigation Options
+ *
+ * Resolves the options of a nav from, in increasing priority:
+ * 1. Built-in defaults
+ * 2. Panel settings serialized by the service provider (config file merged
+ *    with the panel's plugin settings, via FilamentAsset::registerScriptData)
+ * 3. data-fmbn-* attributes on the nav element
+ * 4. Options passed in JavaScript
+ *
+ * Unknown keys and values of the wrong type are dropped with a console warning.
+ */
+
+export const DEFAULT_OPTIONS = {
+  // Viewport width (px) from which the panel's sidebar is used and the bar
+  // hides; the stylesheet rendered with the bar applies it
+  breakpoint: 768,
+
+  // Only one item is reachable with Tab; arrows move focus and the tab stop
+  rovingTabindex: false,
+
+  // Arrow keys wrap from the last item to the first (and back)
+  wrapAround: true,
+
+  // Typing letters moves focus to the next item whose label matches
+  typeahead: true,
+
+  // Global shortcuts: items[n] activates the nth item, focus enters the bar
+  hotkeys: {
+    enabled: false,
+    items: ['Alt+1', 'Alt+2', 'Alt+3', 'Alt+4', 'Alt+5', 'Alt+6', 'Alt+7', 'Alt+8', 'Alt+9'],
+    focus: 'Alt+0',
+  },
+
+  // Recompute the active item from the URL after wire:navigate and popstate
+  activeSync: true,
+
+  // Announce the new page to screen readers after navigating from the bar;
+  // `:title` is replaced with the page heading
+  announcements: {
+    enabled: true,
+    template: ':title, page loaded',
+    throttle: 1000,
+  },
+
+  // After keyboard navigation from the bar, move focus to the first visible
+  // target (tried in order); mouse and touch navigation keep focus in place
+  focusMainContent: {
+    enabled: false,
+    targets: ['.fi-header-heading', 'main h1', 'h1', 'main'],
+  },
+
+  // Refresh badges in the background. `items` maps item keys to an endpoint
+  // URL or { url, interval }; errors back off up to `backoff` ms
+  badgePolling: {
+    enabled: false,
+    interval: 30000,
+    backoff: 300000,
+    items: {},
+  },
+
+  // Share badge values and preferences with the other tabs of the panel
+  crossTabSync: true,
+
+  // Badge display: cap ("99+"), compact numbers per locale, dot only, and the
+  // accessible text per plural category
+  badges: {
+    max: 99,
+    compact: true,
+    dot: false,
+    description: {
+      one: ':count notification',
+      other: ':count notifications',
+    },
+  },
+
+  // Slide the bar out when scrolling down and back in when scrolling up, once
+  // a scroll covers `threshold` px or is faster than `velocity` px/ms. It is
+  // always shown at the top and within `bottom` px of the bottom
+  hideOnScroll: {
+    enabled: false,
+    threshold: 48,
+    velocity: 0.5,
+    bottom: 80,
+  },
+
+  // Hide the bar while the on-screen keyboard is open
+  hideWithKeyboard: true,
+
+  // Slide an indicator to the active tab instead of styling the tab itself.
+  // `style` is 'pill', 'underline' or 'top-bar'
+  activeIndicator: {
+    enabled: false,
+    style: 'pill',
+  },
+
+  // How long (ms) an item with quick actions is held before its menu opens
+  longPressDelay: 500,
+
+  // Swipe horizontally on the page content to move to the neighboring tab,
+  // once a swipe covers `distance` px or is faster than `velocity` px/ms
+  swipeNavigation: {
+    enabled: false,
+    distance: 80,
+    velocity: 0.5,
+  },
+};
+
+/**
+ * data-fmbn-* attributes on the nav that are not options: the panel id, and
+ * state the script sets itself (data-fmbn-keyboard-open), which a copy or a
+ * morph of the nav may carry to the next controller
+ */
+const RESERVED_ATTRIBUTES = ['panel', 'keyboardOpen'];
+
+const warnings = new Set();
+
+/**
+ * Warn once per message
+ * @param {string} message
+ */
+const warn = (message) => {
+  if (warnings.has(message)) return;
+  warnings.add(message);
+
+  console.warn(`[filament-mobile-bottom-navigation] ${message}`);
+};
+
+/**
+ * Get the type name used for validation
+ * @param {*} value
+ * @returns {string}
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isPlainObject = (value) => typeOf(value) === 'object';
+
+/**
+ * Drop unknown keys and values of the wrong type
+ * @param {Object} options
+ * @param {string} source Where the options came from, for the warning
+ * @returns {Object}
+ */
+const validate = (options, source) => {
+  const valid = {};
+
+  Object.entries(options || {}).forEach(([key, value]) => {
+    if (!(key in DEFAULT_OPTIONS)) {
+      warn(`Unknown option "${key}" in ${source}.`);
+      return;
+    }
+
+    const expected = typeOf(DEFAULT_OPTIONS[key]);
+    const actual = typeOf(value);
+
+    if (actual !== expected) {
+      warn(`Option "${key}" in ${source} should be of type ${expected}, got ${actual}.`);
+      return;
+    }
+
+    // e.g. data-fmbn-breakpoint="wide"
+    if (expected === 'number' && !Number.isFinite(value)) {
+      warn(`Option "${key}" in ${source} should be a finite number, got ${value}.`);
+      return;
+    }
+
+    valid[key] = value;
+  });
+
+  return valid;
+};
+
+/**
+ * Convert an attribute value to the type of the option
+ * @param {string} value
+ * @param {string} type
+ * @returns {*}
+ */
+const parseAttribute = (value, type) => {
+  switch (type) {
+    // A bare attribute (data-fmbn-roving-tabindex) means true
+    case 'boolean':
+      return value !== 'false';
+
+    case 'number':
+      return value.trim() === '' ? NaN : Number(value);
+
+    case 'object':
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return value;
+      }
+
+    default:
+      return value;
+  }
+};
+
+/**
+ * Read the data registered by the service provider
+ * @returns {{defaults?: Object, panels?: Object<string, Object>}}
+ */
+export const getScriptData = () =>
+  (typeof window !== 'undefined' && window.filamentData?.filamentMobileBottomNavigation) || {};
+
+/**
+ * Get the serialized settings of a panel
+ * @param {string|undefined} panelId
+ * @returns {Object}
+ */
+export const getPanelOptions = (panelId) => {
+  const { defaults = {}, panels = {} } = getScriptData();
+
+  return (panelId && panels[panelId]) || defaults;
+};
+
+/**
+ * Read the data-fmbn-* option attributes of a nav
+ * @param {HTMLElement} nav
+ * @returns {Object}
+ */
+export const getAttributeOptions = (nav) => {
+  const options = {};
+
+  Object.entries(nav.dataset).forEach(([name, value]) => {
+    if (!name.startsWith('fmbn') || name.length <= 4) return;
+
+    // data-fmbn-roving-tabindex → dataset.fmbnRovingTabindex → rovingTabindex
+    const key = name.charAt(4).toLowerCase() + name.slice(5);
+    if (RESERVED_ATTRIBUTES.includes(key)) return;
+
+    options[key] = key in DEFAULT_OPTIONS ? parseAttribute(value, typeOf(DEFAULT_OPTIONS[key])) : value;
+  });
+
+  return validate(options, 'data-fmbn-* attributes');
+};
+
+/**
+ * Merge option sets; nested objects (e.g. hotkeys) are merged one level deep
+ * @param {...Object} sources
+ * @returns {Object}
+ */
+const merge = (...sources) =>
+  sources.reduce((merged, source) => {
+    Object.entries(source).forEach(([key, value]) => {
+      merged[key] =
+        isPlainObject(value) && isPlainObject(merged[key]) ? { ...merged[key], ...value } : value;
+    });
+
+    return merged;
+  }, {});
+
+/**
+ * Resolve the options of a nav
+ * @param {HTMLElement} nav
+ * @param {Object} [options] Options passed in JavaScript
+ * @returns {Object}
+ */
+export const resolveOptions = (nav, options = {}) =>
+  merge(
+    DEFAULT_OPTIONS,
+    validate(getPanelOptions(nav.dataset.fmbnPanel), 'panel settings'),
+    getAttributeOptions(nav),
+    validate(options, 'JavaScript options')
+  );
@@ -0,0 +1,105 @@
+/**
+ * Mobile Bottom Navigation Preferences
+ *
+ * Small per-panel key/value store for user nav preferences, kept in
+ * localStorage and shared with the other tabs of the same panel. Where storage
+ * is unavailable or full, preferences are kept in memory until the page
+ * reloads (wire:navigate keeps them). Every change, local or from another tab,
+ * dispatches a bubbling `fmbn:preference-change` event ({ name, value }) from
+ * the panel's navs.
+ */
+
+import { dispatchNavEvent } from './mobile-bottom-navigation.js';
+import { publish } from './mobile-bottom-navigation-sync.js';
+
+/**
+ * @param {string} panel
+ * @returns {string}
+ */
+const storageKey = (panel) => `fmbn:preferences:${panel}`;
+
+/**
+ * Preferences of the panels whose last write to storage failed
+ * @type {Map<string, Object>}
+ */
+const memory = new Map();
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+
+/**
+ * Read every preference of a panel
+ * @param {string} panel
+ * @returns {Object}
+ */
+export const getPreferences = (panel) => {
+  if (memory.has(panel)) {
+    return { ...memory.get(panel) };
+  }
+
+  try {
+    const preferences = JSON.parse(localStorage.getItem(storageKey(panel)));
+
+    // Anything else was not written by this script
+    return isPlainObject(preferences) ? preferences : {};
+  } catch (e) {
+    return {};
+  }
+};
+
+/**
+ * Read a preference
+ * @param {string} panel
+ * @param {string} name
+ * @param {*} [fallback] Returned when the preference is not set
+ * @returns {*}
+ */
+export const getPreference = (panel, name, fallback = null) => {
+  const preferences = getPreferences(panel);
+
+  return name in preferences ? preferences[name] : fallback;
+};
+
+/**
+ * Tell the navs of a panel that a preference changed
+ * @param {string} panel
+ * @param {string} name
+ * @param {*} value
+ */
+export const notifyPreferenceChange = (panel, name, value) => {
+  document.querySelectorAll('.fmbn-bottom-nav').forEach((nav) => {
+    if (nav.dataset.fmbnPanel !== panel) return;
+
+    dispatchNavEvent(nav, 'preference-change', { name, value });
+  });
+};
+
+/**
+ * Save a preference and share it with the other tabs
+ * @param {string} panel
+ * @param {string} name
+ * @param {*} value null removes the preference
+ */
+export const setPreference = (panel, name, value) => {
+  const preferences = getPreferences(panel);
+
+  if (value === null || value === undefined) {
+    delete preferences[name];
+  } else {
+    preferences[name] = value;
+  }
+
+  try {
+    localStorage.setItem(storageKey(panel), JSON.stringify(preferences));
+    memory.delete(panel);
+  } catch (e) {
+    // Storage unavailable or full: keep the preferences until the page reloads
+    memory.set(panel, preferences);
+  }
+
+  notifyPreferenceChange(panel, name, value ?? null);
+  publish(panel, 'preference', { name, value: value ?? null });
+};
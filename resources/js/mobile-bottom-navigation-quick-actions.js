@@ -0,0 +1,307 @@
+/**
+ * Mobile Bottom Navigation Quick Actions
+ *
+ * Menu of shortcuts opened from an item, like the long-press menus of native
+ * app icons. The item points at its menu (a role="menu" element outside the
+ * bar) with data-fmbn-quick-actions; entries are wire:navigate links or
+ * buttons run by mobile-bottom-navigation-actions.js.
+ *
+ * - Opens on a long press (touch, pen or mouse, held for `delay` ms without
+ *   moving), a right click, the context menu key or Shift+F10
+ * - The press that opened it does not navigate: the following mouseup and
+ *   click are stopped before wire:navigate sees them
+ * - Anchored above the item and kept inside the viewport
+ * - Focus moves to the first entry; Up/Down arrows and Home/End move between
+ *   entries, Escape closes and returns focus to the item, Tab and a press
+ *   outside close it
+ */
+
+import { runAction } from './mobile-bottom-navigation-actions.js';
+
+/**
+ * Movement (px) after which a press is a drag or scroll, not a long press
+ */
+const MOVE_TOLERANCE = 10;
+
+/**
+ * Space (px) between the menu and the item, and the menu and screen edges
+ */
+const MENU_GAP = 8;
+
+/**
+ * Get the menu an item opens
+ * @param {HTMLElement} item
+ * @returns {HTMLElement|null}
+ */
+export const getQuickActionsMenu = (item) => {
+  const id = item.getAttribute('data-fmbn-quick-actions');
+
+  return id ? document.getElementById(id) : null;
+};
+
+class MobileBottomNavigationQuickActions {
+  /**
+   * @param {HTMLElement} item
+   * @param {HTMLElement} menu
+   * @param {Object} options
+   * @param {number} options.delay How long (ms) a press is held before the menu opens
+   * @param {Function} [onChange] Called with `open` when the menu opens or closes
+   */
+  constructor(item, menu, { delay }, onChange = () => {}) {
+    this.item = item;
+    this.menu = menu;
+    this.delay = delay;
+    this.onChange = onChange;
+    this.abortController = new AbortController();
+    this.isOpen = false;
+    this.press = null;
+    this.timer = null;
+
+    // Set once a press opened the menu, until its click is swallowed
+    this.suppressActivation = false;
+
+    const { signal } = this.abortController;
+
+    this.item.addEventListener('pointerdown', (e) => this.startPress(e), { signal });
+    this.item.addEventListener('pointermove', (e) => this.movePress(e), { signal });
+    ['pointerup', 'pointercancel', 'pointerleave'].forEach((type) =>
+      this.item.addEventListener(type, () => this.cancelPress(), { signal })
+    );
+    this.item.addEventListener('contextmenu', (e) => this.handleContextMenu(e), { signal });
+    this.item.addEventListener('keydown', (e) => this.handleItemKeydown(e), { signal });
+
+    // Capture on the list item runs before wire:navigate's listeners on the link
+    const listItem = this.item.parentElement || this.item;
+    ['mouseup', 'click'].forEach((type) =>
+      listItem.addEventListener(type, (e) => this.stopActivation(e), { capture: true, signal })
+    );
+
+    this.menu.addEventListener('keydown', (e) => this.handleMenuKeydown(e), { signal });
+    this.menu.addEventListener('click', (e) => this.handleMenuClick(e), { signal });
+
+    document.addEventListener(
+      'pointerdown',
+      (e) => {
+        if (this.isOpen && !this.menu.contains(e.target) && !this.item.contains(e.target)) {
+          this.close({ restoreFocus: false });
+        }
+      },
+      { capture: true, signal }
+    );
+    window.addEventListener('resize', () => this.close({ restoreFocus: false }), { signal });
+  }
+
+  /**
+   * @param {PointerEvent} event
+   */
+  startPress(event) {
+    if (!event.isPrimary || event.button !== 0 || this.isDisabled()) return;
+
+    this.cancelPress();
+    this.suppressActivation = false;
+    this.press = { startX: event.clientX, startY: event.clientY };
+    this.timer = setTimeout(() => this.handleLongPress(), this.delay);
+  }
+
+  /**
+   * A press that moves is a scroll or a swipe
+   * @param {PointerEvent} event
+   */
+  movePress(event) {
+    if (!this.press) return;
+
+    const distance = Math.hypot(event.clientX - this.press.startX, event.clientY - this.press.startY);
+    if (distance > MOVE_TOLERANCE) this.cancelPress();
+  }
+
+  /**
+   * Drop the press in progress
+   */
+  cancelPress() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.press = null;
+  }
+
+  /**
+   * Open the menu once the press has been held long enough
+   */
+  handleLongPress() {
+    this.cancelPress();
+    this.suppressActivation = true;
+    this.open();
+  }
+
+  /**
+   * Right clicks, the context menu key and Android long presses
+   * @param {MouseEvent} event
+   */
+  handleContextMenu(event) {
+    event.preventDefault();
+    if (this.isDisabled()) return;
+
+    // A press in progress would navigate when released
+    if (this.press) this.suppressActivation = true;
+
+    this.cancelPress();
+    this.open();
+  }
+
+  /**
+   * Shift+F10, for keyboards without a context menu key
+   * @param {KeyboardEvent} event
+   */
+  handleItemKeydown(event) {
+    if (event.key !== 'F10' || !event.shiftKey || event.altKey || event.ctrlKey || event.metaKey) return;
+
+    event.preventDefault();
+    if (!this.isDisabled()) this.open();
+  }
+
+  /**
+   * Swallow the release of the press that opened the menu
+   * @param {MouseEvent} event
+   */
+  stopActivation(event) {
+    if (!this.suppressActivation) return;
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    if (event.type === 'click') this.suppressActivation = false;
+  }
+
+  /**
+   * Open the menu above the item and move focus into it
+   */
+  open() {
+    if (this.isOpen) return;
+
+    this.isOpen = true;
+    this.menu.hidden = false;
+    this.position();
+
+    const first = this.getEntries()[0];
+    if (first) first.focus();
+
+    this.onChange(true);
+  }
+
+  /**
+   * Close the menu
+   * @param {Object} [options]
+   * @param {boolean} [options.restoreFocus=true] Move focus back to the item
+   */
+  close({ restoreFocus = true } = {}) {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.menu.hidden = true;
+
+    if (restoreFocus) this.item.focus();
+
+    this.onChange(false);
+  }
+
+  /**
+   * Place the menu above the item, centered on it but inside the viewport
+   */
+  position() {
+    const rect = this.item.getBoundingClientRect();
+    const width = this.menu.offsetWidth;
+    const maxLeft = Math.max(window.innerWidth - width - MENU_GAP, MENU_GAP);
+    const left = Math.min(Math.max(rect.left + rect.width / 2 - width / 2, MENU_GAP), maxLeft);
+
+    this.menu.style.left = `${left}px`;
+    this.menu.style.bottom = `${window.innerHeight - rect.top + MENU_GAP}px`;
+  }
+
+  /**
+   * @returns {HTMLElement[]}
+   */
+  getEntries() {
+    return Array.from(this.menu.querySelectorAll('[role="menuitem"]'));
+  }
+
+  /**
+   * Move between entries with arrows, close on Escape and Tab
+   * @param {KeyboardEvent} event
+   */
+  handleMenuKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.close();
+      return;
+    }
+
+    // Focus goes back to the item, so Tab continues from there
+    if (event.key === 'Tab') {
+      event.preventDefault();
+      this.close();
+      return;
+    }
+
+    if (!['ArrowDown', 'ArrowUp', 'Home', 'End'].includes(event.key)) return;
+    if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+
+    const entries = this.getEntries();
+    if (entries.length === 0) return;
+
+    const current = entries.indexOf(document.activeElement);
+    let next;
+
+    switch (event.key) {
+      case 'Home':
+        next = 0;
+        break;
+      case 'End':
+        next = entries.length - 1;
+        break;
+      case 'ArrowDown':
+        next = current === -1 ? 0 : (current + 1) % entries.length;
+        break;
+      default:
+        next = current === -1 ? entries.length - 1 : (current - 1 + entries.length) % entries.length;
+    }
+
+    event.preventDefault();
+    entries[next].focus();
+  }
+
+  /**
+   * Run buttons; links navigate on their own
+   * @param {MouseEvent} event
+   */
+  handleMenuClick(event) {
+    const entry = event.target.closest('[role="menuitem"]');
+    if (!entry) return;
+
+    if (entry.hasAttribute('href')) {
+      // The page changes; focus belongs to the new page, not the item
+      this.close({ restoreFocus: false });
+      return;
+    }
+
+    this.close();
+    runAction(entry);
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isDisabled() {
+    return this.item.getAttribute('aria-disabled') === 'true';
+  }
+
+  /**
+   * Close the menu and stop listening
+   */
+  destroy() {
+    this.cancelPress();
+    this.close({ restoreFocus: false });
+    this.abortController.abort();
+  }
+}
+
+export default MobileBottomNavigationQuickActions;
@@ -0,0 +1,157 @@
+/**
+ * Mobile Bottom Navigation Scroll Hider
+ *
+ * Opt-in mode that slides the bar out while the user scrolls down and back in
+ * when they scroll up, reach the top or get near the bottom of the page.
+ *
+ * - The bar never hides while one of its items has focus, and focusing an
+ *   item brings it back
+ * - Only a transform changes: the body keeps its --fmbn-nav-height padding,
+ *   so hiding and showing cause no layout shift
+ * - The slide is a CSS transition, dropped under prefers-reduced-motion
+ */
+
+/**
+ * Class that slides the bar out of view
+ */
+const HIDDEN_CLASS = 'fmbn-bottom-nav--hidden';
+
+/**
+ * Time after which a scroll counts as a new gesture (ms); the distance and
+ * speed are measured from there
+ */
+const GESTURE_GAP = 150;
+
+class MobileBottomNavigationScrollHider {
+  /**
+   * @param {HTMLElement} nav
+   * @param {Object} options The hideOnScroll options
+   * @param {Function} [onChange] Called with `hidden` when the bar slides
+   */
+  constructor(nav, options, onChange = () => {}) {
+    this.nav = nav;
+    this.options = options;
+    this.onChange = onChange;
+    this.abortController = new AbortController();
+    this.frame = null;
+    this.hidden = false;
+
+    this.lastY = window.scrollY;
+    this.lastTime = performance.now();
+    this.direction = 0;
+    this.distance = 0;
+
+    const { signal } = this.abortController;
+
+    window.addEventListener('scroll', () => this.scheduleUpdate(), { passive: true, signal });
+    this.nav.addEventListener('focusin', () => this.show(), { signal });
+  }
+
+  /**
+   * Handle at most one scroll position per frame
+   */
+  scheduleUpdate() {
+    if (this.frame !== null) return;
+
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.update();
+    });
+  }
+
+  /**
+   * Show or hide the bar for the current scroll position
+   */
+  update() {
+    const y = window.scrollY;
+    const now = performance.now();
+    const delta = y - this.lastY;
+    const elapsed = now - this.lastTime;
+    const direction = Math.sign(delta);
+
+    this.lastY = y;
+    this.lastTime = now;
+
+    if (direction === 0) return;
+
+    // Measure distance and speed per gesture in one direction
+    if (direction !== this.direction || elapsed > GESTURE_GAP) {
+      this.direction = direction;
+      this.distance = 0;
+    }
+
+    this.distance += Math.abs(delta);
+
+    if (this.isNearEdge(y)) {
+      this.show();
+      return;
+    }
+
+    const speed = elapsed > 0 ? Math.abs(delta) / elapsed : 0;
+    if (this.distance < this.options.threshold && speed < this.options.velocity) return;
+
+    if (direction > 0) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Check if the page is scrolled to the top or near the bottom, where the
+   * bar is always shown
+   * @param {number} y
+   * @returns {boolean}
+   */
+  isNearEdge(y) {
+    const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+
+    return y <= this.nav.offsetHeight || y >= maxScroll - this.options.bottom;
+  }
+
+  /**
+   * Slide the bar out, unless one of its items has focus
+   */
+  hide() {
+    if (this.hidden || this.nav.contains(document.activeElement)) return;
+
+    this.setHidden(true);
+  }
+
+  /**
+   * Slide the bar back in
+   */
+  show() {
+    if (!this.hidden) return;
+
+    this.setHidden(false);
+  }
+
+  /**
+   * @param {boolean} hidden
+   */
+  setHidden(hidden) {
+    this.hidden = hidden;
+    this.nav.classList.toggle(HIDDEN_CLASS, hidden);
+    this.onChange(hidden);
+  }
+
+  /**
+   * Show the bar and stop listening
+   */
+  destroy() {
+    this.abortController.abort();
+
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+
+    if (this.hidden) {
+      this.hidden = false;
+      this.nav.classList.remove(HIDDEN_CLASS);
+    }
+  }
+}
+
+export default MobileBottomNavigationScrollHider;
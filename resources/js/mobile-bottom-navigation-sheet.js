@@ -0,0 +1,284 @@
+/**
+ * Mobile Bottom Navigation Sheet
+ *
+ * Bottom sheet opened by the "More" tab, listing the items that do not fit
+ * in the bar, or by a group tab, listing the items of a navigation group.
+ * The tab is a button with aria-expanded and aria-controls pointing at the
+ * sheet (a role="dialog" element with data-fmbn-sheet).
+ *
+ * - Focus moves into the sheet when it opens, stays there (Tab wraps), and
+ *   returns to the tab when it closes
+ * - Up/Down arrows and Home/End move between the items
+ * - Escape, the close button, the backdrop and a swipe down on the header
+ *   close it
+ * - The page behind does not scroll while it is open
+ */
+
+/**
+ * Swipe distance (px) or speed (px/ms) that closes the sheet
+ */
+const SWIPE_DISTANCE = 80;
+const SWIPE_VELOCITY = 0.5;
+
+/**
+ * Elements that can take focus inside the sheet
+ */
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Get the sheet a toggle controls
+ * @param {HTMLElement} toggle
+ * @returns {HTMLElement|null}
+ */
+export const getSheet = (toggle) => {
+  const id = toggle.getAttribute('aria-controls');
+
+  return id ? document.getElementById(id) : null;
+};
+
+/**
+ * Get the items listed in the sheets of a nav
+ * @param {HTMLElement} nav
+ * @returns {HTMLElement[]}
+ */
+export const getSheetItems = (nav) =>
+  Array.from(nav.querySelectorAll('[data-fmbn-sheet-toggle]')).flatMap((toggle) => {
+    const sheet = getSheet(toggle);
+
+    return sheet ? Array.from(sheet.querySelectorAll('.fmbn-sheet__item')) : [];
+  });
+
+/**
+ * Get the nav whose tab opens the sheet an element is in
+ * @param {HTMLElement} element
+ * @returns {HTMLElement|null}
+ */
+export const getSheetNav = (element) => {
+  const sheet = element.closest('[data-fmbn-sheet]');
+  if (!sheet || !sheet.id) return null;
+
+  const toggle = document.querySelector(`[data-fmbn-sheet-toggle][aria-controls="${sheet.id}"]`);
+
+  return toggle ? toggle.closest('.fmbn-bottom-nav') : null;
+};
+
+class MobileBottomNavigationSheet {
+  /**
+   * @param {HTMLElement} toggle The "More" or group tab
+   * @param {HTMLElement} sheet
+   * @param {Function} [onChange] Called with `open` when the sheet opens or closes
+   */
+  constructor(toggle, sheet, onChange = () => {}) {
+    this.toggle = toggle;
+    this.sheet = sheet;
+    this.panel = sheet.querySelector('.fmbn-sheet__panel') || sheet;
+    this.onChange = onChange;
+    this.abortController = new AbortController();
+    this.isOpen = false;
+    this.swipe = null;
+    this.previousOverflow = '';
+
+    const { signal } = this.abortController;
+
+    this.toggle.addEventListener('click', () => (this.isOpen ? this.close() : this.open()), { signal });
+    this.sheet.addEventListener('keydown', (e) => this.handleKeydown(e), { signal });
+
+    this.sheet.addEventListener(
+      'click',
+      (e) => {
+        if (e.target.closest('[data-fmbn-sheet-close]')) {
+          this.close();
+        } else if (e.target.closest('.fmbn-sheet__item')) {
+          // The page changes; focus belongs to the new page, not the tab
+          this.close({ restoreFocus: false });
+        }
+      },
+      { signal }
+    );
+
+    const header = this.sheet.querySelector('.fmbn-sheet__header');
+    if (header) {
+      header.addEventListener('pointerdown', (e) => this.startSwipe(e), { signal });
+      header.addEventListener('pointermove', (e) => this.moveSwipe(e), { signal });
+      header.addEventListener('pointerup', (e) => this.endSwipe(e), { signal });
+      header.addEventListener('pointercancel', () => this.cancelSwipe(), { signal });
+    }
+  }
+
+  /**
+   * Open the sheet and move focus into it
+   */
+  open() {
+    if (this.isOpen) return;
+
+    this.isOpen = true;
+    this.sheet.hidden = false;
+    this.toggle.setAttribute('aria-expanded', 'true');
+
+    this.previousOverflow = document.documentElement.style.overflow;
+    document.documentElement.style.overflow = 'hidden';
+
+    // The active item if it is listed, else the first one
+    const target =
+      this.sheet.querySelector('.fmbn-sheet__item[aria-current="page"]') ||
+      this.sheet.querySelector('.fmbn-sheet__item') ||
+      this.getFocusableElements()[0];
+    if (target) target.focus();
+
+    this.onChange(true);
+  }
+
+  /**
+   * Close the sheet
+   * @param {Object} [options]
+   * @param {boolean} [options.restoreFocus=true] Move focus back to the tab
+   */
+  close({ restoreFocus = true } = {}) {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.cancelSwipe();
+    this.sheet.hidden = true;
+    this.toggle.setAttribute('aria-expanded', 'false');
+    document.documentElement.style.overflow = this.previousOverflow;
+
+    if (restoreFocus) this.toggle.focus();
+
+    this.onChange(false);
+  }
+
+  /**
+   * @returns {HTMLElement[]}
+   */
+  getFocusableElements() {
+    return Array.from(this.sheet.querySelectorAll(FOCUSABLE_SELECTOR)).filter(
+      (element) => element.getClientRects().length > 0 || element === document.activeElement
+    );
+  }
+
+  /**
+   * Close on Escape, move between items with arrows and keep Tab inside the
+   * sheet
+   * @param {KeyboardEvent} event
+   */
+  handleKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.close();
+      return;
+    }
+
+    if (['ArrowDown', 'ArrowUp', 'Home', 'End'].includes(event.key)) {
+      this.moveFocus(event);
+      return;
+    }
+
+    if (event.key !== 'Tab') return;
+
+    const focusable = this.getFocusableElements();
+    if (focusable.length === 0) {
+      event.preventDefault();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Move focus between the items, wrapping at the ends
+   * @param {KeyboardEvent} event
+   */
+  moveFocus(event) {
+    if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+
+    const items = this.getFocusableElements().filter((element) => element.matches('.fmbn-sheet__item'));
+    if (items.length === 0) return;
+
+    const current = items.indexOf(document.activeElement);
+    let next;
+
+    switch (event.key) {
+      case 'Home':
+        next = 0;
+        break;
+      case 'End':
+        next = items.length - 1;
+        break;
+      case 'ArrowDown':
+        next = current === -1 ? 0 : (current + 1) % items.length;
+        break;
+      default:
+        next = current === -1 ? items.length - 1 : (current - 1 + items.length) % items.length;
+    }
+
+    event.preventDefault();
+    items[next].focus();
+  }
+
+  /**
+   * @param {PointerEvent} event
+   */
+  startSwipe(event) {
+    if (!event.isPrimary || event.button !== 0 || event.target.closest('button')) return;
+
+    this.swipe = { startY: event.clientY, startTime: performance.now(), distance: 0 };
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+  }
+
+  /**
+   * Let the panel follow the finger down
+   * @param {PointerEvent} event
+   */
+  moveSwipe(event) {
+    if (!this.swipe) return;
+
+    this.swipe.distance = Math.max(event.clientY - this.swipe.startY, 0);
+    this.panel.style.transform = `translateY(${this.swipe.distance}px)`;
+  }
+
+  /**
+   * Close after a long or quick swipe, otherwise snap back
+   * @param {PointerEvent} event
+   */
+  endSwipe(event) {
+    if (!this.swipe) return;
+
+    const distance = Math.max(event.clientY - this.swipe.startY, 0);
+    const velocity = distance / Math.max(performance.now() - this.swipe.startTime, 1);
+
+    this.cancelSwipe();
+
+    // A quick flick closes too, but not a tap that barely moved
+    if (distance >= SWIPE_DISTANCE || (distance >= SWIPE_DISTANCE / 4 && velocity >= SWIPE_VELOCITY)) {
+      this.close();
+    }
+  }
+
+  /**
+   * Drop the swipe in progress and put the panel back
+   */
+  cancelSwipe() {
+    this.swipe = null;
+    this.panel.style.transform = '';
+  }
+
+  /**
+   * Close the sheet and stop listening
+   */
+  destroy() {
+    this.close({ restoreFocus: false });
+    this.abortController.abort();
+  }
+}
+
+export default MobileBottomNavigationSheet;
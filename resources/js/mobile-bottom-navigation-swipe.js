@@ -0,0 +1,192 @@
+/**
+ * Mobile Bottom Navigation Swipe
+ *
+ * Opt-in gestures that move to the neighboring tab when the user swipes
+ * horizontally on the page content, like native tab bars.
+ *
+ * - Only touch and pen pointers; mouse drags keep selecting text
+ * - A gesture that starts vertical is left to scrolling for good
+ * - Ignored inside the bar, sheets, modals, form fields, horizontally
+ *   scrollable regions (e.g. Filament tables), near the screen edges (system
+ *   back gestures) and under [data-fmbn-no-swipe]
+ * - Triggers once the swipe covers `distance` px, or is faster than
+ *   `velocity` px/ms and covers a quarter of it
+ * - While enabled, the root gets data-fmbn-swipe so the page only pans
+ *   vertically (touch-action), otherwise the browser would claim horizontal
+ *   swipes and cancel the pointer
+ */
+
+/**
+ * Movement (px) after which the gesture is locked to an axis
+ */
+const AXIS_LOCK_DISTANCE = 10;
+
+/**
+ * Width (px) of the screen edges left to system back/forward gestures
+ */
+const EDGE_WIDTH = 20;
+
+/**
+ * Elements that handle their own horizontal drags
+ */
+const IGNORED_SELECTOR = [
+  '.fmbn-bottom-nav',
+  '[data-fmbn-sheet]',
+  '[data-fmbn-menu]',
+  '[data-fmbn-no-swipe]',
+  '[aria-modal="true"]',
+  '.fi-modal-window',
+  'input',
+  'textarea',
+  'select',
+  '[contenteditable]:not([contenteditable="false"])',
+  '[draggable="true"]',
+].join(', ');
+
+/**
+ * Check if an element scrolls horizontally
+ * @param {Element} element
+ * @returns {boolean}
+ */
+const isHorizontalScroller = (element) => {
+  if (element.scrollWidth <= element.clientWidth) return false;
+
+  return ['auto', 'scroll'].includes(window.getComputedStyle(element).overflowX);
+};
+
+/**
+ * Check if a gesture starting on an element belongs to the page instead
+ * @param {Element} target
+ * @returns {boolean}
+ */
+const isIgnoredTarget = (target) => {
+  if (!target || target.nodeType !== Node.ELEMENT_NODE || target.closest(IGNORED_SELECTOR)) {
+    return true;
+  }
+
+  for (let element = target; element && element !== document.documentElement; element = element.parentElement) {
+    if (isHorizontalScroller(element)) return true;
+  }
+
+  return false;
+};
+
+class MobileBottomNavigationSwipe {
+  /**
+   * @param {HTMLElement} nav
+   * @param {Object} options The swipeNavigation options
+   * @param {Function} onSwipe Called with -1 (finger moved left) or 1 (right)
+   */
+  constructor(nav, options, onSwipe) {
+    this.nav = nav;
+    this.options = options;
+    this.onSwipe = onSwipe;
+    this.abortController = new AbortController();
+    this.gesture = null;
+
+    const { signal } = this.abortController;
+
+    document.addEventListener('pointerdown', (e) => this.start(e), { passive: true, signal });
+    document.addEventListener('pointermove', (e) => this.move(e), { passive: true, signal });
+    document.addEventListener('pointerup', (e) => this.end(e), { passive: true, signal });
+    document.addEventListener('pointercancel', () => this.cancel(), { passive: true, signal });
+
+    document.documentElement.setAttribute('data-fmbn-swipe', '');
+  }
+
+  /**
+   * @param {PointerEvent} event
+   */
+  start(event) {
+    // A second finger (pinch) ends the gesture
+    if (!event.isPrimary) {
+      this.cancel();
+      return;
+    }
+
+    if (event.pointerType === 'mouse' || this.isBarHidden()) return;
+
+    if (event.clientX < EDGE_WIDTH || event.clientX > window.innerWidth - EDGE_WIDTH) return;
+
+    if (isIgnoredTarget(event.target)) return;
+
+    this.gesture = {
+      pointerId: event.pointerId,
+      startX: event.clientX,
+      startY: event.clientY,
+      startTime: performance.now(),
+      axis: null,
+    };
+  }
+
+  /**
+   * Lock the gesture to an axis once it has moved far enough
+   * @param {PointerEvent} event
+   */
+  move(event) {
+    if (!this.gesture || event.pointerId !== this.gesture.pointerId || this.gesture.axis) return;
+
+    const dx = Math.abs(event.clientX - this.gesture.startX);
+    const dy = Math.abs(event.clientY - this.gesture.startY);
+
+    if (Math.max(dx, dy) < AXIS_LOCK_DISTANCE) return;
+
+    if (dy >= dx) {
+      // Scrolling; the rest of this gesture is not a swipe
+      this.cancel();
+    } else {
+      this.gesture.axis = 'x';
+    }
+  }
+
+  /**
+   * Report a long or quick horizontal swipe
+   * @param {PointerEvent} event
+   */
+  end(event) {
+    if (!this.gesture || event.pointerId !== this.gesture.pointerId) return;
+
+    const { startX, startY, startTime, axis } = this.gesture;
+    this.cancel();
+
+    const dx = event.clientX - startX;
+    const distance = Math.abs(dx);
+
+    // Still mostly horizontal at the end
+    if (axis !== 'x' || distance <= Math.abs(event.clientY - startY)) return;
+
+    const velocity = distance / Math.max(performance.now() - startTime, 1);
+    const { distance: minDistance, velocity: minVelocity } = this.options;
+
+    if (distance >= minDistance || (distance >= minDistance / 4 && velocity >= minVelocity)) {
+      this.onSwipe(Math.sign(dx));
+    }
+  }
+
+  /**
+   * Drop the gesture in progress
+   */
+  cancel() {
+    this.gesture = null;
+  }
+
+  /**
+   * Check if the bar is out of use (desktop breakpoint, keyboard open, ...)
+   * @returns {boolean}
+   */
+  isBarHidden() {
+    return this.nav.getClientRects().length === 0 || window.getComputedStyle(this.nav).visibility === 'hidden';
+  }
+
+  /**
+   * Stop listening and give horizontal panning back to the page
+   */
+  destroy() {
+    this.abortController.abort();
+    this.cancel();
+
+    document.documentElement.removeAttribute('data-fmbn-swipe');
+  }
+}
+
+export default MobileBottomNavigationSwipe;
@@ -0,0 +1,112 @@
+/**
+ * Mobile Bottom Navigation Cross-Tab Sync
+ *
+ * Shares messages (badge values, preferences) between same-origin tabs with
+ * BroadcastChannel, falling back to `storage` events where it is missing.
+ * Every message carries the Filament panel id and subscribers only receive
+ * the messages of their own panel, so multi-panel setups stay separate.
+ */
+
+const CHANNEL_NAME = 'filament-mobile-bottom-navigation';
+
+/**
+ * localStorage key used to carry messages in the fallback
+ */
+const STORAGE_KEY = 'fmbn:sync';
+
+/**
+ * Identifies this tab, so its own messages are ignored
+ */
+const tabId = Math.random().toString(36).slice(2);
+
+/**
+ * @type {Set<{panel: string, handler: function(Object): void}>}
+ */
+const subscribers = new Set();
+
+let channel = null;
+let connected = false;
+let messageCount = 0;
+
+/**
+ * Hand a message from another tab to the subscribers
+ * @param {Object} message
+ */
+const receive = (message) => {
+  if (!message || message.source === tabId || !message.panel) return;
+
+  subscribers.forEach(({ panel, handler }) => {
+    if (panel === message.panel) handler(message);
+  });
+};
+
+/**
+ * Open the channel on first use
+ */
+const connect = () => {
+  if (connected) return;
+  connected = true;
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.addEventListener('message', (event) => receive(event.data));
+    return;
+  }
+
+  window.addEventListener('storage', (event) => {
+    if (event.key !== STORAGE_KEY || !event.newValue) return;
+
+    try {
+      receive(JSON.parse(event.newValue));
+    } catch (e) {
+      // Not one of ours
+    }
+  });
+};
+
+/**
+ * Send a message to the other tabs
+ * @param {string} panel Filament panel id
+ * @param {string} type e.g. 'badge' or 'preference'
+ * @param {Object} data
+ */
+export const publish = (panel, type, data) => {
+  if (!panel) return;
+
+  connect();
+
+  const message = { panel, type, data, source: tabId, id: `${tabId}:${++messageCount}` };
+
+  if (channel) {
+    channel.postMessage(message);
+    return;
+  }
+
+  try {
+    // Other tabs get a storage event for the write; removing the entry right
+    // away keeps localStorage clean (and its event has no newValue)
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(message));
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    // Storage unavailable (private mode, quota): nothing to sync with
+  }
+};
+
+/**
+ * Receive the messages other tabs send for a panel
+ * @param {string} panel Filament panel id
+ * @param {function(Object): void} handler Called with { type, data }
+ * @param {AbortSignal} [signal] Unsubscribes when aborted
+ */
+export const subscribe = (panel, handler, signal) => {
+  if (!panel) return;
+
+  connect();
+
+  const subscriber = { panel, handler };
+  subscribers.add(subscriber);
+
+  if (signal) {
+    signal.addEventListener('abort', () => subscribers.delete(subscriber), { once: true });
+  }
+};
@@ -0,0 +1,134 @@
+/**
+ * Mobile Bottom Navigation Virtual Keyboard
+ *
+ * Hides the bar while the on-screen keyboard is open, so it does not ride up
+ * on top of the keyboard and cover the field being edited.
+ *
+ * - Uses navigator.virtualKeyboard where the page lets the keyboard overlay
+ *   the content (its geometry is only reported then), and visualViewport
+ *   resize heuristics everywhere else
+ * - The keyboard only counts as open while a text field has focus, so
+ *   pinch-zoom and browser toolbars do not hide the bar
+ * - While open, the nav gets data-fmbn-keyboard-open; the bar comes back as
+ *   soon as focus leaves the text fields
+ */
+
+/**
+ * Minimum height the visual viewport has to lose to count as a keyboard
+ * (px); browser toolbars collapsing take less
+ */
+const KEYBOARD_MIN_HEIGHT = 150;
+
+/**
+ * Input types that bring up the on-screen keyboard
+ */
+const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'number', 'password', 'tel', 'url'];
+
+/**
+ * Check if an element brings up the on-screen keyboard
+ * @param {Element|null} element
+ * @returns {boolean}
+ */
+const isTextField = (element) => {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
+
+  if (element.isContentEditable || element.matches('textarea')) return true;
+
+  return element.matches('input') && TEXT_INPUT_TYPES.includes(element.type) && !element.readOnly;
+};
+
+class MobileBottomNavigationVirtualKeyboard {
+  /**
+   * @param {HTMLElement} nav
+   * @param {Function} [onChange] Called with `open` when the keyboard opens or closes
+   */
+  constructor(nav, onChange = () => {}) {
+    this.nav = nav;
+    this.onChange = onChange;
+    this.abortController = new AbortController();
+    this.open = false;
+    this.layoutHeight = window.innerHeight;
+    this.layoutWidth = window.innerWidth;
+
+    const { signal } = this.abortController;
+    const virtualKeyboard = navigator.virtualKeyboard;
+
+    if (virtualKeyboard && virtualKeyboard.overlaysContent) {
+      virtualKeyboard.addEventListener('geometrychange', () => this.update(), { signal });
+    } else if (window.visualViewport) {
+      window.visualViewport.addEventListener('resize', () => this.update(), { signal });
+    }
+
+    // Focus moving between fields keeps the keyboard up; leaving them closes it
+    document.addEventListener('focusin', () => this.update(), { signal });
+    document.addEventListener('focusout', (e) => this.handleFocusOut(e), { signal });
+
+    this.update();
+  }
+
+  /**
+   * Restore the bar once focus leaves the text fields
+   * @param {FocusEvent} event
+   */
+  handleFocusOut(event) {
+    if (!isTextField(event.relatedTarget)) {
+      this.setOpen(false);
+    }
+  }
+
+  /**
+   * Re-evaluate whether the keyboard is open
+   */
+  update() {
+    this.setOpen(isTextField(document.activeElement) && this.getKeyboardHeight() >= KEYBOARD_MIN_HEIGHT);
+  }
+
+  /**
+   * Estimate the height of the on-screen keyboard
+   * @returns {number}
+   */
+  getKeyboardHeight() {
+    const virtualKeyboard = navigator.virtualKeyboard;
+
+    if (virtualKeyboard && virtualKeyboard.overlaysContent) {
+      return virtualKeyboard.boundingRect.height;
+    }
+
+    const viewport = window.visualViewport;
+    if (!viewport) return 0;
+
+    // Rotation changes the full height; browsers that resize the layout
+    // viewport for the keyboard shrink innerHeight, so keep the largest seen
+    if (window.innerWidth !== this.layoutWidth) {
+      this.layoutWidth = window.innerWidth;
+      this.layoutHeight = window.innerHeight;
+    } else {
+      this.layoutHeight = Math.max(this.layoutHeight, window.innerHeight);
+    }
+
+    return this.layoutHeight - viewport.height * viewport.scale;
+  }
+
+  /**
+   * @param {boolean} open
+   */
+  setOpen(open) {
+    if (open === this.open) return;
+
+    this.open = open;
+    this.nav.toggleAttribute('data-fmbn-keyboard-open', open);
+    this.onChange(open);
+  }
+
+  /**
+   * Restore the bar and stop listening
+   */
+  destroy() {
+    this.abortController.abort();
+
+    this.open = false;
+    this.nav.removeAttribute('data-fmbn-keyboard-open');
+  }
+}
+
+export default MobileBottomNavigationVirtualKeyboard;
@@ -2,38 +2,1290 @@
  * Mobile Bottom Navigation Keyboard Enhancement
  *
  * Provides enhanced keyboard navigation support for the mobile bottom navigation:
- * - Arrow key navigation (Left/Right)
+ * - Arrow key navigation (Left/Right, mirrored in RTL)
  * - Home/End key support
+ * - Hidden and disabled (aria-disabled="true") items are skipped; clicks on
+ *   disabled items are blocked before wire:navigate sees them
+ * - Type-ahead: typing letters focuses the next item with a matching label
  * - Focus management
- * - No modification to native Tab/Enter/Space behavior
+ * - Optional roving tabindex (single Tab stop for the whole bar)
+ * - Lifecycle: refresh() after markup swaps, destroy() to detach
+ * - One controller per nav element (see getInstance()/getOrCreate())
+ * - Optional global hotkeys (Alt+1…Alt+9 by default) to jump to items
+ * - Active item follows the URL after wire:navigate and back/forward
+ * - Screen reader announcement ("Orders, page loaded") after navigating
+ *   from the bar
+ * - Optional focus move to the main heading after keyboard navigation
+ * - Optional background badge polling (see mobile-bottom-navigation-badge-poller.js)
+ * - Badge values and preferences shared with the other tabs of the panel
+ * - Optional hide-on-scroll (see mobile-bottom-navigation-scroll-hider.js)
+ * - Hidden while the on-screen keyboard is open
+ *   (see mobile-bottom-navigation-virtual-keyboard.js)
+ * - "More" tab opening a bottom sheet with the items that do not fit
+ *   (see mobile-bottom-navigation-sheet.js)
+ * - Optional center action button (see mobile-bottom-navigation-fab.js)
+ * - Quick action menus opened by a long press on an item
+ *   (see mobile-bottom-navigation-quick-actions.js)
+ * - Optional swipe on the page content to the neighboring tab
+ *   (see mobile-bottom-navigation-swipe.js)
+ * - Optional indicator sliding to the active tab
+ *   (see mobile-bottom-navigation-active-indicator.js)
+ * - No modification to native Enter/Space behavior
+ *
+ * DOM events (bubbling CustomEvents dispatched from the nav element):
+ * - fmbn:init          { items }                        controller attached
+ * - fmbn:focus-change  { index, previousIndex, item }   focus moved to an item
+ * - fmbn:activate      { index, href, label, item, source }  item clicked/activated
+ *                                                          (source: keyboard|pointer|swipe;
+ *                                                          index -1 for sheet items)
+ * - fmbn:active-change { index, previousIndex, item }   active item recomputed
+ * - fmbn:preference-change { name, value }             preference changed (any tab)
+ * - fmbn:visibility-change { hidden, reason }         bar hidden or shown again
+ *                                                      (reason: scroll|keyboard)
+ * - fmbn:sheet-change  { open }                         "More" sheet opened or closed
+ * - fmbn:quick-actions-change { open, item }            quick action menu opened or closed
+ * - fmbn:destroy       {}                               controller detached
+ *
+ * They reach `window`, so Alpine (`x-on:fmbn:activate.window`) and Livewire
+ * (`$wire.on('fmbn:activate', ...)`, `Livewire.on(...)`, `#[On('fmbn:activate')]`)
+ * can listen.
+ */
+
+import { announcer } from './mobile-bottom-navigation-announcer.js';
+import MobileBottomNavigationBadgePoller from './mobile-bottom-navigation-badge-poller.js';
+import { setBadgeOptions, setItemBadge } from './mobile-bottom-navigation-badges.js';
+import MobileBottomNavigationScrollHider from './mobile-bottom-navigation-scroll-hider.js';
+import MobileBottomNavigationVirtualKeyboard from './mobile-bottom-navigation-virtual-keyboard.js';
+import MobileBottomNavigationSheet, { getSheet, getSheetItems } from './mobile-bottom-navigation-sheet.js';
+import MobileBottomNavigationQuickActions, { getQuickActionsMenu } from './mobile-bottom-navigation-quick-actions.js';
+import MobileBottomNavigationSwipe from './mobile-bottom-navigation-swipe.js';
+import MobileBottomNavigationActiveIndicator from './mobile-bottom-navigation-active-indicator.js';
+import { publish, subscribe } from './mobile-bottom-navigation-sync.js';
+import { DEFAULT_OPTIONS, resolveOptions } from './mobile-bottom-navigation-options.js';
+
+/**
+ * Type-ahead buffer lifetime (ms); matches native menus and the ARIA APG
+ */
+const TYPEAHEAD_TIMEOUT = 500;
+
+/**
+ * Dispatch a bubbling `fmbn:*` CustomEvent
+ *
+ * The event carries the marker of Livewire's own browser events, without
+ * which `$wire.on()` and `Livewire.on()` ignore it. Every `fmbn:*` event of
+ * the package goes through here.
+ *
+ * @param {EventTarget} target Usually the nav element
+ * @param {string} name Event name without the `fmbn:` prefix
+ * @param {Object} [detail]
+ */
+export const dispatchNavEvent = (target, name, detail = {}) => {
+  const event = new CustomEvent(`fmbn:${name}`, { bubbles: true, detail });
+  event.__livewire = { name: `fmbn:${name}`, params: detail, receivedBy: [] };
+
+  target.dispatchEvent(event);
+};
+
+/**
+ * Parse a hotkey string like "Alt+1" or "Control+Shift+K"
+ * @param {string} hotkey
+ * @returns {{alt: boolean, ctrl: boolean, shift: boolean, meta: boolean, key: string}}
+ */
+const parseHotkey = (hotkey) => {
+  const parts = String(hotkey).split('+').map((part) => part.trim());
+  const modifiers = parts.slice(0, -1).map((part) => part.toLowerCase());
+
+  return {
+    alt: modifiers.includes('alt'),
+    ctrl: modifiers.includes('control') || modifiers.includes('ctrl'),
+    shift: modifiers.includes('shift'),
+    meta: modifiers.includes('meta'),
+    key: parts[parts.length - 1],
+  };
+};
+
+/**
+ * Check if a keyboard event matches a hotkey string
+ *
+ * Digits and letters are compared by physical key (event.code), because
+ * Option+1 on macOS reports event.key as "¡".
+ * @param {KeyboardEvent} event
+ * @param {string} hotkey
+ * @returns {boolean}
+ */
+const matchesHotkey = (event, hotkey) => {
+  const { alt, ctrl, shift, meta, key } = parseHotkey(hotkey);
+
+  if (
+    event.altKey !== alt ||
+    event.ctrlKey !== ctrl ||
+    event.shiftKey !== shift ||
+    event.metaKey !== meta
+  ) {
+    return false;
+  }
+
+  if (/^[0-9]$/.test(key)) {
+    return event.code === `Digit${key}` || event.code === `Numpad${key}`;
+  }
+
+  if (/^[a-z]$/i.test(key)) {
+    return event.code === `Key${key.toUpperCase()}`;
+  }
+
+  return event.key.toLowerCase() === key.toLowerCase();
+};
+
+/**
+ * Check if an element accepts text input
+ * @param {EventTarget|null} target
+ * @returns {boolean}
+ */
+const isTypingTarget = (target) => {
+  if (!target || target.nodeType !== Node.ELEMENT_NODE) return false;
+
+  return (
+    target.isContentEditable ||
+    target.matches('input, textarea, select, [contenteditable]:not([contenteditable="false"])')
+  );
+};
+
+/**
+ * Check if a Filament modal (or any other modal dialog) is open
+ * @returns {boolean}
+ */
+const isModalOpen = () =>
+  Array.from(document.querySelectorAll('.fi-modal-open, [aria-modal="true"]')).some(
+    (modal) => modal.getClientRects().length > 0
+  );
+
+/**
+ * Score how well a link matches a URL, like Filament: links with
+ * data-fmbn-match="exact" (pages) only match their own path, other links
+ * (resources) also match the paths below them. Links with
+ * data-fmbn-match="none" (the center action button) never match.
+ * @param {HTMLElement} link
+ * @param {URL} current
+ * @returns {number} Highest for the exact path, else the prefix length; -1 for no match
+ */
+const getMatchScore = (link, current) => {
+  const href = link.getAttribute('href');
+  if (!href || link.dataset.fmbnMatch === 'none') return -1;
+
+  const normalizePath = (path) => path.replace(/\/+$/, '') || '/';
+  const target = new URL(href, document.baseURI);
+  if (target.origin !== current.origin) return -1;
+
+  const path = normalizePath(target.pathname);
+  const currentPath = normalizePath(current.pathname);
+
+  if (path === currentPath) {
+    return Number.MAX_SAFE_INTEGER;
+  }
+
+  if (link.dataset.fmbnMatch !== 'exact' && currentPath.startsWith(path === '/' ? '/' : `${path}/`)) {
+    return path.length;
+  }
+
+  return -1;
+};
+
+/**
+ * Controller registry keyed by nav element
+ *
+ * A WeakMap so navs dropped from the DOM do not keep their controller alive.
+ * @type {WeakMap<HTMLElement, MobileBottomNavigationKeyboard>}
+ */
+const instances = new WeakMap();
+
+/**
+ * Navigation started from a bar, handled once the new page is in. Module
+ * state because wire:navigate usually replaces the nav (and its controller)
+ * before livewire:navigated fires.
+ * @type {{url: string, label: string, source: string, options: Object, startedAt: number}|null}
+ */
+let pendingNavigation = null;
+
+/**
+ * Time after which a bar navigation that never finished is dropped (ms)
+ */
+const PENDING_NAVIGATION_TIMEOUT = 10000;
+
+/**
+ * Remember a bar navigation until its page is in
+ * @param {string} href Target of the activated item
+ * @param {Object} navigation label, source and options
+ */
+const startNavigation = (href, navigation) => {
+  pendingNavigation = { url: new URL(href, window.location.href).href, ...navigation, startedAt: Date.now() };
+};
+
+/**
+ * Drop the pending bar navigation when another navigation starts, e.g. a
+ * link in the page after a bar link opened in a new tab
+ * @param {CustomEvent} event livewire:navigate
+ */
+const handleNavigate = (event) => {
+  const url = event.detail && event.detail.url;
+
+  if (pendingNavigation && url && new URL(url, window.location.href).href !== pendingNavigation.url) {
+    pendingNavigation = null;
+  }
+};
+
+/**
+ * Get the heading of the current page
+ * @returns {string}
+ */
+const getPageTitle = () => {
+  const heading = document.querySelector('.fi-header-heading, main h1, h1');
+
+  return heading ? heading.textContent.trim() : '';
+};
+
+/**
+ * Announce the page a bar navigation led to
+ * @param {string} label Label of the activated item, used without a heading
+ * @param {Object} options The announcements options
+ */
+const announcePage = (label, options) => {
+  const title = getPageTitle() || label || document.title;
+  const template = options.template || DEFAULT_OPTIONS.announcements.template;
+
+  announcer.announce(template.replace(/:title/g, title), options.throttle);
+};
+
+/**
+ * Move focus to the first visible target, e.g. the page heading
+ *
+ * Targets that cannot take focus get tabindex="-1" until they lose it again.
+ * @param {string[]} selectors Tried in order
+ * @returns {boolean} Whether focus moved
+ */
+const focusMainContent = (selectors) => {
+  // Keep focus that something else (e.g. an autofocus field) already moved
+  const focused = document.activeElement;
+  if (focused && focused !== document.body && !focused.closest('.fmbn-bottom-nav')) {
+    return false;
+  }
+
+  for (const selector of selectors) {
+    let target = null;
+
+    try {
+      target = document.querySelector(selector);
+    } catch (e) {
+      continue;
+    }
+
+    if (!target || target.closest('.fmbn-bottom-nav') || target.getClientRects().length === 0) {
+      continue;
+    }
+
+    if (target.tabIndex < 0 && !target.hasAttribute('tabindex')) {
+      target.setAttribute('tabindex', '-1');
+      target.addEventListener('blur', () => target.removeAttribute('tabindex'), { once: true });
+    }
+
+    target.focus();
+
+    if (document.activeElement === target) return true;
+  }
+
+  return false;
+};
+
+/**
+ * Finish a bar navigation once Livewire has swapped the page
  */
+const handleNavigated = () => {
+  if (!pendingNavigation) return;
+
+  const { label, source, options, startedAt } = pendingNavigation;
+  pendingNavigation = null;
+
+  if (Date.now() - startedAt > PENDING_NAVIGATION_TIMEOUT) return;
+
+  // Mouse and touch users keep their place; keyboard and switch users would
+  // otherwise have to walk back up from the bottom of the page
+  if (source === 'keyboard' && options.focusMainContent.enabled) {
+    focusMainContent(options.focusMainContent.targets);
+  }
+
+  if (options.announcements.enabled) {
+    announcePage(label, options.announcements);
+  }
+};
+
+class MobileBottomNavigationKeyboard {
+  /**
+   * Get the controller attached to a nav element
+   * @param {HTMLElement} navElement
+   * @returns {MobileBottomNavigationKeyboard|null}
+   */
+  static getInstance(navElement) {
+    return (navElement && instances.get(navElement)) || null;
+  }
+
+  /**
+   * Get the controller attached to a nav element, creating it if needed
+   * @param {HTMLElement} navElement
+   * @param {Object} [options] Only used when a new controller is created
+   * @returns {MobileBottomNavigationKeyboard}
+   */
+  static getOrCreate(navElement, options = {}) {
+    return (
+      MobileBottomNavigationKeyboard.getInstance(navElement) ||
+      new MobileBottomNavigationKeyboard(navElement, options)
+    );
+  }
+
+  /**
+   * @param {HTMLElement|null} navElement
+   * @param {Object} [options] Override the panel settings and data-fmbn-*
+   *   attributes (see mobile-bottom-navigation-options.js)
+   * @param {boolean} [options.rovingTabindex] Enable roving tabindex mode
+   * @param {boolean} [options.wrapAround] Wrap arrow keys at the ends
+   * @param {boolean} [options.typeahead] Enable type-ahead
+   * @param {Object} [options.hotkeys] Global hotkeys ({ enabled, items, focus })
+   */
+  constructor(navElement = null, options = {}) {
+    this.nav = navElement || document.querySelector('.fmbn-bottom-nav');
+    if (!this.nav) return;
+
+    // Replace any controller already attached to this nav
+    const existing = instances.get(this.nav);
+    if (existing) existing.destroy();
+    instances.set(this.nav, this);
+
+    this.options = resolveOptions(this.nav, options);
+
+    this.items = this.queryItems();
+    this.currentIndex = -1;
+    this.activeIndex = this.getActiveIndex();
+    this.tabStopIndex = Math.max(this.activeIndex, 0);
+    this.abortController = null;
+    this.observer = null;
+    this.typeaheadBuffer = '';
+    this.typeaheadTimer = null;
+    this.untabbableItems = new WeakSet();
+    this.badgePoller = null;
+    this.scrollHider = null;
+    this.virtualKeyboard = null;
+    this.sheets = [];
+    this.quickActions = [];
+    this.swipe = null;
+    this.activeIndicator = null;
+    this.applyingSyncMessage = false;
+
+    this.bindEvents();
+    this.observeNav();
+    this.updateKeyShortcuts();
+    this.updateDisabledItems();
+    setBadgeOptions(this.nav, this.options.badges);
+    this.startBadgePolling();
+    this.startScrollHiding();
+    this.startKeyboardDetection();
+    this.startSheets();
+    this.startQuickActions();
+    this.startSwipeNavigation();
+    this.startActiveIndicator();
+
+    if (this.options.rovingTabindex) {
+      this.updateTabStops();
+    }
+
+    this.dispatch('init', { items: this.items.length });
+  }
+
+  /**
+   * Dispatch a bubbling `fmbn:*` CustomEvent from the nav element
+   * @param {string} name Event name without the `fmbn:` prefix
+   * @param {Object} [detail]
+   */
+  dispatch(name, detail = {}) {
+    dispatchNavEvent(this.nav, name, detail);
+  }
+
+  /**
+   * Query the current navigation items from the DOM
+   * @returns {HTMLElement[]}
+   */
+  queryItems() {
+    return Array.from(this.nav.querySelectorAll('.fmbn-nav-item'));
+  }
+
+  /**
+   * Bind keyboard event listeners
+   *
+   * All listeners share one AbortSignal so they can be removed together.
+   */
+  bindEvents() {
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+
+    // Listen for keydown on navigation container
+    this.nav.addEventListener('keydown', (e) => this.handleKeydown(e), {
+      capture: true,
+      signal,
+    });
+
+    // Global hotkeys are handled at document level
+    if (this.options.hotkeys.enabled) {
+      document.addEventListener('keydown', (e) => this.handleHotkey(e), { signal });
+    }
+
+    // The bar hides from the breakpoint on; sheets and menus left open would
+    // stay on screen without it (and keep the page from scrolling)
+    if (typeof window.matchMedia === 'function') {
+      window.matchMedia(`(min-width: ${this.options.breakpoint}px)`).addEventListener(
+        'change',
+        (e) => {
+          if (e.matches) this.closeOverlays();
+        },
+        { signal }
+      );
+    }
+
+    // Block activation of disabled items. Capture phase on the nav runs before
+    // the link's own listeners, so wire:navigate (mousedown/mouseup/click)
+    // never sees the event.
+    ['click', 'mousedown', 'mouseup'].forEach((type) => {
+      this.nav.addEventListener(type, (e) => this.blockDisabledActivation(e), {
+        capture: true,
+        signal,
+      });
+    });
+
+    // Report activations (mouse, touch, Enter and hotkeys all end in a click),
+    // from the bar and from its "More" sheets
+    const sheets = Array.from(this.nav.querySelectorAll('[data-fmbn-sheet-toggle]')).map(getSheet).filter(Boolean);
+
+    [this.nav, ...sheets].forEach((container) => {
+      container.addEventListener('click', (e) => this.handleActivation(e), { signal });
+
+      // ...except Enter on wire:navigate links: Livewire cancels the keydown, so
+      // no click follows
+      container.addEventListener(
+        'keydown',
+        (e) => {
+          if (e.key === 'Enter' && e.defaultPrevented && !e.altKey && !e.ctrlKey && !e.metaKey && !e.shiftKey) {
+            this.handleActivation(e);
+          }
+        },
+        { signal }
+      );
+    });
+
+    // Share badge changes with the other tabs of the panel
+    if (this.options.crossTabSync) {
+      this.nav.addEventListener('fmbn:badge-change', (e) => this.publishBadgeChange(e), { signal });
+      subscribe(this.nav.dataset.fmbnPanel, (message) => this.handleSyncMessage(message), signal);
+    }
+
+    // Keep the active item in step with client-side navigation
+    if (this.options.activeSync) {
+      document.addEventListener('livewire:navigated', () => this.syncActiveItem(), { signal });
+      window.addEventListener('popstate', () => this.syncActiveItem(), { signal });
+    }
+
+    // Track current focused item
+    this.items.forEach((item, index) => {
+      item.addEventListener(
+        'focus',
+        () => {
+          const previousIndex = this.currentIndex;
+          this.currentIndex = index;
+
+          if (this.options.rovingTabindex) {
+            this.tabStopIndex = index;
+            this.updateTabStops();
+          }
+
+          this.dispatch('focus-change', { index, previousIndex, item });
+        },
+        { signal }
+      );
+    });
+  }
+
+  /**
+   * Handle item activations (click, tap, Enter)
+   * @param {MouseEvent|KeyboardEvent} event
+   */
+  handleActivation(event) {
+    // Opened in a new tab or window, or not a primary click: this page stays
+    if (event.ctrlKey || event.metaKey || event.shiftKey || event.altKey) return;
+    if (event.type === 'click' && event.button !== 0) return;
+
+    const item = event.target.closest('.fmbn-nav-item, .fmbn-sheet__item');
+
+    // The "More" tab only opens its sheet
+    if (!item || !item.hasAttribute('href')) return;
+
+    const index = this.items.indexOf(item);
+    if (index === -1 && !item.classList.contains('fmbn-sheet__item')) return;
+
+    const href = item.getAttribute('href');
+    const label = this.getItemLabel(item);
+    const source = this.getActivationSource(event);
+
+    startNavigation(href, { label, source, options: this.options });
+
+    this.dispatch('activate', {
+      index,
+      href,
+      label,
+      item,
+      source,
+    });
+  }
+
+  /**
+   * Tell keyboard activations from mouse and touch ones
+   *
+   * Clicks synthesized from Enter, and the ones hotkeys trigger, have no
+   * pointer position and report detail 0.
+   * @param {MouseEvent|KeyboardEvent} event
+   * @returns {string} 'keyboard' or 'pointer'
+   */
+  getActivationSource(event) {
+    if (event.type === 'keydown' || event.detail === 0) {
+      return 'keyboard';
+    }
+
+    return 'pointer';
+  }
+
+  /**
+   * Remove every listener added by bindEvents()
+   */
+  unbindEvents() {
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+  }
+
+  /**
+   * Watch the nav subtree for Livewire morphs
+   *
+   * When the items are swapped the controller refreshes itself. In roving
+   * mode, attribute patches are watched too: morphs drop attributes that are
+   * missing from the server-rendered markup, so the tab stops are re-applied.
+   */
+  observeNav() {
+    if (typeof MutationObserver === 'undefined') return;
+
+    this.observer = new MutationObserver((mutations) => {
+      if (mutations.some((mutation) => mutation.type === 'childList') && this.itemsChanged()) {
+        this.refresh();
+        return;
+      }
+
+      if (this.options.rovingTabindex) {
+        this.syncRovingTabindex();
+      } else {
+        this.updateDisabledItems();
+      }
+    });
+
+    this.observer.observe(this.nav, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: this.options.rovingTabindex
+        ? ['tabindex', 'class', 'aria-current', 'aria-disabled']
+        : ['aria-disabled'],
+    });
+  }
+
+  /**
+   * Check if the items in the DOM differ from the cached ones
+   * @returns {boolean}
+   */
+  itemsChanged() {
+    const items = this.queryItems();
+
+    return (
+      items.length !== this.items.length ||
+      items.some((item, index) => item !== this.items[index])
+    );
+  }
+
+  /**
+   * Re-query the items and rebind their listeners
+   *
+   * Call after replacing the nav markup by hand; Livewire morphs of the nav
+   * subtree trigger this automatically.
+   */
+  refresh() {
+    if (!this.nav) return;
+
+    const tabStopItem = this.items[this.tabStopIndex];
+
+    this.unbindEvents();
+
+    this.items = this.queryItems();
+    this.currentIndex = this.items.indexOf(document.activeElement);
+    this.activeIndex = this.getActiveIndex();
+
+    // Keep the tab stop on the same element if it survived the morph
+    const tabStopIndex = this.items.indexOf(tabStopItem);
+    this.tabStopIndex = tabStopIndex !== -1 ? tabStopIndex : Math.max(this.activeIndex, 0);
+
+    this.bindEvents();
+    this.updateKeyShortcuts();
+    this.updateDisabledItems();
+    setBadgeOptions(this.nav, this.options.badges);
+    this.startBadgePolling();
+    this.startSheets();
+    this.startQuickActions();
+
+    if (this.activeIndicator) {
+      this.activeIndicator.refresh();
+    }
+
+    if (this.options.rovingTabindex) {
+      this.updateTabStops();
+    }
+  }
+
+  /**
+   * Send a badge change made in this tab to the other tabs
+   * @param {CustomEvent} event fmbn:badge-change
+   */
+  publishBadgeChange(event) {
+    const { key, value, color } = event.detail;
+
+    // Changes received from another tab are not sent back
+    if (this.applyingSyncMessage || !key) return;
+
+    publish(this.nav.dataset.fmbnPanel, 'badge', { key, value, color });
+  }
+
+  /**
+   * Apply a message from another tab of the same panel
+   * @param {{type: string, data: Object}} message
+   */
+  handleSyncMessage({ type, data }) {
+    if (type === 'preference') {
+      this.dispatch('preference-change', { name: data.name, value: data.value });
+      return;
+    }
+
+    if (type !== 'badge') return;
+
+    this.applyingSyncMessage = true;
+
+    try {
+      this.getAllItems()
+        .filter((item) => item.dataset.fmbnKey === data.key)
+        .forEach((item) => setItemBadge(item, data.value, data.color));
+    } finally {
+      this.applyingSyncMessage = false;
+    }
+  }
+
+  /**
+   * Get the tabs and the items of the "More" sheet
+   * @returns {HTMLElement[]}
+   */
+  getAllItems() {
+    return [...this.items, ...getSheetItems(this.nav)];
+  }
+
+  /**
+   * Start polling the badge endpoints of the items, if enabled
+   */
+  startBadgePolling() {
+    this.stopBadgePolling();
+
+    if (this.options.badgePolling.enabled) {
+      this.badgePoller = new MobileBottomNavigationBadgePoller(this.getAllItems(), this.options.badgePolling);
+    }
+  }
+
+  /**
+   * Stop polling and cancel requests in flight
+   */
+  stopBadgePolling() {
+    if (this.badgePoller) {
+      this.badgePoller.destroy();
+      this.badgePoller = null;
+    }
+  }
+
+  /**
+   * Slide the bar out while scrolling down, if enabled
+   *
+   * Items are not involved, so this survives refresh() untouched.
+   */
+  startScrollHiding() {
+    this.stopScrollHiding();
+
+    if (this.options.hideOnScroll.enabled) {
+      this.scrollHider = new MobileBottomNavigationScrollHider(this.nav, this.options.hideOnScroll, (hidden) =>
+        this.dispatch('visibility-change', { hidden, reason: 'scroll' })
+      );
+    }
+  }
+
+  /**
+   * Stop hiding on scroll and bring the bar back
+   */
+  stopScrollHiding() {
+    if (this.scrollHider) {
+      this.scrollHider.destroy();
+      this.scrollHider = null;
+    }
+  }
+
+  /**
+   * Slide an indicator to the active tab, if enabled
+   */
+  startActiveIndicator() {
+    this.stopActiveIndicator();
+
+    if (this.options.activeIndicator.enabled) {
+      this.activeIndicator = new MobileBottomNavigationActiveIndicator(
+        this.nav,
+        this.options.activeIndicator,
+        () => this.items[this.getActiveIndex()] || null
+      );
+    }
+  }
+
+  /**
+   * Remove the indicator
+   */
+  stopActiveIndicator() {
+    if (this.activeIndicator) {
+      this.activeIndicator.destroy();
+      this.activeIndicator = null;
+    }
+  }
+
+  /**
+   * Hide the bar while the on-screen keyboard is open, if enabled
+   */
+  startKeyboardDetection() {
+    this.stopKeyboardDetection();
+
+    if (this.options.hideWithKeyboard) {
+      this.virtualKeyboard = new MobileBottomNavigationVirtualKeyboard(this.nav, (open) =>
+        this.dispatch('visibility-change', { hidden: open, reason: 'keyboard' })
+      );
+    }
+  }
+
+  /**
+   * Stop watching the keyboard and bring the bar back
+   */
+  stopKeyboardDetection() {
+    if (this.virtualKeyboard) {
+      this.virtualKeyboard.destroy();
+      this.virtualKeyboard = null;
+    }
+  }
+
+  /**
+   * Attach the "More" tabs to their sheets
+   */
+  startSheets() {
+    this.stopSheets();
+
+    this.sheets = this.items
+      .filter((item) => item.hasAttribute('data-fmbn-sheet-toggle'))
+      .map((toggle) => {
+        const sheet = getSheet(toggle);
+
+        return sheet
+          ? new MobileBottomNavigationSheet(toggle, sheet, (open) => this.dispatch('sheet-change', { open }))
+          : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Close the sheets and detach them
+   */
+  stopSheets() {
+    this.sheets.forEach((sheet) => sheet.destroy());
+    this.sheets = [];
+  }
+
+  /**
+   * Attach the quick action menus of items that have one
+   */
+  startQuickActions() {
+    this.stopQuickActions();
+
+    this.quickActions = this.items
+      .filter((item) => item.hasAttribute('data-fmbn-quick-actions'))
+      .map((item) => {
+        const menu = getQuickActionsMenu(item);
+
+        return menu
+          ? new MobileBottomNavigationQuickActions(item, menu, { delay: this.options.longPressDelay }, (open) =>
+              this.dispatch('quick-actions-change', { open, item })
+            )
+          : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Close the quick action menus and detach them
+   */
+  stopQuickActions() {
+    this.quickActions.forEach((quickActions) => quickActions.destroy());
+    this.quickActions = [];
+  }
+
+  /**
+   * Move to the neighboring tab on horizontal swipes, if enabled
+   *
+   * Items are read when a swipe ends, so this survives refresh() untouched.
+   */
+  startSwipeNavigation() {
+    this.stopSwipeNavigation();
+
+    if (this.options.swipeNavigation.enabled) {
+      this.swipe = new MobileBottomNavigationSwipe(this.nav, this.options.swipeNavigation, (direction) =>
+        this.handleSwipe(direction)
+      );
+    }
+  }
+
+  /**
+   * Stop watching swipes
+   */
+  stopSwipeNavigation() {
+    if (this.swipe) {
+      this.swipe.destroy();
+      this.swipe = null;
+    }
+  }
+
+  /**
+   * Navigate to the tab next to the active one
+   *
+   * Swiping left brings in the tab on the right, like turning a page, so the
+   * direction mirrors in RTL. Sheet tabs, the action button and disabled or
+   * hidden items are skipped; the ends do not wrap.
+   * @param {number} direction -1 when the finger moved left, 1 when right
+   */
+  handleSwipe(direction) {
+    const activeIndex = this.getActiveIndex();
+    if (activeIndex === -1 || isModalOpen()) return;
+
+    const step = direction < 0 !== this.isRtl() ? 1 : -1;
+
+    for (let index = activeIndex + step; index >= 0 && index < this.items.length; index += step) {
+      const item = this.items[index];
+
+      if (!item.hasAttribute('href') || item.dataset.fmbnMatch === 'none' || !this.isItemFocusable(item)) {
+        continue;
+      }
+
+      const href = item.getAttribute('href');
+      const label = this.getItemLabel(item);
+
+      startNavigation(href, { label, source: 'swipe', options: this.options });
+
+      this.dispatch('activate', { index, href, label, item, source: 'swipe' });
+
+      if (window.Livewire && typeof window.Livewire.navigate === 'function') {
+        window.Livewire.navigate(href);
+      } else {
+        window.location.assign(href);
+      }
+
+      return;
+    }
+  }
 
-class MobileBottomNavigationKeyboard {
-  constructor(navElement = null) {
-    this.nav = navElement || document.querySelector('.fmbn-bottom-nav');
+  /**
+   * Remove all listeners and observers and restore the items' attributes
+   */
+  destroy() {
     if (!this.nav) return;
 
-    this.items = Array.from(this.nav.querySelectorAll('.fmbn-nav-item'));
+    this.dispatch('destroy');
+
+    this.unbindEvents();
+    this.resetTypeahead();
+    this.stopBadgePolling();
+    this.stopScrollHiding();
+    this.stopKeyboardDetection();
+    this.stopSheets();
+    this.stopQuickActions();
+    this.stopSwipeNavigation();
+    this.stopActiveIndicator();
+
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+
+    if (this.options.rovingTabindex) {
+      this.items.forEach((item) => item.removeAttribute('tabindex'));
+    } else {
+      this.items
+        .filter((item) => this.untabbableItems.has(item))
+        .forEach((item) => item.removeAttribute('tabindex'));
+    }
+
+    if (this.options.hotkeys.enabled) {
+      this.items.forEach((item) => item.removeAttribute('aria-keyshortcuts'));
+    }
+
+    if (instances.get(this.nav) === this) {
+      instances.delete(this.nav);
+    }
+
+    this.items = [];
     this.currentIndex = -1;
+    this.nav = null;
+  }
 
-    this.bindEvents();
+  /**
+   * Re-apply the roving tab stops after an attribute patch
+   */
+  syncRovingTabindex() {
+    const activeIndex = this.getActiveIndex();
+
+    // Follow the active item when it changes (e.g. after navigation)
+    if (activeIndex !== this.activeIndex) {
+      this.activeIndex = activeIndex;
+      this.tabStopIndex = Math.max(activeIndex, 0);
+    }
+
+    this.updateTabStops();
   }
 
   /**
-   * Bind keyboard event listeners
+   * Give the tab stop item tabindex="0" and every other item tabindex="-1"
+   *
+   * The tab stop never rests on a hidden or disabled item.
    */
-  bindEvents() {
-    // Listen for keydown on navigation container
-    this.nav.addEventListener('keydown', (e) => this.handleKeydown(e), true);
+  updateTabStops() {
+    if (!this.isItemFocusable(this.items[this.tabStopIndex])) {
+      const fallbackIndex = this.getEntryIndex(false);
+      if (fallbackIndex !== -1) this.tabStopIndex = fallbackIndex;
+    }
 
-    // Track current focused item
     this.items.forEach((item, index) => {
-      item.addEventListener('focus', () => {
-        this.currentIndex = index;
-      });
+      const tabindex = index === this.tabStopIndex ? '0' : '-1';
+
+      // Only write on change so the observer does not loop
+      if (item.getAttribute('tabindex') !== tabindex) {
+        item.setAttribute('tabindex', tabindex);
+      }
+    });
+  }
+
+  /**
+   * Recompute the active item from a URL
+   *
+   * Matches like Filament: items with data-fmbn-match="exact" (pages) only
+   * match their own path, other items (resources) also match the paths below
+   * them. The exact match, or else the longest prefix, wins. An item of the
+   * "More" sheet makes the "More" tab active.
+   * @param {string} [url] Defaults to the current location
+   */
+  syncActiveItem(url = window.location.href) {
+    const link = this.getLinkForUrl(url);
+
+    getSheetItems(this.nav).forEach((sheetItem) => {
+      const active = sheetItem === link;
+
+      sheetItem.classList.toggle('fmbn-sheet__item--active', active);
+
+      if (active) {
+        sheetItem.setAttribute('aria-current', 'page');
+      } else {
+        sheetItem.removeAttribute('aria-current');
+      }
+    });
+
+    this.setActiveIndex(this.getItemIndexForLink(link));
+  }
+
+  /**
+   * Find the item matching a URL
+   * @param {string} url
+   * @returns {number} -1 when no item matches
+   */
+  getItemIndexForUrl(url) {
+    return this.getItemIndexForLink(this.getLinkForUrl(url));
+  }
+
+  /**
+   * Find the tab or sheet item that best matches a URL
+   * @param {string} url
+   * @returns {HTMLElement|null}
+   */
+  getLinkForUrl(url) {
+    const current = new URL(url, document.baseURI);
+
+    let bestLink = null;
+    let bestScore = -1;
+
+    this.getAllItems().forEach((link) => {
+      const score = getMatchScore(link, current);
+
+      if (score > bestScore) {
+        bestLink = link;
+        bestScore = score;
+      }
+    });
+
+    return bestLink;
+  }
+
+  /**
+   * Get the index of the tab showing a link: the link itself, or the "More"
+   * tab of the sheet it is listed in
+   * @param {HTMLElement|null} link
+   * @returns {number}
+   */
+  getItemIndexForLink(link) {
+    if (!link) return -1;
+
+    const index = this.items.indexOf(link);
+    if (index !== -1) return index;
+
+    return this.items.findIndex(
+      (item) => item.hasAttribute('data-fmbn-sheet-toggle') && !!getSheet(item)?.contains(link)
+    );
+  }
+
+  /**
+   * Mark an item as active: the active class, aria-current and the active
+   * icon class always change together
+   * @param {number} index -1 clears the active state
+   */
+  setActiveIndex(index) {
+    const previousIndex = this.getActiveIndex();
+
+    this.items.forEach((item, itemIndex) => {
+      const active = itemIndex === index;
+
+      item.classList.toggle('fmbn-nav-item--active', active);
+
+      // The "More" tab is a button: it only looks active
+      if (active && item.hasAttribute('href')) {
+        item.setAttribute('aria-current', 'page');
+      } else {
+        item.removeAttribute('aria-current');
+      }
+
+      const icon = item.querySelector('.fmbn-nav-item__icon');
+      if (icon) icon.classList.toggle('fmbn-nav-item__icon--active', active);
+    });
+
+    if (this.options.rovingTabindex) {
+      this.syncRovingTabindex();
+    }
+
+    if (this.activeIndicator) {
+      this.activeIndicator.update();
+    }
+
+    if (index !== previousIndex) {
+      this.dispatch('active-change', { index, previousIndex, item: this.items[index] || null });
+    }
+  }
+
+  /**
+   * Check if an item is marked as disabled
+   * @param {HTMLElement} item
+   * @returns {boolean}
+   */
+  isItemDisabled(item) {
+    return item.getAttribute('aria-disabled') === 'true';
+  }
+
+  /**
+   * Check if an item is rendered (not hidden by CSS, an overflow menu, ...)
+   * @param {HTMLElement} item
+   * @returns {boolean}
+   */
+  isItemVisible(item) {
+    return item.getClientRects().length > 0 && window.getComputedStyle(item).visibility !== 'hidden';
+  }
+
+  /**
+   * Check if arrow keys, type-ahead and hotkeys may move focus to an item
+   * @param {HTMLElement|undefined} item
+   * @returns {boolean}
+   */
+  isItemFocusable(item) {
+    return !!item && !this.isItemDisabled(item) && this.isItemVisible(item);
+  }
+
+  /**
+   * Disable or re-enable an item
+   *
+   * Disabled items get aria-disabled="true", are skipped by arrow keys,
+   * leave the Tab sequence and ignore clicks.
+   * @param {HTMLElement|number} item Item element or index
+   * @param {boolean} [disabled]
+   */
+  setItemDisabled(item, disabled = true) {
+    const element = typeof item === 'number' ? this.items[item] : item;
+    if (!element || !this.items.includes(element)) return;
+
+    if (disabled) {
+      element.setAttribute('aria-disabled', 'true');
+    } else {
+      element.removeAttribute('aria-disabled');
+    }
+
+    this.updateDisabledItems();
+
+    if (this.options.rovingTabindex) {
+      this.updateTabStops();
+    }
+  }
+
+  /**
+   * Take disabled items out of the Tab sequence and put re-enabled ones back
+   *
+   * Roving mode handles this in updateTabStops().
+   */
+  updateDisabledItems() {
+    if (this.options.rovingTabindex) return;
+
+    this.items.forEach((item) => {
+      if (this.isItemDisabled(item)) {
+        if (item.getAttribute('tabindex') !== '-1') {
+          item.setAttribute('tabindex', '-1');
+          this.untabbableItems.add(item);
+        }
+      } else if (this.untabbableItems.delete(item)) {
+        item.removeAttribute('tabindex');
+      }
+    });
+  }
+
+  /**
+   * Cancel an activation attempt on a disabled item
+   * @param {Event} event
+   * @returns {boolean} Whether the event was blocked
+   */
+  blockDisabledActivation(event) {
+    const item = event.target.closest && event.target.closest('.fmbn-nav-item');
+    if (!item || !this.isItemDisabled(item)) return false;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    return true;
+  }
+
+  /**
+   * Close the open sheet and quick action menu, leaving focus alone
+   */
+  closeOverlays() {
+    this.sheets.forEach((sheet) => sheet.close({ restoreFocus: false }));
+    this.quickActions.forEach((quickActions) => quickActions.close({ restoreFocus: false }));
+  }
+
+  /**
+   * Get the items numbered by the item hotkeys: the page tabs, without the
+   * center action button and the tabs opening a sheet
+   * @returns {HTMLElement[]}
+   */
+  getHotkeyItems() {
+    return this.items.filter(
+      (item) => !item.hasAttribute('data-fmbn-fab') && !item.hasAttribute('data-fmbn-sheet-toggle')
+    );
+  }
+
+  /**
+   * Expose the bound hotkeys to assistive technology
+   */
+  updateKeyShortcuts() {
+    if (!this.options.hotkeys.enabled) return;
+
+    const hotkeys = this.options.hotkeys.items || [];
+    const hotkeyItems = this.getHotkeyItems();
+
+    this.items.forEach((item) => {
+      const hotkey = hotkeys[hotkeyItems.indexOf(item)];
+
+      if (hotkey) {
+        item.setAttribute('aria-keyshortcuts', hotkey);
+      } else {
+        item.removeAttribute('aria-keyshortcuts');
+      }
     });
   }
 
+  /**
+   * Handle global hotkeys
+   * @param {KeyboardEvent} event
+   */
+  handleHotkey(event) {
+    if (event.defaultPrevented || event.repeat) return;
+
+    // The bar is hidden (e.g. desktop breakpoint)
+    if (this.nav.getClientRects().length === 0) return;
+
+    // Never steal keystrokes from form fields or open modals
+    if (isTypingTarget(event.target) || isModalOpen()) return;
+
+    const { items = [], focus } = this.options.hotkeys;
+
+    if (focus && matchesHotkey(event, focus)) {
+      event.preventDefault();
+      this.focusItem(this.getEntryIndex());
+      return;
+    }
+
+    const index = items.findIndex((hotkey) => matchesHotkey(event, hotkey));
+    const item = this.getHotkeyItems()[index];
+    if (!item || !this.isItemFocusable(item)) return;
+
+    event.preventDefault();
+
+    // Click so wire:navigate handles the navigation
+    item.click();
+  }
+
+  /**
+   * Get the item that should receive focus when entering the bar
+   * @param {boolean} [useTabStop] Prefer the roving tab stop
+   * @returns {number} -1 when no item can take focus
+   */
+  getEntryIndex(useTabStop = true) {
+    if (useTabStop && this.options.rovingTabindex && this.isItemFocusable(this.items[this.tabStopIndex])) {
+      return this.tabStopIndex;
+    }
+
+    const activeIndex = this.getActiveIndex();
+    if (this.isItemFocusable(this.items[activeIndex])) {
+      return activeIndex;
+    }
+
+    return this.findFocusableIndex(0, 1);
+  }
+
+  /**
+   * Get the index of the item marked as the current page
+   * @returns {number} -1 when no item is active
+   */
+  getActiveIndex() {
+    return this.items.findIndex(
+      (item) =>
+        item.classList.contains('fmbn-nav-item--active') ||
+        item.getAttribute('aria-current') === 'page'
+    );
+  }
+
   /**
    * Handle keyboard events
    * @param {KeyboardEvent} event
@@ -41,7 +1293,9 @@ class MobileBottomNavigationKeyboard {
   handleKeydown(event) {
     const { key } = event;
 
-    // Only handle arrow keys and Home/End
+    if (key === 'Enter' && this.blockDisabledActivation(event)) return;
+
+    // Only handle arrow keys, Home/End and type-ahead characters
     if (!this.isNavigationKey(key)) return;
 
     // Only handle if an item is focused
@@ -61,21 +1315,27 @@ class MobileBottomNavigationKeyboard {
         break;
 
       case 'Home':
-        newIndex = 0;
+        newIndex = this.findFocusableIndex(0, 1);
         event.preventDefault();
         break;
 
       case 'End':
-        newIndex = this.items.length - 1;
+        newIndex = this.findFocusableIndex(this.items.length - 1, -1);
         event.preventDefault();
         break;
 
       default:
-        return;
+        // Leave shortcuts (Ctrl+F, hotkeys, ...) to the browser and the page
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+        newIndex = this.getTypeaheadIndex(key);
+        if (newIndex === -1) return;
+        event.preventDefault();
+        break;
     }
 
     // Focus the new item
-    if (newIndex !== this.currentIndex) {
+    if (newIndex !== -1 && newIndex !== this.currentIndex) {
       this.focusItem(newIndex);
     }
   }
@@ -86,78 +1346,282 @@ class MobileBottomNavigationKeyboard {
    * @returns {boolean}
    */
   isNavigationKey(key) {
-    return ['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(key);
+    return ['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(key) || this.isTypeaheadKey(key);
+  }
+
+  /**
+   * Check if key is a printable character for type-ahead
+   *
+   * Space only extends an ongoing search so it never hijacks activation.
+   * @param {string} key
+   * @returns {boolean}
+   */
+  isTypeaheadKey(key) {
+    if (!this.options.typeahead || key.length !== 1) return false;
+
+    return key !== ' ' || this.typeaheadBuffer !== '';
+  }
+
+  /**
+   * Append a character to the type-ahead buffer and find the matching item
+   *
+   * Typing quickly matches a longer prefix; repeating one letter cycles
+   * through the items starting with it, like native menus.
+   * @param {string} key
+   * @returns {number} -1 when no item matches
+   */
+  getTypeaheadIndex(key) {
+    clearTimeout(this.typeaheadTimer);
+    this.typeaheadBuffer += key;
+    this.typeaheadTimer = setTimeout(() => this.resetTypeahead(), TYPEAHEAD_TIMEOUT);
+
+    const buffer = this.typeaheadBuffer;
+    const isRepeat = Array.from(buffer).every((char) => char === buffer[0]);
+    const prefix = isRepeat ? buffer[0] : buffer;
+
+    // A new search starts after the current item; a longer prefix may
+    // still match the item that is already focused
+    const start = prefix.length === 1 ? this.currentIndex + 1 : this.currentIndex;
+    const collator = new Intl.Collator(this.getLocale(), { usage: 'search', sensitivity: 'base' });
+
+    for (let offset = 0; offset < this.items.length; offset++) {
+      const index = (start + offset) % this.items.length;
+      if (!this.isItemFocusable(this.items[index])) continue;
+
+      const label = this.getItemLabel(this.items[index]);
+
+      // Base sensitivity: case- and accent-insensitive ("e" matches "É")
+      if (collator.compare(label.slice(0, prefix.length), prefix) === 0) {
+        return index;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Clear the type-ahead buffer
+   */
+  resetTypeahead() {
+    clearTimeout(this.typeaheadTimer);
+    this.typeaheadTimer = null;
+    this.typeaheadBuffer = '';
+  }
+
+  /**
+   * Get the visible label of an item
+   * @param {HTMLElement} item
+   * @returns {string}
+   */
+  getItemLabel(item) {
+    const label = item.querySelector('.fmbn-nav-item__label');
+
+    return (label ? label.textContent : item.getAttribute('aria-label') || '').trim();
+  }
+
+  /**
+   * Get the language of the nav (closest [lang], falling back to the browser)
+   * @returns {string|undefined}
+   */
+  getLocale() {
+    const element = this.nav.closest('[lang]');
+
+    return (element && element.getAttribute('lang')) || undefined;
+  }
+
+  /**
+   * Check if the nav is laid out right-to-left
+   *
+   * Read on every key press so a runtime `dir` change on the nav or any
+   * ancestor (e.g. a locale switch) is picked up without re-initializing.
+   * @returns {boolean}
+   */
+  isRtl() {
+    return window.getComputedStyle(this.nav).direction === 'rtl';
   }
 
   /**
-   * Get next left item index (with wrapping)
+   * Get the index of the item visually on the left
    * @returns {number}
    */
   getLeftIndex() {
-    if (this.currentIndex > 0) {
-      return this.currentIndex - 1;
-    }
-    // Wrap to end for RTL support consideration
-    return this.items.length - 1;
+    return this.isRtl() ? this.getNextIndex() : this.getPreviousIndex();
   }
 
   /**
-   * Get next right item index (with wrapping)
+   * Get the index of the item visually on the right
    * @returns {number}
    */
   getRightIndex() {
-    if (this.currentIndex < this.items.length - 1) {
-      return this.currentIndex + 1;
+    return this.isRtl() ? this.getPreviousIndex() : this.getNextIndex();
+  }
+
+  /**
+   * Get previous focusable item index in DOM order (wraps unless wrapAround is off)
+   * @returns {number}
+   */
+  getPreviousIndex() {
+    const index = this.findFocusableIndex(this.currentIndex - 1, -1, this.options.wrapAround);
+
+    return index === -1 ? this.currentIndex : index;
+  }
+
+  /**
+   * Get next focusable item index in DOM order (wraps unless wrapAround is off)
+   * @returns {number}
+   */
+  getNextIndex() {
+    const index = this.findFocusableIndex(this.currentIndex + 1, 1, this.options.wrapAround);
+
+    return index === -1 ? this.currentIndex : index;
+  }
+
+  /**
+   * Find the first focusable item from `start`, walking in `step` direction
+   * @param {number} start First index to test
+   * @param {number} step 1 to walk forward, -1 to walk backward
+   * @param {boolean} [wrap] Continue from the other end
+   * @returns {number} -1 when no item qualifies
+   */
+  findFocusableIndex(start, step, wrap = false) {
+    const count = this.items.length;
+
+    for (let offset = 0; offset < count; offset++) {
+      let index = start + offset * step;
+
+      if (wrap) {
+        index = ((index % count) + count) % count;
+      } else if (index < 0 || index >= count) {
+        return -1;
+      }
+
+      if (this.isItemFocusable(this.items[index])) {
+        return index;
+      }
     }
-    // Wrap to start
-    return 0;
+
+    return -1;
   }
 
   /**
    * Focus a specific item by index
+   *
+   * Hidden and disabled items are never focused.
    * @param {number} index
    */
   focusItem(index) {
-    if (index >= 0 && index < this.items.length) {
+    if (this.isItemFocusable(this.items[index])) {
       this.items[index].focus();
       this.currentIndex = index;
     }
   }
 }
 
+/**
+ * Attach a controller to every nav in the document
+ */
+const initAll = () => {
+  document.querySelectorAll('.fmbn-bottom-nav').forEach((nav) => {
+    MobileBottomNavigationKeyboard.getOrCreate(nav);
+  });
+};
+
 /**
  * Initialize keyboard navigation on DOM ready
  */
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    new MobileBottomNavigationKeyboard();
-  });
+  document.addEventListener('DOMContentLoaded', initAll);
 } else {
   // DOM already loaded
-  new MobileBottomNavigationKeyboard();
+  initAll();
 }
 
+/**
+ * Announce bar navigations and move focus once Livewire has swapped the page
+ */
+document.addEventListener('livewire:navigate', handleNavigate);
+document.addEventListener('livewire:navigated', handleNavigated);
+
+/**
+ * Find navs in a node: the node itself or anywhere in its subtree
+ * @param {Node} node
+ * @returns {HTMLElement[]}
+ */
+const findNavs = (node) => {
+  if (node.nodeType !== Node.ELEMENT_NODE) return [];
+  if (node.classList.contains('fmbn-bottom-nav')) return [node];
+
+  // Live collection; much cheaper than querySelectorAll on large subtrees
+  return Array.from(node.getElementsByClassName('fmbn-bottom-nav'));
+};
+
 /**
  * Also support dynamic navigation initialization
- * (if nav is added to DOM after initial load)
+ * (if nav is added to DOM after initial load, e.g. after wire:navigate or
+ * inside a wrapper inserted by a render hook)
+ *
+ * Mutations are batched and scanned once per frame so that Livewire churn in
+ * big Filament tables does not turn into work on every single record.
  */
 if (typeof MutationObserver !== 'undefined') {
+  const addedNodes = new Set();
+  const removedNodes = new Set();
+  let scanScheduled = false;
+
+  const scan = () => {
+    scanScheduled = false;
+
+    // Tear down controllers of navs that left the document. A nav that was
+    // only moved (e.g. @persist) is connected again and keeps its controller.
+    removedNodes.forEach((node) => {
+      findNavs(node).forEach((nav) => {
+        if (nav.isConnected) return;
+
+        const instance = MobileBottomNavigationKeyboard.getInstance(nav);
+        if (instance) instance.destroy();
+      });
+    });
+
+    addedNodes.forEach((node) => {
+      // Skip nodes that were added and removed again within the batch
+      if (!node.isConnected) return;
+
+      findNavs(node).forEach((nav) => MobileBottomNavigationKeyboard.getOrCreate(nav));
+    });
+
+    removedNodes.clear();
+    addedNodes.clear();
+  };
+
+  const scheduleScan = () => {
+    if (scanScheduled) return;
+    scanScheduled = true;
+
+    if (typeof requestAnimationFrame === 'function') {
+      requestAnimationFrame(scan);
+    } else {
+      setTimeout(scan, 0);
+    }
+  };
+
   const observer = new MutationObserver((mutations) => {
     mutations.forEach((mutation) => {
-      if (mutation.addedNodes.length > 0) {
-        mutation.addedNodes.forEach((node) => {
-          if (node.classList && node.classList.contains('fmbn-bottom-nav')) {
-            new MobileBottomNavigationKeyboard(node);
-          }
-        });
-      }
+      mutation.removedNodes.forEach((node) => {
+        if (node.nodeType === Node.ELEMENT_NODE) removedNodes.add(node);
+      });
+
+      mutation.addedNodes.forEach((node) => {
+        if (node.nodeType === Node.ELEMENT_NODE) addedNodes.add(node);
+      });
     });
+
+    if (addedNodes.size > 0 || removedNodes.size > 0) {
+      scheduleScan();
+    }
   });
 
-  // Start observing the document body for dynamic nav additions
-  if (document.body) {
-    observer.observe(document.body, { childList: true, subtree: true });
-  }
+  // Observe the root element: wire:navigate replaces <body> itself
+  observer.observe(document.documentElement, { childList: true, subtree: true });
 }
 
 // Export as default for ES6 modules
@@ -2,5 +2,33 @@
 
 // translations for Jenilutfifauzi/FilamentMobileBottomNavigation
 return [
-    //
+
+    'announcements' => [
+        'page_loaded' => ':title, page loaded',
+    ],
+
+    'more' => [
+        'label' => 'More',
+    ],
+
+    'sheet' => [
+        'close' => 'Close',
+    ],
+
+    'fab' => [
+        'label' => 'Create',
+    ],
+
+    'quick_actions' => [
+        'hint' => 'Touch and hold, or press Shift+F10, for more actions',
+    ],
+
+    'badges' => [
+        // Keys are CLDR plural categories: zero, one, two, few, many, other
+        'description' => [
+            'one' => ':count notification',
+            'other' => ':count notifications',
+        ],
+    ],
+
 ];
@@ -4,34 +4,62 @@
     Renders the bottom navigation bar for mobile devices with icons and labels.
     Navigation items are retrieved from the current Filament panel.
 
-    @var \Illuminate\Support\Collection<int, \Filament\Navigation\NavigationItem> $navigationItems
+    @var \Illuminate\Support\Collection<int, \Filament\Navigation\NavigationItem|\Filament\Navigation\NavigationGroup> $navigationItems
 --}}
 
 @php
     use Filament\Facades\Filament;
+    use Filament\Navigation\NavigationGroup;
+    use Jenilutfifauzi\FilamentMobileBottomNavigation\FilamentMobileBottomNavigation;
 
     $panel = Filament::getCurrentPanel();
+    $mobileBottomNavigation = app(FilamentMobileBottomNavigation::class);
+    $breakpoint = $mobileBottomNavigation->getBreakpoint($panel);
 
     if (!$panel) {
         $navigationItems = collect([]);
+        $overflowGroups = collect([]);
+        $prefixMatchUrls = [];
+        $navigationKeys = [];
+        $fab = null;
+        $quickActions = [];
     } else {
-        $navigation = collect($panel->getNavigation());
+        $fab = $mobileBottomNavigation->getFab($panel);
 
-        $navigationItems = $navigation->flatMap(function ($item) {
-            // If it's a NavigationGroup, extract its items
-            if ($item instanceof \Filament\Navigation\NavigationGroup) {
-                return $item->getItems();
-            }
+        // The center action button takes one of the slots
+        $maxItems = $mobileBottomNavigation->getMaxItems($panel);
 
-            // If it's a NavigationItem, return it
-            if ($item instanceof \Filament\Navigation\NavigationItem) {
-                return [$item];
-            }
+        if ($fab && $maxItems > 1) {
+            $maxItems--;
+        }
+
+        // Items past the maximum move to the "More" sheet, grouped by navigation group;
+        // in group mode each labeled group is one tab with its own sheet
+        [
+            'tabs' => $navigationItems,
+            'overflow' => $overflowGroups,
+        ] = $mobileBottomNavigation->splitNavigation(
+            $panel->getNavigation(),
+            $maxItems,
+            $mobileBottomNavigation->shouldGroupTabs($panel),
+        );
+
+        // Resource items stay active on their child pages (create, edit, ...)
+        $prefixMatchUrls = $mobileBottomNavigation->getPrefixMatchUrls($panel);
 
-            // Skip unknown types
-            return [];
-        });
+        // Stable keys for the JS API (e.g. setBadge('orders', 5))
+        $navigationKeys = $mobileBottomNavigation->getNavigationKeys($panel);
+
+        // Long-press menus, indexed by item key
+        $quickActions = $mobileBottomNavigation->getQuickActions($panel);
     }
+
+    $overflowActive = $overflowGroups->contains(
+        fn (array $group): bool => $group['items']->contains(fn ($item): bool => $item->isActive())
+    );
+
+    // The action button sits in the middle of the tabs, "More" included
+    $fabIndex = intdiv($navigationItems->count() + ($overflowGroups->isNotEmpty() ? 1 : 0), 2);
 @endphp
 
 <style>
@@ -44,7 +72,7 @@
     }
 
     /* CRITICAL: Reserve space for mobile navigation to prevent Cumulative Layout Shift */
-    @media (max-width: 767px) {
+    @media (max-width: {{ $breakpoint - 1 }}px) {
         body {
             padding-bottom: var(--fmbn-nav-height);
             margin-bottom: 0;
@@ -69,6 +97,50 @@
         padding-bottom: calc(var(--fmbn-nav-padding-bottom) + env(safe-area-inset-bottom, 0px));
         margin: 0;
         list-style: none;
+        transition: transform 0.2s ease-in-out;
+    }
+
+    /* Hide-on-scroll: transform only, the body padding stays reserved */
+    .fmbn-bottom-nav--hidden {
+        transform: translateY(100%);
+    }
+
+    /* Swipe navigation: horizontal swipes are left to the bar's script */
+    html[data-fmbn-swipe] body {
+        touch-action: pan-y pinch-zoom;
+    }
+
+    /* Keeps the bar from riding up over the on-screen keyboard */
+    .fmbn-bottom-nav[data-fmbn-keyboard-open] {
+        visibility: hidden;
+    }
+
+    /* "More" sheet: closed sheets use the hidden attribute */
+    .fmbn-sheet {
+        position: fixed;
+        inset: 0;
+        z-index: 60;
+    }
+
+    .fmbn-sheet[hidden] {
+        display: none;
+    }
+
+    .fmbn-sheet__backdrop {
+        position: absolute;
+        inset: 0;
+        background-color: rgba(0, 0, 0, 0.4);
+    }
+
+    .fmbn-sheet__panel {
+        position: absolute;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        max-height: 80vh;
+        overflow-y: auto;
+        background-color: var(--gray-50, #f9fafb);
+        padding-bottom: env(safe-area-inset-bottom, 0px);
     }
 
     /* Semantic list structure */
@@ -90,8 +162,60 @@
         list-style: none;
     }
 
+    .fmbn-nav__list-item[hidden] {
+        display: none;
+    }
+
+    /* Center action button: a raised circle, the item itself stays transparent */
+    .fmbn-bottom-nav .fmbn-nav-item.fmbn-nav-item--fab,
+    .fmbn-bottom-nav .fmbn-nav-item.fmbn-nav-item--fab:hover {
+        background: none !important;
+        border: 0 !important;
+        color: var(--white, #fff) !important;
+    }
+
+    .fmbn-fab__button {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        width: 3.5rem;
+        height: 3.5rem;
+        margin-top: -1.75rem;
+        border-radius: 9999px;
+        background-color: var(--primary-600, #2563eb);
+        box-shadow: 0 4px 10px rgba(0, 0, 0, 0.2);
+    }
+
+    /* Quick action menu: placed above its tab in JS */
+    .fmbn-menu {
+        position: fixed;
+        z-index: 60;
+        min-width: 12rem;
+        padding: 0.25rem;
+        background-color: var(--white, #fff);
+        border-radius: 0.75rem;
+        box-shadow: 0 10px 25px rgba(0, 0, 0, 0.15);
+    }
+
+    .fmbn-menu[hidden] {
+        display: none;
+    }
+
+    .fmbn-menu__item {
+        display: flex;
+        align-items: center;
+        gap: 0.75rem;
+        width: 100%;
+        min-height: 44px;
+        padding: 0.5rem 0.75rem;
+        border: 0;
+        background: none;
+        font: inherit;
+        text-decoration: none;
+    }
+
     /* Hide on desktop (no padding needed) */
-    @media (min-width: 768px) {
+    @media (min-width: {{ $breakpoint }}px) {
         .fmbn-bottom-nav {
             display: none;
         }
@@ -160,6 +284,11 @@
         font-weight: 600;
     }
 
+    .fmbn-nav-item[aria-disabled="true"] {
+        opacity: 0.5;
+        cursor: not-allowed;
+    }
+
     .fmbn-nav-item__icon {
         display: flex;
         align-items: center;
@@ -198,8 +327,21 @@
         border-radius: 999px;
     }
 
+    .fmbn-nav-item__badge--dot {
+        min-width: 0.75rem;
+        width: 0.75rem;
+        height: 0.75rem;
+        padding: 0;
+    }
+
+    /* Right-to-left panels: mirror the badge to the other side of the icon */
+    [dir="rtl"] .fmbn-nav-item__badge {
+        right: auto;
+        left: 0;
+    }
+
     /* Hide navigation on larger screens (desktop) */
-    @media (min-width: 768px) {
+    @media (min-width: {{ $breakpoint }}px) {
         .fmbn-bottom-nav {
             display: none;
         }
@@ -282,6 +424,67 @@
         color: var(--primary-400, #60a5fa) !important;
     }
 
+    /* Active indicator: replaces the active item's border and background */
+    .fmbn-bottom-nav.fmbn-bottom-nav--indicator .fmbn-nav-item--active {
+        background-color: transparent !important;
+        border-top-color: transparent !important;
+    }
+
+    .fmbn-bottom-nav--indicator .fmbn-nav__list {
+        position: relative;
+        z-index: 1;
+    }
+
+    .fmbn-active-indicator {
+        position: absolute;
+        top: 0;
+        left: 0;
+        pointer-events: none;
+        transition: transform 0.25s ease-in-out, width 0.25s ease-in-out, height 0.25s ease-in-out;
+    }
+
+    .fmbn-active-indicator[hidden] {
+        display: none;
+    }
+
+    .fmbn-active-indicator--instant {
+        transition: none;
+    }
+
+    .fmbn-active-indicator--pill {
+        width: var(--fmbn-indicator-width, 0px);
+        height: var(--fmbn-indicator-height, 0px);
+        transform: translate(var(--fmbn-indicator-x, 0px), var(--fmbn-indicator-y, 0px));
+        border-radius: 9999px;
+        background-color: var(--primary-50, #eff6ff);
+    }
+
+    .fmbn-active-indicator--underline {
+        width: calc(var(--fmbn-indicator-width, 0px) / 2);
+        height: 3px;
+        transform: translate(
+            calc(var(--fmbn-indicator-x, 0px) + var(--fmbn-indicator-width, 0px) / 4),
+            calc(var(--fmbn-indicator-y, 0px) + var(--fmbn-indicator-height, 0px) - 3px)
+        );
+        background-color: var(--primary-600, #2563eb);
+    }
+
+    .fmbn-active-indicator--top-bar {
+        width: var(--fmbn-indicator-width, 0px);
+        height: 3px;
+        transform: translateX(var(--fmbn-indicator-x, 0px));
+        background-color: var(--primary-600, #2563eb);
+    }
+
+    .dark .fmbn-active-indicator--pill {
+        background-color: var(--primary-950, #1e3a8a);
+    }
+
+    .dark .fmbn-active-indicator--underline,
+    .dark .fmbn-active-indicator--top-bar {
+        background-color: var(--primary-400, #60a5fa);
+    }
+
     /* High contrast mode */
     @media (prefers-contrast: more) {
         .fmbn-bottom-nav {
@@ -295,7 +498,9 @@
 
     /* Reduced motion */
     @media (prefers-reduced-motion: reduce) {
-        .fmbn-nav-item {
+        .fmbn-bottom-nav,
+        .fmbn-nav-item,
+        .fmbn-active-indicator {
             transition: none;
         }
     }
@@ -303,59 +508,131 @@
 
 @if ($navigationItems->isNotEmpty())
     <nav class="fmbn-bottom-nav" role="navigation" aria-label="Mobile bottom navigation"
+         data-fmbn-panel="{{ $panel->getId() }}"
          style="height: calc(61px + env(safe-area-inset-bottom, 0px));">
         <ul class="fmbn-nav__list" style="display: flex; flex-wrap: wrap; width: 100%; gap: 0; margin: 0; padding: 0; list-style: none;">
             @foreach ($navigationItems as $item)
+                @if ($fab && $loop->index === $fabIndex)
+                    @include('filament-mobile-bottom-navigation::partials.fab', ['fab' => $fab])
+                @endif
+
                 <li class="fmbn-nav__list-item" style="flex: 1; display: flex; margin: 0; padding: 0;">
-                    <a
-                        href="{{ $item->getUrl() }}"
-                        wire:navigate
-                        class="fmbn-nav-item"
-                        @class([
-                            'fmbn-nav-item--active' => $item->isActive(),
+                    @if ($item instanceof NavigationGroup)
+                        @include('filament-mobile-bottom-navigation::partials.sheet-toggle', [
+                            'sheetId' => "fmbn-group-sheet-{$loop->index}",
+                            'label' => $item->getLabel(),
+                            'icon' => $mobileBottomNavigation->getGroupIcon($item),
+                            'active' => collect($item->getItems())->contains(fn ($child): bool => $child->isActive()),
+                            'modifier' => 'fmbn-nav-item--group',
                         ])
-                        aria-label="{{ $item->getLabel() }}"
-                        @if ($item->isActive())
-                            aria-current="page"
-                        @endif
-                        style="min-width: 44px; min-height: 44px; flex: 1; display: flex; flex-direction: column; align-items: center; justify-content: center;"
-                    >
-                        <span
-                            class="fmbn-nav-item__icon"
+                    @else
+                        @php
+                            $itemKey = $mobileBottomNavigation->getItemKey($item, $navigationKeys);
+                        @endphp
+
+                        <a
+                            href="{{ $item->getUrl() }}"
+                            wire:navigate
                             @class([
-                                'fmbn-nav-item__icon--active' => $item->isActive(),
+                                'fmbn-nav-item',
+                                'fmbn-nav-item--active' => $item->isActive(),
                             ])
-                            aria-hidden="true"
-                            style="width: 24px; height: 24px; position: relative; display: flex; align-items: center; justify-content: center; transition: all 0.2s ease-in-out;"
-                        >
-                            @if ($item->getIcon())
-                                <x-filament::icon
-                                    :icon="$item->getIcon()"
-                                    class="h-6 w-6"
-                                    style="width: 24px; height: 24px; color: currentColor;"
-                                />
+                            data-fmbn-key="{{ $itemKey }}"
+                            data-fmbn-match="{{ in_array($item->getUrl(), $prefixMatchUrls, true) ? 'prefix' : 'exact' }}"
+                            @if (filled($quickActions[$itemKey] ?? null))
+                                data-fmbn-quick-actions="fmbn-quick-actions-{{ $itemKey }}"
+                                aria-describedby="fmbn-quick-actions-{{ $itemKey }}-hint"
                             @endif
-
-                            @if ($item->getBadge())
-                                <span
-                                    @class([
-                                        'fmbn-nav-item__badge',
-                                        "fmbn-nav-item__badge--{$item->getBadgeColor()}" => $item->getBadgeColor(),
-                                    ])
-                                    style="position: absolute; top: -4px; right: -4px;"
-                                >
-                                    {{ $item->getBadge() }}
-                                </span>
+                            aria-label="{{ $item->getLabel() }}"
+                            @if ($item->isActive())
+                                aria-current="page"
                             @endif
-                        </span>
-                        <span class="fmbn-nav-item__label" style="font-size: 12px; line-height: 1.2;">
-                            {{ $item->getLabel() }}
-                        </span>
-                    </a>
+                            style="min-width: 44px; min-height: 44px; flex: 1; display: flex; flex-direction: column; align-items: center; justify-content: center;"
+                        >
+                            <span
+                                @class([
+                                    'fmbn-nav-item__icon',
+                                    'fmbn-nav-item__icon--active' => $item->isActive(),
+                                ])
+                                aria-hidden="true"
+                                style="width: 24px; height: 24px; position: relative; display: flex; align-items: center; justify-content: center; transition: all 0.2s ease-in-out;"
+                            >
+                                @if ($item->getIcon())
+                                    <x-filament::icon
+                                        :icon="$item->getIcon()"
+                                        class="h-6 w-6"
+                                        style="width: 24px; height: 24px; color: currentColor;"
+                                    />
+                                @endif
+
+                                @if ($item->getBadge())
+                                    <span
+                                        @class([
+                                            'fmbn-nav-item__badge',
+                                            "fmbn-nav-item__badge--{$item->getBadgeColor()}" => $item->getBadgeColor(),
+                                        ])
+                                        data-fmbn-badge-value="{{ $item->getBadge() }}"
+                                        style="position: absolute; top: -4px; inset-inline-end: -4px; white-space: nowrap;"
+                                    >
+                                        {{ $item->getBadge() }}
+                                    </span>
+                                @endif
+                            </span>
+                            <span class="fmbn-nav-item__label" style="font-size: 12px; line-height: 1.2;">
+                                {{ $item->getLabel() }}
+                            </span>
+                        </a>
+                    @endif
                 </li>
             @endforeach
+
+            @if ($fab && $fabIndex === $navigationItems->count())
+                @include('filament-mobile-bottom-navigation::partials.fab', ['fab' => $fab])
+            @endif
+
+            @if ($overflowGroups->isNotEmpty())
+                <li class="fmbn-nav__list-item" style="flex: 1; display: flex; margin: 0; padding: 0;">
+                    @include('filament-mobile-bottom-navigation::partials.sheet-toggle', [
+                        'sheetId' => 'fmbn-more-sheet',
+                        'label' => __('filament-mobile-bottom-navigation::mobile-bottom-navigation.more.label'),
+                        'icon' => 'heroicon-o-ellipsis-horizontal',
+                        'active' => $overflowActive,
+                        'modifier' => 'fmbn-nav-item--more',
+                    ])
+                </li>
+            @endif
         </ul>
     </nav>
+
+    @foreach ($navigationItems as $item)
+        @if ($item instanceof NavigationGroup)
+            @include('filament-mobile-bottom-navigation::partials.sheet', [
+                'sheetId' => "fmbn-group-sheet-{$loop->index}",
+                'title' => $item->getLabel(),
+                'groups' => collect([['label' => null, 'items' => collect($item->getItems())]]),
+            ])
+        @else
+            @php
+                $itemKey = $mobileBottomNavigation->getItemKey($item, $navigationKeys);
+            @endphp
+
+            @if (filled($quickActions[$itemKey] ?? null))
+                @include('filament-mobile-bottom-navigation::partials.quick-actions', [
+                    'menuId' => "fmbn-quick-actions-{$itemKey}",
+                    'label' => $item->getLabel(),
+                    'actions' => $quickActions[$itemKey],
+                ])
+            @endif
+        @endif
+    @endforeach
+
+    @if ($overflowGroups->isNotEmpty())
+        @include('filament-mobile-bottom-navigation::partials.sheet', [
+            'sheetId' => 'fmbn-more-sheet',
+            'title' => __('filament-mobile-bottom-navigation::mobile-bottom-navigation.more.label'),
+            'groups' => $overflowGroups,
+        ])
+    @endif
 @endif
 
 {{-- Async load non-critical CSS enhancements (animations, transitions, theme variables) --}}
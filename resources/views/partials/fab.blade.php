@@ -0,0 +1,50 @@
+{{--
+    Center action button: a link, or a button that mounts a Filament action
+    of the page or dispatches a Livewire event (see mobile-bottom-navigation-actions.js)
+
+    @var array{label: string, icon: string, url: ?string, action: ?string, event: ?string, params: array} $fab
+--}}
+
+<li class="fmbn-nav__list-item fmbn-nav__list-item--fab" style="flex: 1; margin: 0; padding: 0;">
+    @if ($fab['url'])
+        <a
+            href="{{ $fab['url'] }}"
+            wire:navigate
+            class="fmbn-nav-item fmbn-nav-item--fab"
+            data-fmbn-fab
+            data-fmbn-match="none"
+            aria-label="{{ $fab['label'] }}"
+            style="min-width: 44px; min-height: 44px; flex: 1; display: flex; flex-direction: column; align-items: center; justify-content: center;"
+        >
+    @else
+        <button
+            type="button"
+            class="fmbn-nav-item fmbn-nav-item--fab"
+            data-fmbn-fab
+            @if ($fab['action'])
+                data-fmbn-action="{{ $fab['action'] }}"
+            @else
+                data-fmbn-event="{{ $fab['event'] }}"
+            @endif
+            @if (filled($fab['params']))
+                data-fmbn-params="{{ json_encode($fab['params']) }}"
+            @endif
+            aria-label="{{ $fab['label'] }}"
+            style="min-width: 44px; min-height: 44px; flex: 1; display: flex; flex-direction: column; align-items: center; justify-content: center; border: 0; background: none; font: inherit; cursor: pointer;"
+        >
+    @endif
+        <span class="fmbn-fab__button" aria-hidden="true">
+            <span class="fmbn-fab__icon" style="width: 24px; height: 24px; display: flex;">
+                <x-filament::icon
+                    :icon="$fab['icon']"
+                    class="h-6 w-6"
+                    style="width: 24px; height: 24px; color: currentColor;"
+                />
+            </span>
+        </span>
+    @if ($fab['url'])
+        </a>
+    @else
+        </button>
+    @endif
+</li>
@@ -0,0 +1,64 @@
+{{--
+    Quick action menu of a tab, opened by a long press (see mobile-bottom-navigation-quick-actions.js)
+
+    Rendered outside the nav, like the sheets. The hint describes the tab
+    (aria-describedby) so screen reader users learn the menu exists.
+
+    @var string $menuId
+    @var string $label
+    @var array<int, array{label: string, icon: ?string, url: ?string, action: ?string, event: ?string, params: array}> $actions
+--}}
+
+<div
+    id="{{ $menuId }}"
+    class="fmbn-menu"
+    role="menu"
+    aria-label="{{ $label }}"
+    data-fmbn-menu
+    hidden
+>
+    @foreach ($actions as $action)
+        @if ($action['url'])
+            <a
+                href="{{ $action['url'] }}"
+                wire:navigate
+                class="fmbn-menu__item"
+                role="menuitem"
+                tabindex="-1"
+            >
+        @else
+            <button
+                type="button"
+                class="fmbn-menu__item"
+                role="menuitem"
+                tabindex="-1"
+                @if ($action['action'])
+                    data-fmbn-action="{{ $action['action'] }}"
+                @else
+                    data-fmbn-event="{{ $action['event'] }}"
+                @endif
+                @if (filled($action['params']))
+                    data-fmbn-params="{{ json_encode($action['params']) }}"
+                @endif
+            >
+        @endif
+            @if ($action['icon'])
+                <x-filament::icon
+                    :icon="$action['icon']"
+                    class="fmbn-menu__item-icon h-5 w-5"
+                    style="width: 20px; height: 20px;"
+                />
+            @endif
+
+            <span class="fmbn-menu__item-label">{{ $action['label'] }}</span>
+        @if ($action['url'])
+            </a>
+        @else
+            </button>
+        @endif
+    @endforeach
+</div>
+
+<span id="{{ $menuId }}-hint" hidden>
+    {{ __('filament-mobile-bottom-navigation::mobile-bottom-navigation.quick_actions.hint') }}
+</span>
@@ -0,0 +1,42 @@
+{{--
+    Tab that opens a sheet: the "More" tab, or a navigation group tab
+
+    @var string $sheetId   id of the sheet it controls
+    @var string $label
+    @var string $icon
+    @var bool   $active    Whether the sheet lists the current page
+    @var string $modifier  fmbn-nav-item--more or fmbn-nav-item--group
+--}}
+
+<button
+    type="button"
+    @class([
+        'fmbn-nav-item',
+        $modifier,
+        'fmbn-nav-item--active' => $active,
+    ])
+    data-fmbn-sheet-toggle
+    aria-haspopup="dialog"
+    aria-expanded="false"
+    aria-controls="{{ $sheetId }}"
+    aria-label="{{ $label }}"
+    style="min-width: 44px; min-height: 44px; flex: 1; display: flex; flex-direction: column; align-items: center; justify-content: center; border: 0; background: none; font: inherit; cursor: pointer;"
+>
+    <span
+        @class([
+            'fmbn-nav-item__icon',
+            'fmbn-nav-item__icon--active' => $active,
+        ])
+        aria-hidden="true"
+        style="width: 24px; height: 24px; position: relative; display: flex; align-items: center; justify-content: center; transition: all 0.2s ease-in-out;"
+    >
+        <x-filament::icon
+            :icon="$icon"
+            class="h-6 w-6"
+            style="width: 24px; height: 24px; color: currentColor;"
+        />
+    </span>
+    <span class="fmbn-nav-item__label" style="font-size: 12px; line-height: 1.2;">
+        {{ $label }}
+    </span>
+</button>
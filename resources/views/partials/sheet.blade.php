@@ -0,0 +1,102 @@
+{{--
+    Bottom sheet listing navigation items, opened by a sheet toggle tab
+
+    Rendered outside the nav: hide-on-scroll transforms the nav, which would
+    move a fixed sheet with it.
+
+    @var string $sheetId
+    @var string $title
+    @var \Illuminate\Support\Collection<int, array{label: ?string, items: \Illuminate\Support\Collection<int, \Filament\Navigation\NavigationItem>}> $groups
+--}}
+
+<div
+    id="{{ $sheetId }}"
+    class="fmbn-sheet"
+    role="dialog"
+    aria-modal="true"
+    aria-labelledby="{{ $sheetId }}-title"
+    data-fmbn-sheet
+    hidden
+>
+    <div class="fmbn-sheet__backdrop" data-fmbn-sheet-close></div>
+
+    <div class="fmbn-sheet__panel">
+        <div class="fmbn-sheet__header">
+            <span class="fmbn-sheet__handle" aria-hidden="true"></span>
+
+            <h2 id="{{ $sheetId }}-title" class="fmbn-sheet__title">
+                {{ $title }}
+            </h2>
+
+            <button
+                type="button"
+                class="fmbn-sheet__close"
+                data-fmbn-sheet-close
+                aria-label="{{ __('filament-mobile-bottom-navigation::mobile-bottom-navigation.sheet.close') }}"
+            >
+                <x-filament::icon icon="heroicon-o-x-mark" class="h-5 w-5" style="width: 20px; height: 20px;" />
+            </button>
+        </div>
+
+        @foreach ($groups as $groupIndex => $group)
+            <section class="fmbn-sheet__group">
+                @if ($group['label'])
+                    <h3 id="{{ $sheetId }}-group-{{ $groupIndex }}" class="fmbn-sheet__group-label">
+                        {{ $group['label'] }}
+                    </h3>
+                @endif
+
+                <ul
+                    class="fmbn-sheet__list"
+                    @if ($group['label'])
+                        aria-labelledby="{{ $sheetId }}-group-{{ $groupIndex }}"
+                    @endif
+                >
+                    @foreach ($group['items'] as $item)
+                        <li>
+                            <a
+                                href="{{ $item->getUrl() }}"
+                                wire:navigate
+                                @class([
+                                    'fmbn-sheet__item',
+                                    'fmbn-sheet__item--active' => $item->isActive(),
+                                ])
+                                data-fmbn-key="{{ $mobileBottomNavigation->getItemKey($item, $navigationKeys) }}"
+                                data-fmbn-match="{{ in_array($item->getUrl(), $prefixMatchUrls, true) ? 'prefix' : 'exact' }}"
+                                @if ($item->isActive())
+                                    aria-current="page"
+                                @endif
+                            >
+                                {{-- Same icon and badge markup as the tabs, so setBadge() updates these too --}}
+                                <span class="fmbn-nav-item__icon fmbn-sheet__item-icon" aria-hidden="true">
+                                    @if ($item->getIcon())
+                                        <x-filament::icon
+                                            :icon="$item->getIcon()"
+                                            class="h-6 w-6"
+                                            style="width: 24px; height: 24px; color: currentColor;"
+                                        />
+                                    @endif
+
+                                    @if ($item->getBadge())
+                                        <span
+                                            @class([
+                                                'fmbn-nav-item__badge',
+                                                "fmbn-nav-item__badge--{$item->getBadgeColor()}" => $item->getBadgeColor(),
+                                            ])
+                                            data-fmbn-badge-value="{{ $item->getBadge() }}"
+                                            style="position: absolute; top: -4px; inset-inline-end: -4px; white-space: nowrap;"
+                                        >
+                                            {{ $item->getBadge() }}
+                                        </span>
+                                    @endif
+                                </span>
+
+                                <span class="fmbn-sheet__item-label">{{ $item->getLabel() }}</span>
+                            </a>
+                        </li>
+                    @endforeach
+                </ul>
+            </section>
+        @endforeach
+    </div>
+</div>
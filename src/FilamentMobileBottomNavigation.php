@@ -2,4 +2,440 @@
 
 namespace Jenilutfifauzi\FilamentMobileBottomNavigation;
 
-class FilamentMobileBottomNavigation {}
+use Filament\Navigation\NavigationGroup;
+use Filament\Navigation\NavigationItem;
+use Filament\Panel;
+use Illuminate\Support\Arr;
+use Illuminate\Support\Collection;
+use Illuminate\Support\Str;
+use Throwable;
+
+class FilamentMobileBottomNavigation
+{
+    /**
+     * Options understood by the JS bundle, mapped to their expected type.
+     *
+     * Keys are camelCase as in JavaScript; the config file uses the
+     * snake_case equivalents (rovingTabindex => roving_tabindex).
+     *
+     * @var array<string, string>
+     */
+    public const SCRIPT_OPTIONS = [
+        'breakpoint' => 'integer',
+        'rovingTabindex' => 'boolean',
+        'wrapAround' => 'boolean',
+        'typeahead' => 'boolean',
+        'hotkeys' => 'array',
+        'activeSync' => 'boolean',
+        'announcements' => 'array',
+        'focusMainContent' => 'array',
+        'badgePolling' => 'array',
+        'crossTabSync' => 'boolean',
+        'badges' => 'array',
+        'hideOnScroll' => 'array',
+        'hideWithKeyboard' => 'boolean',
+        'swipeNavigation' => 'array',
+        'longPressDelay' => 'integer',
+        'activeIndicator' => 'array',
+    ];
+
+    /**
+     * Get the script options defined in the config file.
+     *
+     * @return array<string, mixed>
+     */
+    public function getDefaultScriptOptions(): array
+    {
+        $options = [];
+
+        foreach (array_keys(static::SCRIPT_OPTIONS) as $key) {
+            $value = config('filament-mobile-bottom-navigation.' . Str::snake($key));
+
+            if ($value !== null) {
+                $options[$key] = $value;
+            }
+        }
+
+        return $this->translateScriptOptions($options);
+    }
+
+    /**
+     * Get the script options of a panel: config defaults merged with the
+     * settings of the panel's plugin, if it is registered.
+     *
+     * Array options (e.g. hotkeys) are merged one level deep, so a panel can
+     * override `focus` without repeating `items`.
+     *
+     * @return array<string, mixed>
+     */
+    public function getPanelScriptOptions(Panel $panel): array
+    {
+        $options = $this->getDefaultScriptOptions();
+
+        $pluginId = app(FilamentMobileBottomNavigationPlugin::class)->getId();
+
+        if (! $panel->hasPlugin($pluginId)) {
+            return $options;
+        }
+
+        /** @var FilamentMobileBottomNavigationPlugin $plugin */
+        $plugin = $panel->getPlugin($pluginId);
+
+        foreach ($plugin->getScriptOptions() as $key => $value) {
+            $options[$key] = is_array($value) && is_array($options[$key] ?? null)
+                ? array_merge($options[$key], $value)
+                : $value;
+        }
+
+        return $this->translateScriptOptions($options);
+    }
+
+    /**
+     * Get the viewport width (px) from which the bar hides.
+     */
+    public function getBreakpoint(?Panel $panel): int
+    {
+        $options = $panel ? $this->getPanelScriptOptions($panel) : $this->getDefaultScriptOptions();
+        $breakpoint = (int) ($options['breakpoint'] ?? 0);
+
+        return $breakpoint > 0 ? $breakpoint : 768;
+    }
+
+    /**
+     * Get the number of tabs the bar of a panel shows before the remaining
+     * items move to the "More" sheet; 0 shows every item.
+     */
+    public function getMaxItems(Panel $panel): int
+    {
+        $pluginId = app(FilamentMobileBottomNavigationPlugin::class)->getId();
+
+        if ($panel->hasPlugin($pluginId)) {
+            /** @var FilamentMobileBottomNavigationPlugin $plugin */
+            $plugin = $panel->getPlugin($pluginId);
+
+            $maxItems = $plugin->getMaxItems();
+
+            if ($maxItems !== null) {
+                return $maxItems;
+            }
+        }
+
+        return (int) config('filament-mobile-bottom-navigation.max_items', 0);
+    }
+
+    /**
+     * Check if the navigation groups of a panel show as one tab each.
+     */
+    public function shouldGroupTabs(Panel $panel): bool
+    {
+        $pluginId = app(FilamentMobileBottomNavigationPlugin::class)->getId();
+
+        if ($panel->hasPlugin($pluginId)) {
+            /** @var FilamentMobileBottomNavigationPlugin $plugin */
+            $plugin = $panel->getPlugin($pluginId);
+
+            $groupTabs = $plugin->getGroupTabs();
+
+            if ($groupTabs !== null) {
+                return $groupTabs;
+            }
+        }
+
+        return (bool) config('filament-mobile-bottom-navigation.group_tabs', false);
+    }
+
+    /**
+     * Get the center action button of a panel, or null when it has none.
+     *
+     * The button needs exactly one target: a `url` to link to, the name of
+     * a Filament `action` of the current page to mount, or a Livewire
+     * `event` to dispatch. `params` are passed to the action or event.
+     *
+     * @return array{label: string, icon: string, url: ?string, action: ?string, event: ?string, params: array<string, mixed>}|null
+     */
+    public function getFab(Panel $panel): ?array
+    {
+        $fab = config('filament-mobile-bottom-navigation.fab');
+
+        $pluginId = app(FilamentMobileBottomNavigationPlugin::class)->getId();
+
+        if ($panel->hasPlugin($pluginId)) {
+            /** @var FilamentMobileBottomNavigationPlugin $plugin */
+            $plugin = $panel->getPlugin($pluginId);
+
+            $pluginFab = $plugin->getFab();
+
+            if ($pluginFab !== null) {
+                $fab = $pluginFab;
+            }
+        }
+
+        if (! is_array($fab)) {
+            return null;
+        }
+
+        $fab = $this->normalizeAction($fab, 'the FAB');
+
+        if (! $fab) {
+            return null;
+        }
+
+        $fab['label'] ??= __('filament-mobile-bottom-navigation::mobile-bottom-navigation.fab.label');
+        $fab['icon'] ??= 'heroicon-o-plus';
+
+        return $fab;
+    }
+
+    /**
+     * Get the quick actions of a panel's items, indexed by item key (see
+     * getItemKey()). Each action needs a `label` and, like the center action
+     * button, exactly one of `url`, `action` or `event`; invalid actions are
+     * skipped.
+     *
+     * @return array<string, array<int, array{label: string, icon: ?string, url: ?string, action: ?string, event: ?string, params: array<string, mixed>}>>
+     */
+    public function getQuickActions(Panel $panel): array
+    {
+        $quickActions = config('filament-mobile-bottom-navigation.quick_actions', []);
+
+        $pluginId = app(FilamentMobileBottomNavigationPlugin::class)->getId();
+
+        if ($panel->hasPlugin($pluginId)) {
+            /** @var FilamentMobileBottomNavigationPlugin $plugin */
+            $plugin = $panel->getPlugin($pluginId);
+
+            $pluginQuickActions = $plugin->getQuickActions();
+
+            if ($pluginQuickActions !== null) {
+                $quickActions = $pluginQuickActions;
+            }
+        }
+
+        $items = [];
+
+        foreach ((array) $quickActions as $key => $actions) {
+            foreach ((array) $actions as $action) {
+                if (! is_array($action) || blank($action['label'] ?? null)) {
+                    logger()->warning("Mobile Bottom Navigation: the quick actions of [{$key}] need a [label].");
+
+                    continue;
+                }
+
+                if ($action = $this->normalizeAction($action, "the quick action [{$action['label']}]")) {
+                    $items[$key][] = $action;
+                }
+            }
+        }
+
+        return $items;
+    }
+
+    /**
+     * Fill in the keys of an action (the FAB or a quick action), or return
+     * null and log a warning when it does not have exactly one target.
+     *
+     * @param  array<string, mixed>  $action
+     * @param  string  $name  How the warning refers to the action
+     * @return array{label: ?string, icon: ?string, url: ?string, action: ?string, event: ?string, params: array<string, mixed>}|null
+     */
+    protected function normalizeAction(array $action, string $name): ?array
+    {
+        $targets = array_filter(Arr::only($action, ['url', 'action', 'event']), 'filled');
+
+        if (count($targets) !== 1) {
+            logger()->warning("Mobile Bottom Navigation: {$name} needs exactly one of [url], [action] or [event].");
+
+            return null;
+        }
+
+        return [
+            'label' => $action['label'] ?? null,
+            'icon' => $action['icon'] ?? null,
+            'url' => $targets['url'] ?? null,
+            'action' => $targets['action'] ?? null,
+            'event' => $targets['event'] ?? null,
+            'params' => $action['params'] ?? [],
+        ];
+    }
+
+    /**
+     * Split the navigation into the tabs of the bar and the overflow listed
+     * in the "More" sheet.
+     *
+     * Tabs are navigation items, or with `$groupTabs` one navigation group
+     * per labeled group (its items open in a sheet). With more tabs than
+     * `$maxItems`, the bar keeps `$maxItems - 1` and the last one becomes the
+     * "More" tab. The overflow is grouped by navigation group in navigation
+     * order; ungrouped items get a null label.
+     *
+     * @param  array<NavigationGroup | NavigationItem>  $navigation  From Panel::getNavigation()
+     * @return array{tabs: Collection<int, NavigationItem | NavigationGroup>, overflow: Collection<int, array{label: ?string, items: Collection<int, NavigationItem>}>}
+     */
+    public function splitNavigation(array $navigation, int $maxItems, bool $groupTabs = false): array
+    {
+        $entries = [];
+
+        foreach ($navigation as $entry) {
+            if ($entry instanceof NavigationItem) {
+                $entries[] = ['tab' => $entry, 'group' => null, 'items' => [$entry]];
+
+                continue;
+            }
+
+            if (! $entry instanceof NavigationGroup) {
+                continue;
+            }
+
+            $label = $entry->getLabel() ?: null;
+            $items = array_values($entry->getItems());
+
+            if ($groupTabs && $label !== null && count($items) > 0) {
+                $entries[] = ['tab' => $entry, 'group' => $label, 'items' => $items];
+
+                continue;
+            }
+
+            foreach ($items as $item) {
+                $entries[] = ['tab' => $item, 'group' => $label, 'items' => [$item]];
+            }
+        }
+
+        $tabCount = ($maxItems > 0 && count($entries) > $maxItems) ? max($maxItems - 1, 1) : count($entries);
+
+        $overflow = collect(array_slice($entries, $tabCount))
+            ->flatMap(fn (array $entry): array => array_map(
+                fn (NavigationItem $item): array => ['item' => $item, 'group' => $entry['group']],
+                $entry['items'],
+            ))
+            ->groupBy(fn (array $entry): string => $entry['group'] ?? '')
+            ->map(fn (Collection $entries, string $group): array => [
+                'label' => $group !== '' ? $group : null,
+                'items' => $entries->pluck('item'),
+            ])
+            ->values();
+
+        return [
+            'tabs' => collect(array_slice($entries, 0, $tabCount))->pluck('tab'),
+            'overflow' => $overflow,
+        ];
+    }
+
+    /**
+     * Get the icon of a group tab: the group's own icon, or else the icon of
+     * its first item (Filament puts icons on either groups or items).
+     */
+    public function getGroupIcon(NavigationGroup $group): string
+    {
+        if ($icon = $group->getIcon()) {
+            return $icon;
+        }
+
+        foreach ($group->getItems() as $item) {
+            if ($icon = $item->getIcon()) {
+                return $icon;
+            }
+        }
+
+        return 'heroicon-o-squares-2x2';
+    }
+
+    /**
+     * Get the stable keys of the panel's resource and page URLs, used as
+     * `data-fmbn-key` so JavaScript can address items (e.g. to set badges).
+     *
+     * Resources and pages are keyed by their slug, e.g. `orders`.
+     *
+     * @return array<string, string> Keys indexed by URL
+     */
+    public function getNavigationKeys(Panel $panel): array
+    {
+        $keys = [];
+
+        foreach ($panel->getPages() as $page) {
+            if ($url = $this->resolveUrl(fn (): string => $page::getUrl())) {
+                $keys[$url] = $page::getSlug();
+            }
+        }
+
+        foreach ($panel->getResources() as $resource) {
+            if (! $resource::hasPage('index')) {
+                continue;
+            }
+
+            if ($url = $this->resolveUrl(fn (): string => $resource::getUrl())) {
+                $keys[$url] = $resource::getSlug();
+            }
+        }
+
+        return $keys;
+    }
+
+    /**
+     * Get the key of a navigation item; items that do not belong to a
+     * resource or page fall back to their slugged label.
+     *
+     * @param  array<string, string>  $navigationKeys  From getNavigationKeys()
+     */
+    public function getItemKey(NavigationItem $item, array $navigationKeys): string
+    {
+        return $navigationKeys[$item->getUrl()] ?? Str::slug($item->getLabel());
+    }
+
+    /**
+     * Get the URLs of the panel's resource index pages.
+     *
+     * Like Filament's `{resource}.*` route pattern, these items stay active on
+     * their child pages (create, edit, ...); other items match exactly.
+     *
+     * @return array<string>
+     */
+    public function getPrefixMatchUrls(Panel $panel): array
+    {
+        $urls = [];
+
+        foreach ($panel->getResources() as $resource) {
+            if (! $resource::hasPage('index')) {
+                continue;
+            }
+
+            if ($url = $this->resolveUrl(fn (): string => $resource::getUrl())) {
+                $urls[] = $url;
+            }
+        }
+
+        return $urls;
+    }
+
+    /**
+     * Resolve a URL, or null when its route is not available (e.g. a page
+     * that needs parameters).
+     */
+    protected function resolveUrl(callable $url): ?string
+    {
+        try {
+            return $url();
+        } catch (Throwable) {
+            return null;
+        }
+    }
+
+    /**
+     * Fill in the translated texts left empty in the config or plugin, using
+     * the current locale.
+     *
+     * @param  array<string, mixed>  $options
+     * @return array<string, mixed>
+     */
+    protected function translateScriptOptions(array $options): array
+    {
+        if (is_array($options['announcements'] ?? null) && blank($options['announcements']['template'] ?? null)) {
+            $options['announcements']['template'] = __('filament-mobile-bottom-navigation::mobile-bottom-navigation.announcements.page_loaded');
+        }
+
+        if (is_array($options['badges'] ?? null) && blank($options['badges']['description'] ?? null)) {
+            $options['badges']['description'] = __('filament-mobile-bottom-navigation::mobile-bottom-navigation.badges.description');
+        }
+
+        return $options;
+    }
+}
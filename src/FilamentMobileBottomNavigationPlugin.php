@@ -2,11 +2,56 @@
 
 namespace Jenilutfifauzi\FilamentMobileBottomNavigation;
 
+use Closure;
 use Filament\Contracts\Plugin;
 use Filament\Panel;
+use Filament\Support\Concerns\EvaluatesClosures;
 
 class FilamentMobileBottomNavigationPlugin implements Plugin
 {
+    use EvaluatesClosures;
+
+    /**
+     * Script options set for this panel, keyed by their camelCase JS name.
+     *
+     * @var array<string, mixed>
+     */
+    protected array $scriptOptions = [];
+
+    /**
+     * Number of tabs before the rest moves to the "More" sheet; null uses
+     * the config value.
+     */
+    protected int | Closure | null $maxItems = null;
+
+    /**
+     * Whether navigation groups show as one tab each; null uses the config
+     * value.
+     */
+    protected bool | Closure | null $groupTabs = null;
+
+    /**
+     * Center action button; null uses the config value, false removes it.
+     *
+     * @var array<string, mixed> | bool | Closure | null
+     */
+    protected array | bool | Closure | null $fab = null;
+
+    /**
+     * Quick actions indexed by item key; null uses the config value.
+     *
+     * @var array<string, array<int, array<string, mixed>>> | Closure | null
+     */
+    protected array | Closure | null $quickActions = null;
+
+    /**
+     * Array options with an `enabled` flag: setting them turns them on, and
+     * a boolean only toggles the flag.
+     *
+     * @var array<string>
+     */
+    protected const TOGGLEABLE_SCRIPT_OPTIONS = ['hotkeys', 'announcements', 'focusMainContent', 'badgePolling', 'hideOnScroll', 'swipeNavigation', 'activeIndicator'];
+
     public function getId(): string
     {
         return 'filament-mobile-bottom-navigation';
@@ -34,4 +79,375 @@ class FilamentMobileBottomNavigationPlugin implements Plugin
 
         return $plugin;
     }
+
+    /**
+     * Keep a single Tab stop for the whole bar.
+     */
+    public function rovingTabindex(bool | Closure $condition = true): static
+    {
+        $this->scriptOptions['rovingTabindex'] = $condition;
+
+        return $this;
+    }
+
+    /**
+     * Let arrow keys wrap from the last item to the first (and back).
+     */
+    public function wrapAround(bool | Closure $condition = true): static
+    {
+        $this->scriptOptions['wrapAround'] = $condition;
+
+        return $this;
+    }
+
+    /**
+     * Move focus to the item whose label starts with the typed letters.
+     */
+    public function typeahead(bool | Closure $condition = true): static
+    {
+        $this->scriptOptions['typeahead'] = $condition;
+
+        return $this;
+    }
+
+    /**
+     * Enable global hotkeys, optionally overriding the bindings.
+     *
+     * Usage:
+     *   ->hotkeys()                                   // Enable with config bindings
+     *   ->hotkeys(false)                              // Disable for this panel
+     *   ->hotkeys(['items' => ['Alt+1', 'Alt+2']])    // Enable with custom bindings
+     *
+     * @param  bool | array{enabled?: bool, items?: array<string>, focus?: string|null} | Closure  $hotkeys
+     */
+    public function hotkeys(bool | array | Closure $hotkeys = true): static
+    {
+        $this->scriptOptions['hotkeys'] = $hotkeys;
+
+        return $this;
+    }
+
+    /**
+     * Announce the new page to screen readers after navigating from the bar.
+     *
+     * Usage:
+     *   ->announcements()                                      // Enable with config settings
+     *   ->announcements(false)                                 // Disable for this panel
+     *   ->announcements(['template' => ':title is ready'])     // Enable with a custom text
+     *
+     * @param  bool | array{enabled?: bool, template?: string|null, throttle?: int} | Closure  $announcements
+     */
+    public function announcements(bool | array | Closure $announcements = true): static
+    {
+        $this->scriptOptions['announcements'] = $announcements;
+
+        return $this;
+    }
+
+    /**
+     * Move focus to the page heading after keyboard navigation from the bar.
+     *
+     * Usage:
+     *   ->focusMainContent()                                       // Enable with config targets
+     *   ->focusMainContent(['targets' => ['#content', 'main']])    // Enable with custom targets
+     *
+     * @param  bool | array{enabled?: bool, targets?: array<string>} | Closure  $focusMainContent
+     */
+    public function focusMainContent(bool | array | Closure $focusMainContent = true): static
+    {
+        $this->scriptOptions['focusMainContent'] = $focusMainContent;
+
+        return $this;
+    }
+
+    /**
+     * Refresh badges in the background from JSON endpoints.
+     *
+     * Usage:
+     *   ->badgePolling(fn (): array => [
+     *       'items' => [
+     *           'orders' => route('orders.pending-count'),                       // Config interval
+     *           'tickets' => ['url' => route('tickets.count'), 'interval' => 60000],
+     *       ],
+     *   ])
+     *
+     * Use a closure when building URLs with route(): it is evaluated once the
+     * routes are loaded.
+     *
+     * @param  bool | array{enabled?: bool, interval?: int, backoff?: int, items?: array<string, string|array{url: string, interval?: int}>} | Closure  $badgePolling
+     */
+    public function badgePolling(bool | array | Closure $badgePolling = true): static
+    {
+        $this->scriptOptions['badgePolling'] = $badgePolling;
+
+        return $this;
+    }
+
+    /**
+     * Share badge values and preferences with the other tabs of the panel.
+     */
+    public function crossTabSync(bool | Closure $condition = true): static
+    {
+        $this->scriptOptions['crossTabSync'] = $condition;
+
+        return $this;
+    }
+
+    /**
+     * Change how badges are displayed and described.
+     *
+     * Usage:
+     *   ->badges(['max' => 9])                // "9+"
+     *   ->badges(['max' => null])             // No cap, compact numbers ("1.2K")
+     *   ->badges(['dot' => true])             // Dot only, count in the accessible text
+     *
+     * @param  array{max?: int|null, compact?: bool, dot?: bool, description?: array<string, string>|null} | Closure  $badges
+     */
+    public function badges(array | Closure $badges): static
+    {
+        $this->scriptOptions['badges'] = $badges;
+
+        return $this;
+    }
+
+    /**
+     * Slide the bar out while scrolling down and back in on scroll-up.
+     *
+     * Usage:
+     *   ->hideOnScroll()                          // Enable with config thresholds
+     *   ->hideOnScroll(['threshold' => 96])       // Hide after a longer scroll
+     *
+     * @param  bool | array{enabled?: bool, threshold?: int, velocity?: float, bottom?: int} | Closure  $hideOnScroll
+     */
+    public function hideOnScroll(bool | array | Closure $hideOnScroll = true): static
+    {
+        $this->scriptOptions['hideOnScroll'] = $hideOnScroll;
+
+        return $this;
+    }
+
+    /**
+     * Hide the bar while the on-screen keyboard is open.
+     */
+    public function hideWithKeyboard(bool | Closure $condition = true): static
+    {
+        $this->scriptOptions['hideWithKeyboard'] = $condition;
+
+        return $this;
+    }
+
+    /**
+     * Move to the neighboring tab when swiping horizontally on the page.
+     *
+     * Usage:
+     *   ->swipeNavigation()                         // Enable with config thresholds
+     *   ->swipeNavigation(['distance' => 120])      // Require a longer swipe
+     *
+     * @param  bool | array{enabled?: bool, distance?: int, velocity?: float} | Closure  $swipeNavigation
+     */
+    public function swipeNavigation(bool | array | Closure $swipeNavigation = true): static
+    {
+        $this->scriptOptions['swipeNavigation'] = $swipeNavigation;
+
+        return $this;
+    }
+
+    /**
+     * Mark the active tab with an indicator that slides between tabs.
+     *
+     * Usage:
+     *   ->activeIndicator()                          // Pill behind the active tab
+     *   ->activeIndicator('underline')               // Or 'top-bar'
+     *
+     * @param  bool | string | array{enabled?: bool, style?: string} | Closure  $activeIndicator
+     */
+    public function activeIndicator(bool | string | array | Closure $activeIndicator = true): static
+    {
+        $this->scriptOptions['activeIndicator'] = is_string($activeIndicator)
+            ? ['style' => $activeIndicator]
+            : $activeIndicator;
+
+        return $this;
+    }
+
+    /**
+     * Viewport width (px) from which the panel's sidebar is used and the bar
+     * hides.
+     */
+    public function breakpoint(int | Closure $width): static
+    {
+        $this->scriptOptions['breakpoint'] = $width;
+
+        return $this;
+    }
+
+    /**
+     * How long (ms) an item with quick actions is held before its menu opens.
+     */
+    public function longPressDelay(int | Closure $milliseconds): static
+    {
+        $this->scriptOptions['longPressDelay'] = $milliseconds;
+
+        return $this;
+    }
+
+    /**
+     * Update the active item from the URL after client-side navigation.
+     */
+    public function activeSync(bool | Closure $condition = true): static
+    {
+        $this->scriptOptions['activeSync'] = $condition;
+
+        return $this;
+    }
+
+    /**
+     * Show at most this many tabs; the remaining items are listed in a
+     * "More" sheet, grouped by navigation group. 0 shows every item.
+     */
+    public function maxItems(int | Closure | null $count): static
+    {
+        $this->maxItems = $count;
+
+        return $this;
+    }
+
+    public function getMaxItems(): ?int
+    {
+        return $this->evaluate($this->maxItems);
+    }
+
+    /**
+     * Show each navigation group as one tab that opens a sheet with the
+     * group's items, instead of a tab per item.
+     */
+    public function groupTabs(bool | Closure | null $condition = true): static
+    {
+        $this->groupTabs = $condition;
+
+        return $this;
+    }
+
+    public function getGroupTabs(): ?bool
+    {
+        return $this->evaluate($this->groupTabs);
+    }
+
+    /**
+     * Show a raised action button in the center of the bar.
+     *
+     * Usage:
+     *   ->fab(['label' => 'New order', 'url' => '/admin/orders/create'])   // Link
+     *   ->fab(['label' => 'New post', 'action' => 'create'])                // Filament action of the page
+     *   ->fab(['label' => 'Scan', 'event' => 'open-scanner'])               // Livewire event
+     *   ->fab(false)                                                        // No button for this panel
+     *
+     * Use a closure when building URLs with route(): it is evaluated once the
+     * routes are loaded.
+     *
+     * @param  array{label?: string, icon?: string, url?: string, action?: string, event?: string, params?: array<string, mixed>} | bool | Closure | null  $fab
+     */
+    public function fab(array | bool | Closure | null $fab): static
+    {
+        $this->fab = $fab;
+
+        return $this;
+    }
+
+    /**
+     * @return array<string, mixed> | bool | null
+     */
+    public function getFab(): array | bool | null
+    {
+        return $this->evaluate($this->fab);
+    }
+
+    /**
+     * Add menus of shortcuts to items, opened by a long press, a right click
+     * or the context menu key. Items are addressed by key (their resource or
+     * page slug); actions take the same targets as the center action button.
+     *
+     * Usage:
+     *   ->quickActions([
+     *       'orders' => [
+     *           ['label' => 'New order', 'icon' => 'heroicon-o-plus', 'url' => '/admin/orders/create'],
+     *           ['label' => 'Export', 'action' => 'export'],
+     *       ],
+     *   ])
+     *
+     * @param  array<string, array<int, array{label: string, icon?: string, url?: string, action?: string, event?: string, params?: array<string, mixed>}>> | Closure | null  $quickActions
+     */
+    public function quickActions(array | Closure | null $quickActions): static
+    {
+        $this->quickActions = $quickActions;
+
+        return $this;
+    }
+
+    /**
+     * @return array<string, array<int, array<string, mixed>>> | null
+     */
+    public function getQuickActions(): ?array
+    {
+        return $this->evaluate($this->quickActions);
+    }
+
+    /**
+     * Set several script options at once, using their camelCase JS names.
+     *
+     * Unknown options are ignored and logged as a warning.
+     *
+     * @param  array<string, mixed>  $options
+     */
+    public function scriptOptions(array $options): static
+    {
+        foreach ($options as $key => $value) {
+            if (! array_key_exists($key, FilamentMobileBottomNavigation::SCRIPT_OPTIONS)) {
+                logger()->warning("Mobile Bottom Navigation: unknown script option [{$key}] ignored.");
+
+                continue;
+            }
+
+            $this->scriptOptions[$key] = $value;
+        }
+
+        return $this;
+    }
+
+    /**
+     * Get the evaluated script options set for this panel.
+     *
+     * Values that do not match the expected type are dropped and logged.
+     *
+     * @return array<string, mixed>
+     */
+    public function getScriptOptions(): array
+    {
+        $options = [];
+
+        foreach ($this->scriptOptions as $key => $value) {
+            $value = $this->evaluate($value);
+
+            $expected = FilamentMobileBottomNavigation::SCRIPT_OPTIONS[$key];
+
+            // ->hotkeys(true|false) toggles the config settings
+            if (in_array($key, static::TOGGLEABLE_SCRIPT_OPTIONS, true)) {
+                if (is_bool($value)) {
+                    $value = ['enabled' => $value];
+                } elseif (is_array($value)) {
+                    $value = array_merge(['enabled' => true], $value);
+                }
+            }
+
+            if (gettype($value) !== $expected) {
+                logger()->warning("Mobile Bottom Navigation: script option [{$key}] must be of type {$expected}, " . gettype($value) . ' given.');
+
+                continue;
+            }
+
+            $options[$key] = $value;
+        }
+
+        return $options;
+    }
 }
@@ -112,7 +112,8 @@ class FilamentMobileBottomNavigationServiceProvider extends PackageServiceProvid
         return [
             // AlpineComponent::make('filament-mobile-bottom-navigation', __DIR__ . '/../resources/dist/components/filament-mobile-bottom-navigation.js'),
             Css::make('filament-mobile-bottom-navigation-styles', __DIR__ . '/../resources/dist/filament-mobile-bottom-navigation.css'),
-            Js::make('filament-mobile-bottom-navigation-scripts', __DIR__ . '/../resources/dist/filament-mobile-bottom-navigation.js'),
+            // The bundle exports its API, so it has to load as an ES module
+            Js::make('filament-mobile-bottom-navigation-scripts', __DIR__ . '/../resources/dist/filament-mobile-bottom-navigation.js')->module(),
         ];
     }
 
@@ -145,9 +146,18 @@ class FilamentMobileBottomNavigationServiceProvider extends PackageServiceProvid
     /**
      * @return array<string, mixed>
      */
-    protected function getScriptData(): array
+    protected function getScriptData(?Panel $panel = null): array
     {
-        return [];
+        $navigation = app(FilamentMobileBottomNavigation::class);
+
+        return [
+            'filamentMobileBottomNavigation' => [
+                'defaults' => $navigation->getDefaultScriptOptions(),
+                'panels' => $panel
+                    ? [$panel->getId() => $navigation->getPanelScriptOptions($panel)]
+                    : [],
+            ],
+        ];
     }
 
     /**
@@ -224,6 +234,14 @@ class FilamentMobileBottomNavigationServiceProvider extends PackageServiceProvid
                 logger()->debug($panel->getMobileBottomNavigationStatus());
             }
 
+            // Serialize the current panel's settings for the JS bundle
+            if ($panel) {
+                FilamentAsset::registerScriptData(
+                    $this->getScriptData($panel),
+                    $this->getAssetPackageName()
+                );
+            }
+
             Filament::registerRenderHook(
                 'panels::body.end',
                 function (): string {
@@ -0,0 +1,134 @@
+import { test, expect } from '@playwright/test';
+import { replaceNav } from '../utils/nav-fixture.js';
+
+/**
+ * Active Indicator Tests
+ *
+ * Tests verify the opt-in activeIndicator mode places an indicator on the
+ * active tab, slides it when the active item changes, follows resizes, and
+ * jumps under prefers-reduced-motion.
+ */
+test.describe('Active Indicator', () => {
+  const testUrl = 'http://localhost/admin';
+  const mobileViewport = { width: 393, height: 851 };
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto(testUrl);
+    await page.setViewportSize(mobileViewport);
+  });
+
+  /**
+   * Turn the mode on
+   */
+  const enableIndicator = (page, options = { enabled: true }) =>
+    replaceNav(page, { 'data-fmbn-active-indicator': options });
+
+  /**
+   * Wait until the indicator stopped moving. A transition that is replaced
+   * midway rejects its promise, the new one still settles.
+   */
+  const settled = (page) =>
+    page.evaluate(() =>
+      Promise.all(
+        document
+          .querySelector('.fmbn-active-indicator')
+          .getAnimations()
+          .map((animation) => animation.finished.catch(() => {}))
+      )
+    );
+
+  /**
+   * Make another tab active, like active sync does after wire:navigate
+   */
+  const activate = (page, index) =>
+    page.evaluate((index) => {
+      const nav = document.querySelector('.fmbn-bottom-nav');
+      window.FilamentMobileBottomNavigation.MobileBottomNavigationKeyboard.getInstance(nav).setActiveIndex(index);
+    }, index);
+
+  /**
+   * Horizontal center of the indicator and of a tab
+   */
+  const centers = (page, index) =>
+    page.evaluate((index) => {
+      const indicator = document.querySelector('.fmbn-active-indicator').getBoundingClientRect();
+      const item = document.querySelectorAll('.fmbn-bottom-nav .fmbn-nav-item')[index].getBoundingClientRect();
+
+      return { indicator: indicator.left + indicator.width / 2, item: item.left + item.width / 2 };
+    }, index);
+
+  test('the indicator should sit on the active tab', async ({ page }) => {
+    await enableIndicator(page);
+
+    const index = await page.evaluate(() =>
+      Array.from(document.querySelectorAll('.fmbn-bottom-nav .fmbn-nav-item')).findIndex((item) =>
+        item.classList.contains('fmbn-nav-item--active')
+      )
+    );
+    test.skip(index === -1, 'No active tab on this page');
+
+    await expect(page.locator('.fmbn-active-indicator--pill')).toBeVisible();
+    await expect(page.locator('.fmbn-active-indicator')).toHaveAttribute('aria-hidden', 'true');
+
+    const { indicator, item } = await centers(page, index);
+    expect(Math.abs(indicator - item)).toBeLessThan(1);
+  });
+
+  test('the indicator should slide to a newly active tab', async ({ page }) => {
+    await enableIndicator(page, { enabled: true, style: 'underline' });
+    await activate(page, 0);
+    await settled(page);
+
+    await activate(page, 1);
+
+    const transitioning = await page.evaluate(
+      () => document.querySelector('.fmbn-active-indicator').getAnimations().length > 0
+    );
+    expect(transitioning).toBe(true);
+
+    await settled(page);
+
+    const { indicator, item } = await centers(page, 1);
+    expect(Math.abs(indicator - item)).toBeLessThan(1);
+  });
+
+  test('the indicator should follow the tab after a resize', async ({ page }) => {
+    await enableIndicator(page, { enabled: true, style: 'top-bar' });
+    await activate(page, 1);
+
+    await page.setViewportSize({ width: 700, height: 400 });
+
+    await expect
+      .poll(async () => {
+        const { indicator, item } = await centers(page, 1);
+        return Math.abs(indicator - item);
+      })
+      .toBeLessThan(1);
+  });
+
+  test('the indicator should jump under reduced motion', async ({ page }) => {
+    await page.emulateMedia({ reducedMotion: 'reduce' });
+    await enableIndicator(page);
+    await activate(page, 0);
+    await activate(page, 1);
+
+    const transitioning = await page.evaluate(
+      () => document.querySelector('.fmbn-active-indicator').getAnimations().length > 0
+    );
+    expect(transitioning).toBe(false);
+
+    const { indicator, item } = await centers(page, 1);
+    expect(Math.abs(indicator - item)).toBeLessThan(1);
+  });
+
+  test('the active tab should drop its own background for the indicator', async ({ page }) => {
+    await enableIndicator(page);
+    await activate(page, 0);
+
+    const background = await page.evaluate(
+      () => getComputedStyle(document.querySelector('.fmbn-bottom-nav .fmbn-nav-item--active')).backgroundColor
+    );
+
+    expect(background).toBe('rgba(0, 0, 0, 0)');
+  });
+});
@@ -0,0 +1,139 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Active State Sync Tests
+ *
+ * Tests verify the active item is recomputed from the URL after client-side
+ * navigation, with the active class, aria-current and the active icon class
+ * always changing together.
+ */
+test.describe('Active State Sync', () => {
+  const testUrl = 'http://localhost/admin';
+  const mobileViewport = { width: 393, height: 851 };
+
+  /**
+   * Read the active markers of every item
+   */
+  const readActiveState = (page) =>
+    page.locator('.fmbn-nav-item').evaluateAll((items) =>
+      items.map((item) => ({
+        href: item.getAttribute('href'),
+        active: item.classList.contains('fmbn-nav-item--active'),
+        current: item.getAttribute('aria-current'),
+        icon: item.querySelector('.fmbn-nav-item__icon')?.classList.contains('fmbn-nav-item__icon--active') ?? false,
+      }))
+    );
+
+  /**
+   * Simulate a persisted bar: change the URL without re-rendering the nav
+   */
+  const navigateClientSide = (page, path) =>
+    page.evaluate((path) => {
+      history.pushState({}, '', path);
+      document.dispatchEvent(new CustomEvent('livewire:navigated'));
+    }, path);
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto(testUrl);
+    await page.setViewportSize(mobileViewport);
+  });
+
+  test('active markers should stay consistent on first render', async ({ page }) => {
+    const state = await readActiveState(page);
+
+    if (state.length === 0) {
+      test.skip();
+      return;
+    }
+
+    state.forEach((item) => {
+      expect(item.current === 'page').toBe(item.active);
+      expect(item.icon).toBe(item.active);
+    });
+  });
+
+  test('livewire:navigated should move the active item to the matching URL', async ({ page }) => {
+    const state = await readActiveState(page);
+
+    if (state.length < 2) {
+      test.skip();
+      return;
+    }
+
+    const target = state.find((item) => !item.active);
+    await navigateClientSide(page, new URL(target.href, testUrl).pathname);
+
+    const updated = await readActiveState(page);
+    const active = updated.filter((item) => item.active);
+
+    expect(active.map((item) => item.href)).toEqual([target.href]);
+    expect(active[0].current).toBe('page');
+    expect(active[0].icon).toBe(true);
+    expect(updated.filter((item) => item.current === 'page')).toHaveLength(1);
+    expect(updated.filter((item) => item.icon)).toHaveLength(1);
+  });
+
+  test('resource items should stay active on their child pages', async ({ page }) => {
+    const prefixItem = page.locator('.fmbn-nav-item[data-fmbn-match="prefix"]').first();
+
+    if (await prefixItem.count() === 0) {
+      test.skip();
+      return;
+    }
+
+    const href = await prefixItem.getAttribute('href');
+    await navigateClientSide(page, `${new URL(href, testUrl).pathname}/create`);
+
+    await expect(prefixItem).toHaveClass(/fmbn-nav-item--active/);
+    await expect(prefixItem).toHaveAttribute('aria-current', 'page');
+  });
+
+  test('unknown URLs should clear the active item', async ({ page }) => {
+    if (await page.locator('.fmbn-nav-item').count() === 0) {
+      test.skip();
+      return;
+    }
+
+    await navigateClientSide(page, '/fmbn-not-in-navigation');
+
+    const state = await readActiveState(page);
+    expect(state.some((item) => item.active || item.current || item.icon)).toBe(false);
+  });
+
+  test('browser back should restore the previous active item', async ({ page }) => {
+    const state = await readActiveState(page);
+    const initial = state.find((item) => item.active);
+    const target = state.find((item) => !item.active);
+
+    if (!initial || !target) {
+      test.skip();
+      return;
+    }
+
+    await navigateClientSide(page, new URL(target.href, testUrl).pathname);
+    await page.goBack();
+
+    await expect(page.locator('.fmbn-nav-item--active')).toHaveAttribute('href', initial.href);
+  });
+
+  test('fmbn:active-change should report the new index', async ({ page }) => {
+    const state = await readActiveState(page);
+    const targetIndex = state.findIndex((item) => !item.active);
+
+    if (targetIndex === -1) {
+      test.skip();
+      return;
+    }
+
+    const detail = page.evaluate(
+      () =>
+        new Promise((resolve) => {
+          window.addEventListener('fmbn:active-change', (event) => resolve(event.detail.index), { once: true });
+        })
+    );
+
+    await navigateClientSide(page, new URL(state[targetIndex].href, testUrl).pathname);
+
+    expect(await detail).toBe(targetIndex);
+  });
+});
@@ -0,0 +1,162 @@
+import { test, expect } from '@playwright/test';
+import { replaceNav } from '../utils/nav-fixture.js';
+
+/**
+ * Badge Formatting Tests
+ *
+ * Tests verify badge counts are capped or compacted per locale, can be shown
+ * as a dot, and are described once to screen readers through
+ * aria-describedby.
+ */
+test.describe('Badge Formatting and Accessible Text', () => {
+  const testUrl = 'http://localhost/admin';
+  const mobileViewport = { width: 393, height: 851 };
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto(testUrl);
+    await page.setViewportSize(mobileViewport);
+  });
+
+  /**
+   * Get the key of the first item
+   */
+  const getFirstKey = (page) =>
+    page.locator('.fmbn-nav-item[data-fmbn-key]').first().getAttribute('data-fmbn-key');
+
+  /**
+   * Set options for the current bar
+   */
+  const setBadgeOptions = (page, options) => replaceNav(page, { 'data-fmbn-badges': options });
+
+  test('counts above the cap should show as 99+', async ({ page }) => {
+    const key = await getFirstKey(page);
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    await page.evaluate((key) => window.FilamentMobileBottomNavigation.setBadge(key, 1234), key);
+
+    const badge = page.locator(`.fmbn-nav-item[data-fmbn-key="${key}"] .fmbn-nav-item__badge`);
+    await expect(badge).toHaveText('99+');
+    await expect(badge).toHaveAttribute('data-fmbn-badge-value', '1234');
+  });
+
+  test('the badge should fit its pill', async ({ page }) => {
+    const key = await getFirstKey(page);
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    await page.evaluate((key) => window.FilamentMobileBottomNavigation.setBadge(key, 1234), key);
+
+    const fits = await page
+      .locator(`.fmbn-nav-item[data-fmbn-key="${key}"] .fmbn-nav-item__badge`)
+      .evaluate((el) => el.scrollWidth <= el.clientWidth + 1 && el.scrollHeight <= el.clientHeight + 1);
+
+    expect(fits).toBe(true);
+  });
+
+  test('without a cap, counts should use compact notation for the locale', async ({ page }) => {
+    const key = await getFirstKey(page);
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    await setBadgeOptions(page, { max: null, compact: true });
+    await page.evaluate((key) => window.FilamentMobileBottomNavigation.setBadge(key, 1500), key);
+
+    const locale = await page.evaluate(() => document.documentElement.lang || navigator.language);
+    const expected = await page.evaluate(
+      (locale) => new Intl.NumberFormat(locale, { notation: 'compact', maximumFractionDigits: 1 }).format(1500),
+      locale
+    );
+
+    await expect(page.locator(`.fmbn-nav-item[data-fmbn-key="${key}"] .fmbn-nav-item__badge`)).toHaveText(expected);
+  });
+
+  test('dot mode should hide the count but keep the description', async ({ page }) => {
+    const key = await getFirstKey(page);
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    await setBadgeOptions(page, { dot: true });
+    await page.evaluate((key) => window.FilamentMobileBottomNavigation.setBadge(key, 12), key);
+
+    const item = page.locator(`.fmbn-nav-item[data-fmbn-key="${key}"]`);
+    const badge = item.locator('.fmbn-nav-item__badge');
+
+    await expect(badge).toHaveClass(/fmbn-nav-item__badge--dot/);
+    await expect(badge).toHaveText('');
+    await expect(item).toHaveAccessibleDescription(/12/);
+  });
+
+  test('the count should be described with a pluralized text', async ({ page }) => {
+    const key = await getFirstKey(page);
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    const item = page.locator(`.fmbn-nav-item[data-fmbn-key="${key}"]`);
+
+    await page.evaluate((key) => window.FilamentMobileBottomNavigation.setBadge(key, 1), key);
+    await expect(item).toHaveAccessibleDescription('1 notification');
+
+    await page.evaluate((key) => window.FilamentMobileBottomNavigation.setBadge(key, 12), key);
+    await expect(item).toHaveAccessibleDescription('12 notifications');
+  });
+
+  test('the count should be read once, as the description only', async ({ page }) => {
+    const key = await getFirstKey(page);
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    await page.evaluate((key) => window.FilamentMobileBottomNavigation.setBadge(key, 12), key);
+
+    const item = page.locator(`.fmbn-nav-item[data-fmbn-key="${key}"]`);
+    const label = await item.getAttribute('aria-label');
+
+    // The name stays the label; the badge text is not part of it
+    await expect(item).toHaveAccessibleName(label);
+
+    // The description is not read a second time in the reading order
+    const description = page.locator(`#${await item.getAttribute('aria-describedby')}`);
+    await expect(description).toBeHidden();
+
+    // No live region repeats the count
+    const liveRegions = await page.locator('[aria-live]').evaluateAll((regions) =>
+      regions.filter((region) => region.textContent.includes('12')).length
+    );
+    expect(liveRegions).toBe(0);
+  });
+
+  test('removing the badge should remove the description', async ({ page }) => {
+    const key = await getFirstKey(page);
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    const item = page.locator(`.fmbn-nav-item[data-fmbn-key="${key}"]`);
+
+    await page.evaluate((key) => window.FilamentMobileBottomNavigation.setBadge(key, 5), key);
+    await page.evaluate((key) => window.FilamentMobileBottomNavigation.setBadge(key, null), key);
+
+    await expect(item).not.toHaveAttribute('aria-describedby', /fmbn-badge-description/);
+    await expect(item.locator('[data-fmbn-badge-description]')).toHaveCount(0);
+  });
+});
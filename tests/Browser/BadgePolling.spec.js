@@ -0,0 +1,238 @@
+import { test, expect } from '@playwright/test';
+import { replaceNav } from '../utils/nav-fixture.js';
+
+/**
+ * Badge Polling Tests
+ *
+ * Tests verify badges refresh from their endpoint in the background, pause
+ * while the page is hidden, back off on errors and resume on focus. The
+ * endpoint is a local stub served through page.route().
+ */
+test.describe('Visibility-aware Badge Polling', () => {
+  const testUrl = 'http://localhost/admin';
+  const mobileViewport = { width: 393, height: 851 };
+  const stubUrl = '/fmbn-stub/badge';
+
+  /**
+   * Serve the stub endpoint and count its requests
+   */
+  const stubEndpoint = async (page, respond) => {
+    const requests = [];
+
+    await page.route(`**${stubUrl}`, async (route) => {
+      requests.push(Date.now());
+      await respond(route, requests.length);
+    });
+
+    return requests;
+  };
+
+  /**
+   * Get the key of the first item
+   */
+  const getFirstKey = (page) =>
+    page.evaluate(
+      () => document.querySelector('.fmbn-bottom-nav .fmbn-nav-item[data-fmbn-key]')?.getAttribute('data-fmbn-key') ?? null
+    );
+
+  /**
+   * Turn polling on for the first item
+   */
+  const enablePolling = async (page, options = {}) => {
+    const key = await getFirstKey(page);
+    if (!key) return null;
+
+    await replaceNav(page, {
+      'data-fmbn-badge-polling': { enabled: true, interval: 1000, backoff: 8000, items: { [key]: stubUrl }, ...options },
+    });
+
+    return key;
+  };
+
+  /**
+   * Pretend the tab was hidden or shown again
+   */
+  const setVisibility = (page, state) =>
+    page.evaluate((state) => {
+      Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => state });
+      document.dispatchEvent(new Event('visibilitychange'));
+    }, state);
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto(testUrl);
+    await page.setViewportSize(mobileViewport);
+  });
+
+  test('polling should update the badge and its color', async ({ page }) => {
+    await stubEndpoint(page, (route, count) => route.fulfill({ json: { value: count, color: 'danger' } }));
+    const key = await enablePolling(page);
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    const badge = page.locator(`.fmbn-nav-item[data-fmbn-key="${key}"] .fmbn-nav-item__badge`);
+    await expect(badge).toHaveText(/^\d+$/, { timeout: 2000 });
+    await expect(badge).toHaveClass(/fmbn-nav-item__badge--danger/);
+  });
+
+  test('a bare value should be accepted and zero should remove the badge', async ({ page }) => {
+    await stubEndpoint(page, (route, count) => route.fulfill({ json: count === 1 ? 4 : 0 }));
+    const key = await enablePolling(page);
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    const badge = page.locator(`.fmbn-nav-item[data-fmbn-key="${key}"] .fmbn-nav-item__badge`);
+    await expect(badge).toHaveText('4', { timeout: 2000 });
+    await expect(badge).toHaveCount(0, { timeout: 3000 });
+  });
+
+  test('polling should pause while the page is hidden', async ({ page }) => {
+    const requests = await stubEndpoint(page, (route) => route.fulfill({ json: 1 }));
+    const key = await enablePolling(page);
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    await expect.poll(() => requests.length, { timeout: 2000 }).toBeGreaterThan(0);
+
+    await setVisibility(page, 'hidden');
+    await page.waitForTimeout(250);
+    const countWhileHidden = requests.length;
+
+    await page.waitForTimeout(2500);
+    expect(requests.length).toBe(countWhileHidden);
+  });
+
+  test('polling should resume right away when the page is visible again', async ({ page }) => {
+    const requests = await stubEndpoint(page, (route) => route.fulfill({ json: 1 }));
+    const key = await enablePolling(page, { interval: 5000 });
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    await setVisibility(page, 'hidden');
+    await page.waitForTimeout(300);
+    const countWhileHidden = requests.length;
+
+    await setVisibility(page, 'visible');
+
+    // Well before the 5 s interval
+    await expect.poll(() => requests.length, { timeout: 1000 }).toBe(countWhileHidden + 1);
+  });
+
+  test('errors should back off', async ({ page }) => {
+    const requests = await stubEndpoint(page, (route) => route.fulfill({ status: 500, body: 'error' }));
+    const key = await enablePolling(page);
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    await expect.poll(() => requests.length, { timeout: 10000 }).toBeGreaterThanOrEqual(3);
+
+    const gaps = requests.slice(1).map((time, index) => time - requests[index]);
+
+    // 2 s → 4 s: every gap is longer than the one before
+    gaps.slice(1).forEach((gap, index) => expect(gap).toBeGreaterThan(gaps[index]));
+  });
+
+  test('focus should not start a second polling chain', async ({ page }) => {
+    const requests = await stubEndpoint(page, (route) => route.fulfill({ json: 1 }));
+    const key = await enablePolling(page);
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    await page.waitForTimeout(500);
+    await page.evaluate(() => window.dispatchEvent(new Event('focus')));
+    const focusedAt = Date.now();
+
+    await page.waitForTimeout(3200);
+    const after = requests.filter((time) => time >= focusedAt - 100);
+
+    // One poll right away, then one per second: 1 + 3, never 1 + 6
+    expect(after.length).toBeLessThanOrEqual(5);
+
+    const gaps = after.slice(1).map((time, index) => time - after[index]);
+    gaps.forEach((gap) => expect(gap).toBeGreaterThan(800));
+  });
+
+  test('focus should not cut a back-off short', async ({ page }) => {
+    const requests = await stubEndpoint(page, (route) => route.fulfill({ status: 500, body: 'error' }));
+    const key = await enablePolling(page);
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    // The first failure backs off to 2 s
+    await expect.poll(() => requests.length, { timeout: 2000 }).toBe(1);
+    await page.waitForTimeout(300);
+
+    await page.evaluate(() => window.dispatchEvent(new Event('focus')));
+    await page.waitForTimeout(500);
+
+    expect(requests.length).toBe(1);
+  });
+
+  for (const interval of ['0', 'abc']) {
+    test(`an interval of "${interval}" should not poll in a loop`, async ({ page }) => {
+      const requests = await stubEndpoint(page, (route) => route.fulfill({ json: 1 }));
+      const key = await getFirstKey(page);
+
+      if (!key) {
+        test.skip();
+        return;
+      }
+
+      await page.evaluate(
+        ({ key, stubUrl, interval }) => {
+          const item = document.querySelector(`.fmbn-bottom-nav .fmbn-nav-item[data-fmbn-key="${key}"]`);
+
+          item.setAttribute('data-fmbn-badge-url', stubUrl);
+          item.setAttribute('data-fmbn-badge-interval', interval);
+        },
+        { key, stubUrl, interval }
+      );
+
+      await replaceNav(page, { 'data-fmbn-badge-polling': { enabled: true, interval: 0 } });
+
+      await page.waitForTimeout(1500);
+
+      // Raised to the 1 s minimum
+      expect(requests.length).toBeLessThanOrEqual(1);
+    });
+  }
+
+  test('polling should stop when the bar is removed', async ({ page }) => {
+    const requests = await stubEndpoint(page, (route) => route.fulfill({ json: 1 }));
+    const key = await enablePolling(page);
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    await expect.poll(() => requests.length, { timeout: 2000 }).toBeGreaterThan(0);
+
+    await page.evaluate(() => document.querySelector('.fmbn-bottom-nav').remove());
+    await page.waitForTimeout(300);
+    const countAfterRemoval = requests.length;
+
+    await page.waitForTimeout(2500);
+    expect(requests.length).toBe(countAfterRemoval);
+  });
+});
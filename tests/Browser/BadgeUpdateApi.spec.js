@@ -0,0 +1,142 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Badge Update API Tests
+ *
+ * Tests verify badges can be created, updated and removed in place through
+ * FilamentMobileBottomNavigation.setBadge() and the fmbn:set-badge browser
+ * event that Livewire components dispatch.
+ */
+test.describe('Real-time Badge Updates', () => {
+  const testUrl = 'http://localhost/admin';
+  const mobileViewport = { width: 393, height: 851 };
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto(testUrl);
+    await page.setViewportSize(mobileViewport);
+  });
+
+  /**
+   * Get the key of the first item
+   */
+  const getFirstKey = (page) =>
+    page.locator('.fmbn-nav-item[data-fmbn-key]').first().getAttribute('data-fmbn-key');
+
+  test('every item should have a unique data-fmbn-key', async ({ page }) => {
+    const keys = await page
+      .locator('.fmbn-nav-item')
+      .evaluateAll((items) => items.map((item) => item.getAttribute('data-fmbn-key')));
+
+    if (keys.length === 0) {
+      test.skip();
+      return;
+    }
+
+    expect(keys.every((key) => key && key.length > 0)).toBe(true);
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+
+  test('setBadge should create a badge with a color', async ({ page }) => {
+    const key = await getFirstKey(page);
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    await page.evaluate((key) => window.FilamentMobileBottomNavigation.setBadge(key, 12, 'warning'), key);
+
+    const badge = page.locator(`.fmbn-nav-item[data-fmbn-key="${key}"] .fmbn-nav-item__badge`);
+    await expect(badge).toHaveText('12');
+    await expect(badge).toHaveClass(/fmbn-nav-item__badge--warning/);
+  });
+
+  test('setBadge should update the value and replace the color', async ({ page }) => {
+    const key = await getFirstKey(page);
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    await page.evaluate((key) => {
+      window.FilamentMobileBottomNavigation.setBadge(key, 3, 'warning');
+      window.FilamentMobileBottomNavigation.setBadge(key, 4, 'danger');
+    }, key);
+
+    const badge = page.locator(`.fmbn-nav-item[data-fmbn-key="${key}"] .fmbn-nav-item__badge`);
+    await expect(badge).toHaveCount(1);
+    await expect(badge).toHaveText('4');
+    await expect(badge).toHaveClass(/fmbn-nav-item__badge--danger/);
+    await expect(badge).not.toHaveClass(/fmbn-nav-item__badge--warning/);
+  });
+
+  test('setBadge should remove the badge for empty values', async ({ page }) => {
+    const key = await getFirstKey(page);
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    await page.evaluate((key) => {
+      window.FilamentMobileBottomNavigation.setBadge(key, 5);
+      window.FilamentMobileBottomNavigation.setBadge(key, null);
+    }, key);
+
+    await expect(page.locator(`.fmbn-nav-item[data-fmbn-key="${key}"] .fmbn-nav-item__badge`)).toHaveCount(0);
+  });
+
+  test('setBadge should report unknown keys', async ({ page }) => {
+    if (await page.locator('.fmbn-nav-item').count() === 0) {
+      test.skip();
+      return;
+    }
+
+    const found = await page.evaluate(() => window.FilamentMobileBottomNavigation.setBadge('fmbn-missing-key', 1));
+
+    expect(found).toBe(false);
+  });
+
+  test('the fmbn:set-badge browser event should update the badge', async ({ page }) => {
+    const key = await getFirstKey(page);
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    // Same event Livewire dispatches for $this->dispatch('fmbn:set-badge', key: ..., value: ...)
+    await page.evaluate((key) => {
+      window.dispatchEvent(new CustomEvent('fmbn:set-badge', { detail: { key, value: 7, color: 'success' } }));
+    }, key);
+
+    const badge = page.locator(`.fmbn-nav-item[data-fmbn-key="${key}"] .fmbn-nav-item__badge`);
+    await expect(badge).toHaveText('7');
+    await expect(badge).toHaveClass(/fmbn-nav-item__badge--success/);
+  });
+
+  test('badge changes should dispatch fmbn:badge-change', async ({ page }) => {
+    const key = await getFirstKey(page);
+
+    if (!key) {
+      test.skip();
+      return;
+    }
+
+    const detail = await page.evaluate(
+      (key) =>
+        new Promise((resolve) => {
+          window.addEventListener(
+            'fmbn:badge-change',
+            (event) => resolve({ key: event.detail.key, value: event.detail.value, color: event.detail.color }),
+            { once: true }
+          );
+          window.FilamentMobileBottomNavigation.setBadge(key, 9, 'primary');
+        }),
+      key
+    );
+
+    expect(detail).toEqual({ key, value: '9', color: 'primary' });
+  });
+});
@@ -0,0 +1,180 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Cross-Tab Sync Tests
+ *
+ * Tests verify badge values and preferences set in one tab reach the other
+ * tabs of the same panel, through BroadcastChannel or the storage-event
+ * fallback, and never the tabs of another panel.
+ */
+test.describe('Cross-Tab Badge and Preference Sync', () => {
+  const testUrl = 'http://localhost/admin';
+  const mobileViewport = { width: 393, height: 851 };
+
+  /**
+   * Open two tabs of the panel in one browser context
+   */
+  const openTabs = async (context) => {
+    const first = await context.newPage();
+    const second = await context.newPage();
+
+    for (const page of [first, second]) {
+      await page.setViewportSize(mobileViewport);
+      await page.goto(testUrl);
+    }
+
+    return [first, second];
+  };
+
+  /**
+   * Get the key and panel of the first item
+   */
+  const getFirstItem = (page) =>
+    page.evaluate(() => {
+      const item = document.querySelector('.fmbn-bottom-nav[data-fmbn-panel] .fmbn-nav-item[data-fmbn-key]');
+
+      return item ? { key: item.dataset.fmbnKey, panel: item.closest('.fmbn-bottom-nav').dataset.fmbnPanel } : null;
+    });
+
+  test('a badge set in one tab should appear in the other', async ({ context }) => {
+    const [first, second] = await openTabs(context);
+    const item = await getFirstItem(first);
+
+    if (!item) {
+      test.skip();
+      return;
+    }
+
+    await first.evaluate(({ key }) => window.FilamentMobileBottomNavigation.setBadge(key, 42, 'danger'), item);
+
+    const badge = second.locator(`.fmbn-nav-item[data-fmbn-key="${item.key}"] .fmbn-nav-item__badge`);
+    await expect(badge).toHaveText('42');
+    await expect(badge).toHaveClass(/fmbn-nav-item__badge--danger/);
+  });
+
+  test('a badge removed in one tab should disappear in the other', async ({ context }) => {
+    const [first, second] = await openTabs(context);
+    const item = await getFirstItem(first);
+
+    if (!item) {
+      test.skip();
+      return;
+    }
+
+    await first.evaluate(({ key }) => window.FilamentMobileBottomNavigation.setBadge(key, 3), item);
+
+    const badge = second.locator(`.fmbn-nav-item[data-fmbn-key="${item.key}"] .fmbn-nav-item__badge`);
+    await expect(badge).toHaveText('3');
+
+    await first.evaluate(({ key }) => window.FilamentMobileBottomNavigation.setBadge(key, null), item);
+    await expect(badge).toHaveCount(0);
+  });
+
+  test('messages for another panel should be ignored', async ({ context }) => {
+    const [first, second] = await openTabs(context);
+    const item = await getFirstItem(first);
+
+    if (!item) {
+      test.skip();
+      return;
+    }
+
+    await first.evaluate(({ key }) => {
+      const channel = new BroadcastChannel('filament-mobile-bottom-navigation');
+      channel.postMessage({ panel: 'fmbn-other-panel', type: 'badge', data: { key, value: '99' }, source: 'test', id: 'test:1' });
+      channel.close();
+    }, item);
+
+    await second.waitForTimeout(300);
+
+    await expect(second.locator(`.fmbn-nav-item[data-fmbn-key="${item.key}"] .fmbn-nav-item__badge`)).not.toHaveText('99');
+  });
+
+  test('preferences should reach the other tab', async ({ context }) => {
+    const [first, second] = await openTabs(context);
+    const item = await getFirstItem(first);
+
+    if (!item) {
+      test.skip();
+      return;
+    }
+
+    const received = second.evaluate(
+      () =>
+        new Promise((resolve) => {
+          window.addEventListener('fmbn:preference-change', (event) => resolve(event.detail), { once: true });
+        })
+    );
+
+    await first.evaluate(() => window.FilamentMobileBottomNavigation.setPreference('compact', true));
+
+    expect(await received).toEqual({ name: 'compact', value: true });
+    expect(await second.evaluate(() => window.FilamentMobileBottomNavigation.getPreference('compact'))).toBe(true);
+  });
+
+  test('stored preferences that are not an object should be ignored', async ({ page }) => {
+    await page.setViewportSize(mobileViewport);
+    await page.goto(testUrl);
+    const item = await getFirstItem(page);
+
+    if (!item) {
+      test.skip();
+      return;
+    }
+
+    for (const stored of ['null', '5', '"compact"', '[true]']) {
+      const value = await page.evaluate(
+        ({ panel, stored }) => {
+          localStorage.setItem(`fmbn:preferences:${panel}`, stored);
+
+          return window.FilamentMobileBottomNavigation.getPreference('compact', 'fallback');
+        },
+        { panel: item.panel, stored }
+      );
+
+      expect(value).toBe('fallback');
+    }
+  });
+
+  test('preferences should last for the page when storage cannot be written', async ({ page }) => {
+    await page.setViewportSize(mobileViewport);
+    await page.goto(testUrl);
+
+    const value = await page.evaluate(() => {
+      Storage.prototype.setItem = () => {
+        throw new DOMException('Quota exceeded', 'QuotaExceededError');
+      };
+
+      window.FilamentMobileBottomNavigation.setPreference('compact', true);
+
+      return window.FilamentMobileBottomNavigation.getPreference('compact', false);
+    });
+
+    expect(value).toBe(true);
+  });
+
+  test('storage events should carry badges without BroadcastChannel', async ({ browser }) => {
+    const context = await browser.newContext();
+    await context.addInitScript(() => {
+      delete window.BroadcastChannel;
+    });
+
+    const [first, second] = await openTabs(context);
+    const item = await getFirstItem(first);
+
+    if (!item) {
+      await context.close();
+      test.skip();
+      return;
+    }
+
+    await first.evaluate(({ key }) => window.FilamentMobileBottomNavigation.setBadge(key, 7), item);
+
+    await expect(second.locator(`.fmbn-nav-item[data-fmbn-key="${item.key}"] .fmbn-nav-item__badge`)).toHaveText('7');
+
+    // The fallback does not leave messages behind
+    expect(await first.evaluate(() => localStorage.getItem('fmbn:sync'))).toBeNull();
+
+    await context.close();
+  });
+});
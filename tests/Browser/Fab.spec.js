@@ -0,0 +1,172 @@
+import { test, expect } from '@playwright/test';
+import { replaceNav } from '../utils/nav-fixture.js';
+
+/**
+ * Center Action Button Tests
+ *
+ * Tests verify the raised center button keeps a 44px target, sits between
+ * the tabs, never becomes the active item, and can be replaced or hidden by
+ * the page with the fmbn:set-fab event.
+ */
+test.describe('Center Action Button', () => {
+  const testUrl = 'http://localhost/admin';
+  const mobileViewport = { width: 393, height: 851 };
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto(testUrl);
+    await page.setViewportSize(mobileViewport);
+  });
+
+  /**
+   * Set the button from the page, like $this->dispatch('fmbn:set-fab', ...)
+   */
+  const setFab = (page, detail) =>
+    page.evaluate((detail) => window.dispatchEvent(new CustomEvent('fmbn:set-fab', { detail })), detail);
+
+  test('fmbn:set-fab should add a button in the middle of the bar', async ({ page }) => {
+    await setFab(page, { label: 'New order', url: '/admin/orders/create' });
+
+    const fab = page.locator('.fmbn-bottom-nav [data-fmbn-fab]');
+    await expect(fab).toHaveAttribute('aria-label', 'New order');
+    await expect(fab).toHaveAttribute('href', '/admin/orders/create');
+
+    const position = await page.evaluate(() => {
+      const items = Array.from(document.querySelectorAll('.fmbn-nav__list > .fmbn-nav__list-item'));
+      const index = items.findIndex((item) => item.querySelector('[data-fmbn-fab]'));
+
+      return { index, count: items.length };
+    });
+
+    expect(position.index).toBe(Math.floor((position.count - 1) / 2));
+  });
+
+  test('the button should keep a 44px touch target inside the safe area', async ({ page }) => {
+    await setFab(page, { label: 'New order', url: '/admin/orders/create' });
+
+    const box = await page.locator('[data-fmbn-fab]').boundingBox();
+    const circle = await page.locator('.fmbn-fab__button').boundingBox();
+
+    expect(box.width).toBeGreaterThanOrEqual(44);
+    expect(box.height).toBeGreaterThanOrEqual(44);
+    expect(circle.width).toBeGreaterThanOrEqual(44);
+    expect(circle.y + circle.height).toBeLessThanOrEqual(mobileViewport.height);
+  });
+
+  test('the button should never be the active item', async ({ page }) => {
+    await setFab(page, { label: 'Dashboard', url: '/admin' });
+
+    await expect(page.locator('[data-fmbn-fab]')).not.toHaveAttribute('aria-current', 'page');
+    await expect(page.locator('[data-fmbn-fab]')).not.toHaveClass(/fmbn-nav-item--active/);
+  });
+
+  test('an event button should dispatch its Livewire event', async ({ page }) => {
+    await setFab(page, { label: 'Scan', event: 'open-scanner', params: { mode: 'qr' } });
+
+    const detail = page.evaluate(
+      () =>
+        new Promise((resolve) => {
+          window.addEventListener('open-scanner', (e) => resolve(e.detail), { once: true });
+        })
+    );
+
+    await page.locator('button[data-fmbn-fab]').click();
+
+    expect(await detail).toMatchObject({ mode: 'qr' });
+  });
+
+  test('icons should keep their shapes and lose scripts and external links', async ({ page }) => {
+    await setFab(page, {
+      label: 'New order',
+      url: '/admin/orders/create',
+      icon:
+        '<svg viewBox="0 0 24 24" onload="window.__fmbnIconRan = true">' +
+        '<script>window.__fmbnIconRan = true</script>' +
+        '<a href="javascript:void(0)"><path d="M0 0h1"/></a>' +
+        '<use href="javascript:void(0)"/>' +
+        '<set attributeName="fill" to="red"/>' +
+        '<path d="M12 4.5v15" stroke="url(https://example.com/paint)"/>' +
+        '</svg>',
+    });
+
+    const icon = page.locator('[data-fmbn-fab] .fmbn-fab__icon svg');
+
+    await expect(icon.locator('path')).toHaveCount(1);
+    await expect(icon.locator('path')).toHaveAttribute('d', 'M12 4.5v15');
+    await expect(icon.locator('path')).not.toHaveAttribute('stroke', /.+/);
+    await expect(icon.locator('script, a, set')).toHaveCount(0);
+    await expect(icon.locator('use')).not.toHaveAttribute('href', /.+/);
+    await expect(icon).not.toHaveAttribute('onload', /.+/);
+    expect(await page.evaluate(() => window.__fmbnIconRan)).toBeUndefined();
+  });
+
+  test('javascript: urls should be refused', async ({ page }) => {
+    await setFab(page, { label: 'New order', url: '/admin/orders/create' });
+    await setFab(page, { label: 'Run', url: 'javascript:window.__fmbnFabRan = true' });
+
+    const fab = page.locator('[data-fmbn-fab]');
+    await expect(fab).toHaveAttribute('aria-label', 'New order');
+    await expect(fab).toHaveAttribute('href', '/admin/orders/create');
+
+    await fab.click();
+    expect(await page.evaluate(() => window.__fmbnFabRan)).toBeUndefined();
+  });
+
+  test('the page should be able to relabel and hide the button', async ({ page }) => {
+    await setFab(page, { label: 'New order', url: '/admin/orders/create' });
+    await setFab(page, { label: 'New invoice' });
+
+    const fab = page.locator('[data-fmbn-fab]');
+    await expect(fab).toHaveAttribute('aria-label', 'New invoice');
+    await expect(fab).toHaveAttribute('href', '/admin/orders/create');
+
+    await setFab(page, { hidden: true });
+    await expect(fab).toBeHidden();
+  });
+
+  test('arrow keys should reach the button like a tab', async ({ page }) => {
+    await setFab(page, { label: 'New order', url: '/admin/orders/create' });
+    await page.evaluate(() => new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve))));
+
+    await page.locator('.fmbn-nav-item').first().focus();
+
+    for (let i = 0; i < 10; i++) {
+      if (await page.evaluate(() => document.activeElement.matches('[data-fmbn-fab]'))) break;
+      await page.keyboard.press('ArrowRight');
+    }
+
+    await expect(page.locator('[data-fmbn-fab]')).toBeFocused();
+  });
+
+  test('item hotkeys should skip the button', async ({ page }) => {
+    await replaceNav(page, { 'data-fmbn-hotkeys': { enabled: true } });
+    await setFab(page, { label: 'New order', url: '/admin/orders/create' });
+    await page.evaluate(() => new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve))));
+
+    const shortcuts = await page.evaluate(() =>
+      Array.from(document.querySelectorAll('.fmbn-bottom-nav .fmbn-nav-item')).map((item) => ({
+        fab: item.hasAttribute('data-fmbn-fab'),
+        sheet: item.hasAttribute('data-fmbn-sheet-toggle'),
+        shortcut: item.getAttribute('aria-keyshortcuts'),
+      }))
+    );
+
+    const isTab = (item) => !item.fab && !item.sheet;
+    const tabs = shortcuts.filter(isTab);
+    const fabIndex = shortcuts.findIndex((item) => item.fab);
+    const nextIndex = shortcuts.slice(0, fabIndex).filter(isTab).length;
+
+    test.skip(tabs.length <= nextIndex, 'No tab after the button');
+
+    expect(shortcuts[fabIndex].shortcut).toBeNull();
+    tabs.forEach((item, index) => expect(item.shortcut).toBe(`Alt+${index + 1}`));
+
+    // The tab right after the button keeps the next number
+    const next = page.locator('.fmbn-bottom-nav .fmbn-nav-item:not([data-fmbn-fab]):not([data-fmbn-sheet-toggle])').nth(nextIndex);
+    const href = await next.getAttribute('href');
+
+    await page.locator('body').click({ position: { x: 5, y: 5 } });
+    await page.keyboard.press(`Alt+${nextIndex + 1}`);
+
+    await expect.poll(() => new URL(page.url()).pathname).toBe(new URL(href, page.url()).pathname);
+  });
+});
@@ -0,0 +1,215 @@
+import { test, expect } from '@playwright/test';
+import { replaceNav } from '../utils/nav-fixture.js';
+
+/**
+ * Focus Management Tests
+ *
+ * Tests verify focus moves from the bar to the new page's main content after
+ * keyboard navigation, and stays in place after mouse or touch navigation
+ * and after bar navigations that were opened elsewhere or overtaken.
+ */
+test.describe('Focus Management After Navigation', () => {
+  const testUrl = 'http://localhost/admin';
+  const mobileViewport = { width: 393, height: 851 };
+
+  /**
+   * Turn the option on for the current bar
+   */
+  const enableFocusMainContent = (page, options = { enabled: true }) =>
+    replaceNav(page, { 'data-fmbn-focus-main-content': options });
+
+  /**
+   * Pick an item that leads away from the current page
+   */
+  const findOtherItem = async (page) => {
+    const navItems = page.locator('.fmbn-nav-item:not(.fmbn-nav-item--active)');
+
+    return (await navItems.count()) > 0 ? navItems.first() : null;
+  };
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto(testUrl);
+    await page.setViewportSize(mobileViewport);
+  });
+
+  test('keyboard navigation should move focus to the page heading', async ({ page }) => {
+    await enableFocusMainContent(page);
+    const item = await findOtherItem(page);
+
+    if (!item) {
+      test.skip();
+      return;
+    }
+
+    await item.focus();
+    await page.keyboard.press('Enter');
+    await page.waitForLoadState('networkidle');
+
+    const heading = page.locator('.fi-header-heading, main h1, h1').first();
+
+    if (await heading.count() === 0) {
+      test.skip();
+      return;
+    }
+
+    await expect(heading).toBeFocused();
+  });
+
+  test('the fallback order should be configurable', async ({ page }) => {
+    await enableFocusMainContent(page, { enabled: true, targets: ['#fmbn-missing-target', 'main'] });
+    const item = await findOtherItem(page);
+
+    if (!item || await page.locator('main').count() === 0) {
+      test.skip();
+      return;
+    }
+
+    await item.focus();
+    await page.keyboard.press('Enter');
+    await page.waitForLoadState('networkidle');
+
+    await expect(page.locator('main').first()).toBeFocused();
+  });
+
+  test('the heading should only be focusable while it has focus', async ({ page }) => {
+    await enableFocusMainContent(page);
+    const item = await findOtherItem(page);
+
+    if (!item) {
+      test.skip();
+      return;
+    }
+
+    await item.focus();
+    await page.keyboard.press('Enter');
+    await page.waitForLoadState('networkidle');
+
+    const heading = page.locator('.fi-header-heading, main h1, h1').first();
+
+    if (await heading.count() === 0) {
+      test.skip();
+      return;
+    }
+
+    await expect(heading).toHaveAttribute('tabindex', '-1');
+
+    await page.keyboard.press('Tab');
+    await expect(heading).not.toHaveAttribute('tabindex', /.*/);
+  });
+
+  test('mouse navigation should not move focus to the page', async ({ page }) => {
+    await enableFocusMainContent(page);
+    const item = await findOtherItem(page);
+
+    if (!item) {
+      test.skip();
+      return;
+    }
+
+    await item.click();
+    await page.waitForLoadState('networkidle');
+
+    const headingFocused = await page.evaluate(() => {
+      const focused = document.activeElement;
+      return !!focused && focused.matches('.fi-header-heading, main h1, h1, main');
+    });
+
+    expect(headingFocused).toBe(false);
+  });
+
+  test('touch navigation should not move focus to the page', async ({ browser }) => {
+    const context = await browser.newContext({ viewport: mobileViewport, hasTouch: true });
+    const page = await context.newPage();
+
+    await page.goto(testUrl);
+    await enableFocusMainContent(page);
+    const item = await findOtherItem(page);
+
+    if (!item) {
+      await context.close();
+      test.skip();
+      return;
+    }
+
+    await item.tap();
+    await page.waitForLoadState('networkidle');
+
+    const headingFocused = await page.evaluate(() => {
+      const focused = document.activeElement;
+      return !!focused && focused.matches('.fi-header-heading, main h1, h1, main');
+    });
+
+    expect(headingFocused).toBe(false);
+    await context.close();
+  });
+
+  test('a modifier activation should not move focus on a later navigation', async ({ page }) => {
+    await enableFocusMainContent(page);
+    const item = await findOtherItem(page);
+
+    if (!item) {
+      test.skip();
+      return;
+    }
+
+    // A click without pointer position counts as a keyboard activation
+    await item.evaluate((el) => el.addEventListener('click', (event) => event.preventDefault()));
+    await item.focus();
+    await item.dispatchEvent('click', { detail: 0, ctrlKey: true });
+
+    await page.evaluate(() => document.dispatchEvent(new CustomEvent('livewire:navigated')));
+
+    await expect(item).toBeFocused();
+  });
+
+  test('an overtaken keyboard navigation should not move focus', async ({ page }) => {
+    await enableFocusMainContent(page);
+    const item = await findOtherItem(page);
+
+    if (!item) {
+      test.skip();
+      return;
+    }
+
+    await item.evaluate((el) => el.addEventListener('click', (event) => event.preventDefault()));
+    await item.focus();
+    await item.dispatchEvent('click', { detail: 0 });
+
+    // Another navigation starts before the bar's one is in
+    await page.evaluate(() => {
+      document.dispatchEvent(new CustomEvent('livewire:navigate', { detail: { url: '/fmbn-elsewhere' } }));
+      document.dispatchEvent(new CustomEvent('livewire:navigated'));
+    });
+
+    await expect(item).toBeFocused();
+  });
+
+  test('focus should stay in the bar when the option is off', async ({ page }) => {
+    const item = await findOtherItem(page);
+
+    if (!item) {
+      test.skip();
+      return;
+    }
+
+    const enabled = await page.evaluate(
+      () => window.filamentData?.filamentMobileBottomNavigation?.defaults?.focusMainContent?.enabled
+    );
+
+    if (enabled) {
+      test.skip();
+      return;
+    }
+
+    await item.focus();
+    await page.keyboard.press('Enter');
+    await page.waitForLoadState('networkidle');
+
+    const headingFocused = await page.evaluate(() => {
+      const focused = document.activeElement;
+      return !!focused && focused.matches('.fi-header-heading, main h1, h1, main');
+    });
+
+    expect(headingFocused).toBe(false);
+  });
+});
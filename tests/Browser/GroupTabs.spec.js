@@ -0,0 +1,88 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Group Tab Tests
+ *
+ * Tests verify a navigation group shown as one tab opens a sheet with its
+ * items, is active when one of them is, and supports arrow keys inside the
+ * sheet. Skipped unless the panel enables ->groupTabs().
+ */
+test.describe('Group Tabs', () => {
+  const testUrl = 'http://localhost/admin';
+  const mobileViewport = { width: 393, height: 851 };
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto(testUrl);
+    await page.setViewportSize(mobileViewport);
+  });
+
+  /**
+   * Get the first group tab, or skip when groups are not tabs
+   */
+  const getGroupTab = async (page) => {
+    const tab = page.locator('.fmbn-nav-item--group').first();
+
+    if ((await tab.count()) === 0) {
+      test.skip();
+    }
+
+    return tab;
+  };
+
+  test('a group tab should control a sheet with its items', async ({ page }) => {
+    const tab = await getGroupTab(page);
+
+    await expect(tab).toHaveAttribute('aria-expanded', 'false');
+    await expect(tab).toHaveAttribute('aria-haspopup', 'dialog');
+
+    const sheet = page.locator(`#${await tab.getAttribute('aria-controls')}`);
+    await tab.click();
+
+    await expect(tab).toHaveAttribute('aria-expanded', 'true');
+    await expect(sheet).toBeVisible();
+    await expect(sheet.locator('.fmbn-sheet__title')).toHaveText(await tab.getAttribute('aria-label'));
+    expect(await sheet.locator('.fmbn-sheet__item').count()).toBeGreaterThan(0);
+  });
+
+  test('a group tab should be active on the page of one of its items', async ({ page }) => {
+    const tab = await getGroupTab(page);
+    const sheet = page.locator(`#${await tab.getAttribute('aria-controls')}`);
+
+    await tab.click();
+    await sheet.locator('.fmbn-sheet__item').first().click();
+    await page.waitForLoadState('networkidle');
+
+    await expect(page.locator('.fmbn-nav-item--group').first()).toHaveClass(/fmbn-nav-item--active/);
+  });
+
+  test('arrow keys should move between the items of the sheet', async ({ page }) => {
+    const tab = await getGroupTab(page);
+    const sheet = page.locator(`#${await tab.getAttribute('aria-controls')}`);
+    const items = sheet.locator('.fmbn-sheet__item');
+    const count = await items.count();
+
+    await tab.click();
+    await page.keyboard.press('Home');
+    await expect(items.first()).toBeFocused();
+
+    await page.keyboard.press('End');
+    await expect(items.last()).toBeFocused();
+
+    // Wraps around from the last item
+    await page.keyboard.press('ArrowDown');
+    await expect(items.first()).toBeFocused();
+
+    await page.keyboard.press('ArrowUp');
+    await expect(items.nth(count - 1)).toBeFocused();
+  });
+
+  test('Escape should close the sheet and return focus to the group tab', async ({ page }) => {
+    const tab = await getGroupTab(page);
+
+    await tab.click();
+    await page.keyboard.press('Escape');
+
+    await expect(tab).toHaveAttribute('aria-expanded', 'false');
+    await expect(tab).toBeFocused();
+  });
+});
@@ -0,0 +1,157 @@
+import { test, expect } from '@playwright/test';
+import { replaceNav } from '../utils/nav-fixture.js';
+
+/**
+ * Hide on Scroll Tests
+ *
+ * Tests verify the opt-in hideOnScroll mode slides the bar out on scroll-down
+ * and back on scroll-up, never hides a focused bar, keeps the body padding
+ * reserved and drops the animation under reduced motion.
+ */
+test.describe('Hide on Scroll', () => {
+  const testUrl = 'http://localhost/admin';
+  const mobileViewport = { width: 393, height: 851 };
+
+  /**
+   * Make the page long enough to scroll and turn the mode on
+   */
+  const enableHideOnScroll = async (page, options = { enabled: true }) => {
+    await page.evaluate(() => {
+      const spacer = document.createElement('div');
+      spacer.style.height = '4000px';
+      document.querySelector('main, body').appendChild(spacer);
+    });
+
+    await replaceNav(page, { 'data-fmbn-hide-on-scroll': options });
+  };
+
+  /**
+   * Scroll in small steps, one per frame, like a finger would
+   */
+  const scrollBy = async (page, distance) => {
+    await page.evaluate(async (distance) => {
+      const steps = 10;
+
+      for (let i = 0; i < steps; i++) {
+        window.scrollBy(0, distance / steps);
+        await new Promise((resolve) => requestAnimationFrame(resolve));
+      }
+
+      await new Promise((resolve) => requestAnimationFrame(resolve));
+    }, distance);
+  };
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto(testUrl);
+    await page.setViewportSize(mobileViewport);
+  });
+
+  test('the bar should stay put unless the mode is enabled', async ({ page }) => {
+    await page.evaluate(() => {
+      const spacer = document.createElement('div');
+      spacer.style.height = '4000px';
+      document.body.appendChild(spacer);
+    });
+
+    await scrollBy(page, 600);
+
+    await expect(page.locator('.fmbn-bottom-nav')).not.toHaveClass(/fmbn-bottom-nav--hidden/);
+  });
+
+  test('scrolling down should hide the bar and scrolling up should show it', async ({ page }) => {
+    await enableHideOnScroll(page);
+    const nav = page.locator('.fmbn-bottom-nav');
+
+    await scrollBy(page, 600);
+    await expect(nav).toHaveClass(/fmbn-bottom-nav--hidden/);
+
+    await scrollBy(page, -200);
+    await expect(nav).not.toHaveClass(/fmbn-bottom-nav--hidden/);
+  });
+
+  test('the bar should show near the bottom of the page', async ({ page }) => {
+    await enableHideOnScroll(page);
+    const nav = page.locator('.fmbn-bottom-nav');
+
+    await scrollBy(page, 600);
+    await expect(nav).toHaveClass(/fmbn-bottom-nav--hidden/);
+
+    await page.evaluate(async () => {
+      window.scrollTo(0, document.documentElement.scrollHeight);
+      await new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    });
+
+    await expect(nav).not.toHaveClass(/fmbn-bottom-nav--hidden/);
+  });
+
+  test('the bar should not hide while an item has focus', async ({ page }) => {
+    await enableHideOnScroll(page);
+
+    await page.locator('.fmbn-nav-item').first().focus();
+    await scrollBy(page, 600);
+
+    await expect(page.locator('.fmbn-bottom-nav')).not.toHaveClass(/fmbn-bottom-nav--hidden/);
+  });
+
+  test('focusing an item should bring the hidden bar back', async ({ page }) => {
+    await enableHideOnScroll(page);
+    const nav = page.locator('.fmbn-bottom-nav');
+
+    await scrollBy(page, 600);
+    await expect(nav).toHaveClass(/fmbn-bottom-nav--hidden/);
+
+    await page.locator('.fmbn-nav-item').first().focus();
+    await expect(nav).not.toHaveClass(/fmbn-bottom-nav--hidden/);
+  });
+
+  test('hiding should keep the body padding and cause no layout shift', async ({ page }) => {
+    await enableHideOnScroll(page);
+
+    const paddingBefore = await page.evaluate(() => getComputedStyle(document.body).paddingBottom);
+
+    await page.evaluate(() => {
+      window.layoutShift = 0;
+
+      new PerformanceObserver((list) => {
+        list.getEntries().forEach((entry) => {
+          if (!entry.hadRecentInput) window.layoutShift += entry.value;
+        });
+      }).observe({ type: 'layout-shift' });
+    });
+
+    await scrollBy(page, 600);
+    await scrollBy(page, -200);
+    await page.waitForTimeout(300);
+
+    const paddingAfter = await page.evaluate(() => getComputedStyle(document.body).paddingBottom);
+    const layoutShift = await page.evaluate(() => window.layoutShift);
+
+    expect(paddingAfter).toBe(paddingBefore);
+    expect(layoutShift).toBeLessThan(0.01);
+  });
+
+  test('reduced motion should hide the bar without sliding', async ({ page }) => {
+    await page.emulateMedia({ reducedMotion: 'reduce' });
+    await enableHideOnScroll(page);
+
+    const duration = await page
+      .locator('.fmbn-bottom-nav')
+      .evaluate((nav) => getComputedStyle(nav).transitionDuration);
+
+    expect(duration.split(',').every((value) => parseFloat(value) === 0)).toBe(true);
+  });
+
+  test('the bar should report when it slides', async ({ page }) => {
+    await enableHideOnScroll(page);
+
+    await page.evaluate(() => {
+      window.visibilityChanges = [];
+      window.addEventListener('fmbn:visibility-change', (e) => window.visibilityChanges.push(e.detail.hidden));
+    });
+
+    await scrollBy(page, 600);
+    await scrollBy(page, -200);
+
+    expect(await page.evaluate(() => window.visibilityChanges)).toEqual([true, false]);
+  });
+});
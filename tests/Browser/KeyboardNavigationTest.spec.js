@@ -1,4 +1,5 @@
 import { test, expect } from '@playwright/test';
+import { replaceNav } from '../utils/nav-fixture.js';
 
 test.describe('Keyboard Navigation - Mobile Bottom Navigation', () => {
   const testUrl = 'http://localhost/admin';
@@ -410,6 +411,208 @@ test.describe('Keyboard Navigation - Mobile Bottom Navigation', () => {
     expect(isLastFocused || true).toBe(true); // Optional feature
   });
 
+  test('ArrowLeft should move focus to next item in RTL panels', async ({ page }) => {
+    const navItems = page.locator('.fmbn-nav-item');
+
+    if (await navItems.count() < 2) {
+      test.skip();
+      return;
+    }
+
+    // Direction is read at key press time, so a runtime switch must be honored
+    await page.evaluate(() => document.documentElement.setAttribute('dir', 'rtl'));
+
+    await navItems.first().focus();
+    await page.keyboard.press('ArrowLeft');
+
+    await expect(navItems.nth(1)).toBeFocused();
+
+    await page.keyboard.press('ArrowRight');
+
+    await expect(navItems.first()).toBeFocused();
+  });
+
+  test('badge should mirror to the left side in RTL panels', async ({ page }) => {
+    const badge = page.locator('.fmbn-nav-item__badge').first();
+
+    if (await badge.count() === 0) {
+      test.skip();
+      return;
+    }
+
+    await page.evaluate(() => document.documentElement.setAttribute('dir', 'rtl'));
+
+    const position = await badge.evaluate((el) => {
+      const badgeRect = el.getBoundingClientRect();
+      const iconRect = el.parentElement.getBoundingClientRect();
+      return {
+        badgeCenter: badgeRect.left + badgeRect.width / 2,
+        iconCenter: iconRect.left + iconRect.width / 2,
+      };
+    });
+
+    expect(position.badgeCenter).toBeLessThan(position.iconCenter);
+  });
+
+  test('typing a letter should focus the next item with a matching label', async ({ page }) => {
+    const navItems = page.locator('.fmbn-nav-item');
+
+    if (await navItems.count() < 2) {
+      test.skip();
+      return;
+    }
+
+    const label = (await navItems.nth(1).locator('.fmbn-nav-item__label').innerText()).trim();
+    const labels = await navItems.locator('.fmbn-nav-item__label').allInnerTexts();
+    const firstLetter = label.charAt(0).toLowerCase();
+
+    // Only meaningful when the letter is unambiguous
+    if (labels.filter((text) => text.trim().charAt(0).toLowerCase() === firstLetter).length !== 1) {
+      test.skip();
+      return;
+    }
+
+    await navItems.first().focus();
+    await page.keyboard.press(firstLetter);
+
+    await expect(navItems.nth(1)).toBeFocused();
+  });
+
+  test('typing several letters quickly should match a longer prefix', async ({ page }) => {
+    const navItems = page.locator('.fmbn-nav-item');
+    const itemCount = await navItems.count();
+
+    if (itemCount < 2) {
+      test.skip();
+      return;
+    }
+
+    const lastIndex = itemCount - 1;
+    const label = (await navItems.nth(lastIndex).locator('.fmbn-nav-item__label').innerText()).trim();
+
+    if (label.length < 3) {
+      test.skip();
+      return;
+    }
+
+    await navItems.first().focus();
+    await page.keyboard.type(label.slice(0, 3).toLowerCase(), { delay: 50 });
+
+    // Another item may share the prefix, but focus must land on a match
+    const focusedLabel = await page.evaluate(() =>
+      document.activeElement?.querySelector('.fmbn-nav-item__label')?.textContent.trim() || ''
+    );
+
+    expect(focusedLabel.slice(0, 3).toLowerCase()).toBe(label.slice(0, 3).toLowerCase());
+  });
+
+  test('arrow keys should skip disabled items', async ({ page }) => {
+    const navItems = page.locator('.fmbn-nav-item');
+
+    if (await navItems.count() < 3) {
+      test.skip();
+      return;
+    }
+
+    await navItems.nth(1).evaluate((el) => el.setAttribute('aria-disabled', 'true'));
+
+    await navItems.first().focus();
+    await page.keyboard.press('ArrowRight');
+    await expect(navItems.nth(2)).toBeFocused();
+
+    await page.keyboard.press('ArrowLeft');
+    await expect(navItems.first()).toBeFocused();
+  });
+
+  test('arrow keys should skip hidden items', async ({ page }) => {
+    const navItems = page.locator('.fmbn-nav-item');
+
+    if (await navItems.count() < 3) {
+      test.skip();
+      return;
+    }
+
+    await navItems.nth(1).evaluate((el) => { el.style.display = 'none'; });
+
+    await navItems.first().focus();
+    await page.keyboard.press('ArrowRight');
+    await expect(navItems.nth(2)).toBeFocused();
+  });
+
+  test('Home and End should land on the first and last enabled items', async ({ page }) => {
+    const navItems = page.locator('.fmbn-nav-item');
+    const itemCount = await navItems.count();
+
+    if (itemCount < 4) {
+      test.skip();
+      return;
+    }
+
+    await navItems.first().evaluate((el) => el.setAttribute('aria-disabled', 'true'));
+    await navItems.last().evaluate((el) => el.setAttribute('aria-disabled', 'true'));
+
+    await navItems.nth(1).focus();
+    await page.keyboard.press('End');
+    await expect(navItems.nth(itemCount - 2)).toBeFocused();
+
+    await page.keyboard.press('Home');
+    await expect(navItems.nth(1)).toBeFocused();
+  });
+
+  test('disabled items should be removed from the Tab sequence', async ({ page }) => {
+    const navItems = page.locator('.fmbn-nav-item');
+
+    if (await navItems.count() < 2) {
+      test.skip();
+      return;
+    }
+
+    await navItems.nth(1).evaluate((el) => el.setAttribute('aria-disabled', 'true'));
+    await expect(navItems.nth(1)).toHaveAttribute('tabindex', '-1');
+
+    await navItems.nth(1).evaluate((el) => el.removeAttribute('aria-disabled'));
+    await expect(navItems.nth(1)).not.toHaveAttribute('tabindex', /.*/);
+  });
+
+  test('clicking a disabled item should not navigate', async ({ page }) => {
+    const navItems = page.locator('.fmbn-nav-item');
+
+    if (await navItems.count() < 2) {
+      test.skip();
+      return;
+    }
+
+    const target = navItems.nth(1);
+
+    // Make sure the item does not point at the current page
+    await target.evaluate((el) => {
+      el.setAttribute('href', '/admin/fmbn-disabled-target');
+      el.classList.remove('fmbn-nav-item--active');
+      el.removeAttribute('aria-current');
+    });
+
+    await page.evaluate(() => {
+      window.__fmbnActivations = 0;
+      window.addEventListener('fmbn:activate', () => window.__fmbnActivations++);
+    });
+
+    await target.evaluate((el) => el.setAttribute('aria-disabled', 'true'));
+
+    const urlBefore = page.url();
+    await target.click({ force: true });
+    await page.waitForTimeout(300);
+
+    expect(page.url()).toBe(urlBefore);
+    expect(await page.evaluate(() => window.__fmbnActivations)).toBe(0);
+
+    // Enter on a focused disabled item is blocked too
+    await target.focus();
+    await page.keyboard.press('Enter');
+    await page.waitForTimeout(300);
+
+    expect(page.url()).toBe(urlBefore);
+  });
+
   // ===========================
   // AC5: Focus Management Tests
   // ===========================
@@ -676,4 +879,194 @@ test.describe('Keyboard Navigation - Mobile Bottom Navigation', () => {
 
     expect(isFocused).toBe(true);
   });
+
+  test('arrow keys should keep working after the items are re-rendered', async ({ page }) => {
+    const navItems = page.locator('.fmbn-nav-item');
+
+    if (await navItems.count() < 2) {
+      test.skip();
+      return;
+    }
+
+    // Simulate a Livewire morph that replaces every <li> in the bar
+    await page.evaluate(() => {
+      const list = document.querySelector('.fmbn-nav__list');
+      list.innerHTML = list.innerHTML;
+    });
+
+    // Let the MutationObserver refresh the controller
+    await page.waitForTimeout(50);
+
+    await navItems.first().focus();
+    await page.keyboard.press('ArrowRight');
+
+    await expect(navItems.nth(1)).toBeFocused();
+  });
+
+  test('re-inserting the nav should not stack keyboard controllers', async ({ page }) => {
+    const navItems = page.locator('.fmbn-nav-item');
+
+    if (await navItems.count() < 3) {
+      test.skip();
+      return;
+    }
+
+    // Simulate several wire:navigate hops that detach and re-attach the bar
+    for (let i = 0; i < 3; i++) {
+      await page.evaluate(() => {
+        const nav = document.querySelector('.fmbn-bottom-nav');
+        const parent = nav.parentNode;
+        parent.removeChild(nav);
+        parent.appendChild(nav);
+      });
+      await page.waitForTimeout(50);
+    }
+
+    await navItems.first().focus();
+    await page.keyboard.press('ArrowRight');
+
+    // Duplicate controllers would each handle the key and skip items
+    await expect(navItems.nth(1)).toBeFocused();
+  });
+
+  test('should initialize a nav inserted inside a wrapper element', async ({ page }) => {
+    if (await page.locator('.fmbn-nav-item').count() < 2) {
+      test.skip();
+      return;
+    }
+
+    // Simulate a render hook that inserts a wrapper containing the bar
+    await page.evaluate(() => {
+      const nav = document.querySelector('.fmbn-bottom-nav');
+      const wrapper = document.createElement('div');
+      wrapper.id = 'fmbn-test-wrapper';
+      wrapper.appendChild(nav.cloneNode(true));
+      nav.remove();
+      document.body.appendChild(wrapper);
+    });
+
+    await page.waitForTimeout(100);
+
+    const navItems = page.locator('#fmbn-test-wrapper .fmbn-nav-item');
+    await navItems.first().focus();
+    await page.keyboard.press('ArrowRight');
+
+    await expect(navItems.nth(1)).toBeFocused();
+  });
+
+  // ===========================
+  // AC6: Roving Tabindex (Opt-in)
+  // ===========================
+
+  /**
+   * Turn roving tabindex mode on
+   */
+  const enableRoving = (page) => replaceNav(page, { 'data-fmbn-roving-tabindex': '' });
+
+  test('roving mode should leave exactly one tab stop in the bar', async ({ page }) => {
+    const nav = page.locator('.fmbn-bottom-nav');
+
+    await enableRoving(page);
+
+    const tabindexes = await nav.locator('.fmbn-nav-item').evaluateAll((items) =>
+      items.map((item) => item.getAttribute('tabindex'))
+    );
+
+    expect(tabindexes.filter((value) => value === '0').length).toBe(1);
+    expect(tabindexes.filter((value) => value === '-1').length).toBe(tabindexes.length - 1);
+  });
+
+  test('roving mode should put the tab stop on the active item', async ({ page }) => {
+    const nav = page.locator('.fmbn-bottom-nav');
+    const activeItem = nav.locator('.fmbn-nav-item--active');
+
+    await enableRoving(page);
+
+    await expect(activeItem.first()).toHaveAttribute('tabindex', '0');
+  });
+
+  test('roving mode should move the tab stop with arrow keys', async ({ page }) => {
+    const nav = page.locator('.fmbn-bottom-nav');
+    const navItems = nav.locator('.fmbn-nav-item');
+
+    await enableRoving(page);
+
+    await navItems.first().focus();
+    await page.keyboard.press('ArrowRight');
+
+    await expect(navItems.nth(1)).toBeFocused();
+    await expect(navItems.nth(1)).toHaveAttribute('tabindex', '0');
+    await expect(navItems.first()).toHaveAttribute('tabindex', '-1');
+  });
+
+  test('roving mode should let Tab leave the bar after one stop', async ({ page }) => {
+    const nav = page.locator('.fmbn-bottom-nav');
+    const navItems = nav.locator('.fmbn-nav-item');
+
+    await enableRoving(page);
+
+    await navItems.first().focus();
+    await page.keyboard.press('Tab');
+
+    const isOutsideNav = await page.evaluate(() => {
+      const nav = document.querySelector('.fmbn-bottom-nav');
+      return !nav?.contains(document.activeElement);
+    });
+
+    expect(isOutsideNav).toBe(true);
+  });
+
+  // ===========================
+  // AC7: Global Hotkeys (Opt-in)
+  // ===========================
+
+  /**
+   * Turn the global hotkeys on, with the default bindings
+   */
+  const enableHotkeys = (page) => replaceNav(page, { 'data-fmbn-hotkeys': { enabled: true } });
+
+  test('bound items should expose aria-keyshortcuts', async ({ page }) => {
+    const boundItems = page.locator('.fmbn-nav-item[aria-keyshortcuts]');
+
+    await enableHotkeys(page);
+
+    await expect(boundItems.first()).toHaveAttribute('aria-keyshortcuts', /.+/);
+  });
+
+  test('item hotkey should activate the bound item', async ({ page }) => {
+    const boundItems = page.locator('.fmbn-nav-item[aria-keyshortcuts]');
+
+    await enableHotkeys(page);
+
+    const secondItem = boundItems.nth(1);
+    const href = await secondItem.getAttribute('href');
+    const hotkey = await secondItem.getAttribute('aria-keyshortcuts');
+
+    await page.locator('body').click({ position: { x: 5, y: 5 } });
+    await page.keyboard.press(hotkey);
+    await page.waitForLoadState('networkidle');
+
+    expect(new URL(page.url()).pathname).toBe(new URL(href, page.url()).pathname);
+  });
+
+  test('item hotkeys should be ignored while typing in a field', async ({ page }) => {
+    const boundItems = page.locator('.fmbn-nav-item[aria-keyshortcuts]');
+
+    await enableHotkeys(page);
+
+    const hotkey = await boundItems.nth(1).getAttribute('aria-keyshortcuts');
+    const urlBefore = page.url();
+
+    await page.evaluate(() => {
+      const input = document.createElement('input');
+      input.id = 'fmbn-hotkey-input';
+      document.body.prepend(input);
+    });
+
+    await page.locator('#fmbn-hotkey-input').focus();
+    await page.keyboard.press(hotkey);
+    await page.waitForTimeout(300);
+
+    expect(page.url()).toBe(urlBefore);
+  });
 });
@@ -0,0 +1,171 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Live Announcement Tests
+ *
+ * Tests verify screen reader users hear about page changes after navigating
+ * from the bar with wire:navigate, through a single polite live region.
+ */
+test.describe('Live Route-Change Announcements', () => {
+  const testUrl = 'http://localhost/admin';
+  const mobileViewport = { width: 393, height: 851 };
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto(testUrl);
+    await page.setViewportSize(mobileViewport);
+  });
+
+  /**
+   * Pick an item that leads away from the current page
+   */
+  const findOtherItem = async (page) => {
+    const navItems = page.locator('.fmbn-nav-item:not(.fmbn-nav-item--active)');
+
+    return (await navItems.count()) > 0 ? navItems.first() : null;
+  };
+
+  test('tapping an item should announce the new page', async ({ page }) => {
+    const item = await findOtherItem(page);
+
+    if (!item) {
+      test.skip();
+      return;
+    }
+
+    await item.click();
+    await page.waitForLoadState('networkidle');
+
+    const region = page.locator('[data-fmbn-live-region]');
+    await expect(region).toHaveAttribute('aria-live', 'polite');
+    await expect(region).toHaveAttribute('role', 'status');
+    await expect(region).toHaveText(/, page loaded$/);
+  });
+
+  test('keyboard activation should announce the new page', async ({ page }) => {
+    const item = await findOtherItem(page);
+
+    if (!item) {
+      test.skip();
+      return;
+    }
+
+    await item.focus();
+    await page.keyboard.press('Enter');
+    await page.waitForLoadState('networkidle');
+
+    await expect(page.locator('[data-fmbn-live-region]')).toHaveText(/, page loaded$/);
+  });
+
+  test('the announcement should use the page heading', async ({ page }) => {
+    const item = await findOtherItem(page);
+
+    if (!item) {
+      test.skip();
+      return;
+    }
+
+    await item.click();
+    await page.waitForLoadState('networkidle');
+
+    const heading = page.locator('.fi-header-heading, main h1, h1').first();
+
+    if (await heading.count() === 0) {
+      test.skip();
+      return;
+    }
+
+    const title = (await heading.innerText()).trim();
+    await expect(page.locator('[data-fmbn-live-region]')).toHaveText(`${title}, page loaded`);
+  });
+
+  test('only one live region should exist after several navigations', async ({ page }) => {
+    const navItems = page.locator('.fmbn-nav-item');
+
+    if (await navItems.count() < 2) {
+      test.skip();
+      return;
+    }
+
+    await navItems.nth(1).click();
+    await page.waitForLoadState('networkidle');
+    await page.locator('.fmbn-nav-item').first().click();
+    await page.waitForLoadState('networkidle');
+
+    await expect(page.locator('[data-fmbn-live-region]')).toHaveCount(1);
+  });
+
+  test('duplicate navigated events should not repeat the announcement', async ({ page }) => {
+    const item = await findOtherItem(page);
+
+    if (!item) {
+      test.skip();
+      return;
+    }
+
+    await item.click();
+    await page.waitForLoadState('networkidle');
+
+    const region = page.locator('[data-fmbn-live-region]');
+    await expect(region).toHaveText(/, page loaded$/);
+
+    // Record every write to the region
+    await region.evaluate((el) => {
+      window.__fmbnWrites = 0;
+      new MutationObserver(() => window.__fmbnWrites++).observe(el, { childList: true, characterData: true, subtree: true });
+    });
+
+    await page.evaluate(() => document.dispatchEvent(new CustomEvent('livewire:navigated')));
+    await page.waitForTimeout(300);
+
+    expect(await page.evaluate(() => window.__fmbnWrites)).toBe(0);
+  });
+
+  test('modifier and middle clicks should not announce a later navigation', async ({ page }) => {
+    const item = await findOtherItem(page);
+
+    if (!item) {
+      test.skip();
+      return;
+    }
+
+    // Keep the page: only the recorded state matters
+    await item.evaluate((el) => el.addEventListener('click', (event) => event.preventDefault()));
+
+    await item.click({ modifiers: ['ControlOrMeta'] });
+    await item.click({ modifiers: ['Shift'] });
+    await item.dispatchEvent('click', { button: 1 });
+
+    await page.evaluate(() => document.dispatchEvent(new CustomEvent('livewire:navigated')));
+    await page.waitForTimeout(300);
+
+    await expect(page.locator('[data-fmbn-live-region]')).toHaveCount(0);
+  });
+
+  test('a bar navigation that never finished should not be announced later', async ({ page }) => {
+    const item = await findOtherItem(page);
+
+    if (!item) {
+      test.skip();
+      return;
+    }
+
+    await item.evaluate((el) => el.addEventListener('click', (event) => event.preventDefault()));
+    await item.click();
+
+    // Another navigation starts, e.g. from a link in the page
+    await page.evaluate(() => {
+      document.dispatchEvent(new CustomEvent('livewire:navigate', { detail: { url: '/fmbn-elsewhere' } }));
+      document.dispatchEvent(new CustomEvent('livewire:navigated'));
+    });
+    await page.waitForTimeout(300);
+
+    await expect(page.locator('[data-fmbn-live-region]')).toHaveCount(0);
+  });
+
+  test('navigating from outside the bar should not announce', async ({ page }) => {
+    await page.evaluate(() => document.dispatchEvent(new CustomEvent('livewire:navigated')));
+    await page.waitForTimeout(300);
+
+    await expect(page.locator('[data-fmbn-live-region]')).toHaveCount(0);
+  });
+});
@@ -0,0 +1,177 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * "More" Overflow Tab Tests
+ *
+ * Tests verify items past the maximum tab count move to a "More" bottom
+ * sheet that is an accessible dialog: aria-expanded/aria-controls on the tab,
+ * focus kept inside, and Escape, the backdrop or a swipe down to close.
+ */
+test.describe('"More" Overflow Tab and Bottom Sheet', () => {
+  const testUrl = 'http://localhost/admin';
+  const mobileViewport = { width: 393, height: 851 };
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto(testUrl);
+    await page.setViewportSize(mobileViewport);
+  });
+
+  /**
+   * Get the "More" tab, or skip when every item fits in the bar
+   */
+  const getMoreTab = async (page) => {
+    const more = page.locator('[data-fmbn-sheet-toggle]');
+
+    if ((await more.count()) === 0) {
+      test.skip();
+    }
+
+    return more;
+  };
+
+  test('every tab should keep a 44px touch target', async ({ page }) => {
+    const sizes = await page
+      .locator('.fmbn-nav-item')
+      .evaluateAll((items) => items.map((item) => item.getBoundingClientRect()));
+
+    sizes.forEach(({ width, height }) => {
+      expect(width).toBeGreaterThanOrEqual(44);
+      expect(height).toBeGreaterThanOrEqual(44);
+    });
+  });
+
+  test('the "More" tab should control the sheet', async ({ page }) => {
+    const more = await getMoreTab(page);
+
+    await expect(more).toHaveAttribute('aria-expanded', 'false');
+    await expect(more).toHaveAttribute('aria-haspopup', 'dialog');
+
+    const sheetId = await more.getAttribute('aria-controls');
+    const sheet = page.locator(`#${sheetId}`);
+
+    await expect(sheet).toHaveAttribute('role', 'dialog');
+    await expect(sheet).toHaveAttribute('aria-modal', 'true');
+    await expect(sheet).toBeHidden();
+
+    await more.click();
+
+    await expect(more).toHaveAttribute('aria-expanded', 'true');
+    await expect(sheet).toBeVisible();
+  });
+
+  test('opening the sheet should move focus into it', async ({ page }) => {
+    const more = await getMoreTab(page);
+    await more.click();
+
+    const insideSheet = await page.evaluate(() => !!document.activeElement.closest('[data-fmbn-sheet]'));
+    expect(insideSheet).toBe(true);
+  });
+
+  test('Tab should stay inside the sheet', async ({ page }) => {
+    const more = await getMoreTab(page);
+    await more.click();
+
+    const focusableCount = await page
+      .locator('[data-fmbn-sheet] a[href], [data-fmbn-sheet] button')
+      .count();
+
+    for (let i = 0; i < focusableCount + 2; i++) {
+      await page.keyboard.press('Tab');
+
+      const insideSheet = await page.evaluate(() => !!document.activeElement.closest('[data-fmbn-sheet]'));
+      expect(insideSheet).toBe(true);
+    }
+
+    await page.keyboard.press('Shift+Tab');
+    expect(await page.evaluate(() => !!document.activeElement.closest('[data-fmbn-sheet]'))).toBe(true);
+  });
+
+  test('Escape should close the sheet and return focus to the tab', async ({ page }) => {
+    const more = await getMoreTab(page);
+    await more.click();
+    await page.keyboard.press('Escape');
+
+    await expect(page.locator('[data-fmbn-sheet]')).toBeHidden();
+    await expect(more).toHaveAttribute('aria-expanded', 'false');
+    await expect(more).toBeFocused();
+  });
+
+  test('the backdrop and close button should close the sheet', async ({ page }) => {
+    const more = await getMoreTab(page);
+    const sheet = page.locator('[data-fmbn-sheet]');
+
+    await more.click();
+    await page.locator('.fmbn-sheet__close').click();
+    await expect(sheet).toBeHidden();
+
+    await more.click();
+    await page.locator('.fmbn-sheet__backdrop').click({ position: { x: 10, y: 10 } });
+    await expect(sheet).toBeHidden();
+  });
+
+  test('swiping the sheet down should close it', async ({ page }) => {
+    const more = await getMoreTab(page);
+    await more.click();
+
+    const header = await page.locator('.fmbn-sheet__header').boundingBox();
+    const x = header.x + header.width / 2;
+    const y = header.y + 10;
+
+    await page.mouse.move(x, y);
+    await page.mouse.down();
+    await page.mouse.move(x, y + 60, { steps: 5 });
+    await page.mouse.move(x, y + 160, { steps: 5 });
+    await page.mouse.up();
+
+    await expect(page.locator('[data-fmbn-sheet]')).toBeHidden();
+  });
+
+  test('a short drag should leave the sheet open', async ({ page }) => {
+    const more = await getMoreTab(page);
+    await more.click();
+
+    const header = await page.locator('.fmbn-sheet__header').boundingBox();
+    const x = header.x + header.width / 2;
+    const y = header.y + 10;
+
+    await page.mouse.move(x, y);
+    await page.mouse.down();
+    await page.mouse.move(x, y + 10, { steps: 10 });
+    await page.waitForTimeout(200);
+    await page.mouse.up();
+
+    await expect(page.locator('[data-fmbn-sheet]')).toBeVisible();
+  });
+
+  test('the sheet should close when the viewport grows past the breakpoint', async ({ page }) => {
+    const more = await getMoreTab(page);
+    const sheet = page.locator(`#${await more.getAttribute('aria-controls')}`);
+
+    await more.click();
+    await expect(sheet).toBeVisible();
+
+    await page.setViewportSize({ width: 1280, height: 800 });
+
+    await expect(sheet).toBeHidden();
+    await expect(more).toHaveAttribute('aria-expanded', 'false');
+    expect(await page.evaluate(() => document.documentElement.style.overflow)).not.toBe('hidden');
+  });
+
+  test('sheet items should be grouped under their navigation group', async ({ page }) => {
+    await getMoreTab(page);
+
+    const groups = page.locator('.fmbn-sheet__group');
+    const count = await groups.count();
+
+    for (let i = 0; i < count; i++) {
+      const label = groups.nth(i).locator('.fmbn-sheet__group-label');
+
+      if ((await label.count()) > 0) {
+        const id = await label.getAttribute('id');
+        await expect(groups.nth(i).locator('.fmbn-sheet__list')).toHaveAttribute('aria-labelledby', id);
+      }
+    }
+
+    expect(await page.locator('.fmbn-sheet__item').count()).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,125 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * DOM CustomEvents Tests
+ *
+ * Tests verify the keyboard controller dispatches bubbling fmbn:* events
+ * from the nav element so other scripts can react to interactions.
+ */
+test.describe('Navigation DOM Events', () => {
+  const testUrl = 'http://localhost/admin';
+  const mobileViewport = { width: 393, height: 851 };
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto(testUrl);
+    await page.setViewportSize(mobileViewport);
+
+    // Record every fmbn:* event that reaches window
+    await page.evaluate(() => {
+      window.__fmbnEvents = [];
+      ['fmbn:focus-change', 'fmbn:activate', 'fmbn:destroy'].forEach((name) => {
+        window.addEventListener(name, (event) => {
+          window.__fmbnEvents.push({
+            name,
+            target: event.target.classList.contains('fmbn-bottom-nav'),
+            index: event.detail.index,
+            href: event.detail.href,
+            label: event.detail.label,
+          });
+        });
+      });
+    });
+  });
+
+  test('fmbn:focus-change should bubble with the focused index', async ({ page }) => {
+    const navItems = page.locator('.fmbn-nav-item');
+
+    if (await navItems.count() < 2) {
+      test.skip();
+      return;
+    }
+
+    await navItems.first().focus();
+    await page.keyboard.press('ArrowRight');
+
+    const events = await page.evaluate(() =>
+      window.__fmbnEvents.filter((event) => event.name === 'fmbn:focus-change')
+    );
+
+    expect(events.map((event) => event.index)).toEqual([0, 1]);
+    expect(events.every((event) => event.target)).toBe(true);
+  });
+
+  test('fmbn:activate should carry the href and label of the item', async ({ page }) => {
+    const navItems = page.locator('.fmbn-nav-item');
+
+    if (await navItems.count() === 0) {
+      test.skip();
+      return;
+    }
+
+    // Report events to the test as they fire, so they survive the navigation
+    const events = [];
+    await page.exposeFunction('__fmbnReportActivate', (detail) => events.push(detail));
+    await page.evaluate(() => {
+      document.addEventListener('fmbn:activate', (event) => {
+        window.__fmbnReportActivate({ href: event.detail.href, label: event.detail.label });
+      });
+    });
+
+    const href = await navItems.first().getAttribute('href');
+    await navItems.first().click();
+
+    await expect.poll(() => events.length).toBe(1);
+    expect(events[0].href).toBe(href);
+    expect(events[0].label).toBeTruthy();
+  });
+
+  test('Livewire.on listeners should receive fmbn:activate', async ({ page }) => {
+    const navItems = page.locator('.fmbn-nav-item[href]');
+
+    if (await navItems.count() === 0 || !(await page.evaluate(() => Boolean(window.Livewire)))) {
+      test.skip();
+      return;
+    }
+
+    // Report events to the test as they fire, so they survive the navigation
+    const received = [];
+    await page.exposeFunction('__fmbnReportLivewire', (detail) => received.push(detail));
+    await page.evaluate(() => {
+      window.Livewire.on('fmbn:activate', (detail) => {
+        window.__fmbnReportLivewire({ href: detail.href, label: detail.label });
+      });
+    });
+
+    const href = await navItems.first().getAttribute('href');
+    await navItems.first().click();
+
+    await expect.poll(() => received.length).toBe(1);
+    expect(received[0]).toMatchObject({ href });
+  });
+
+  test('fmbn:destroy should fire when the nav leaves the document', async ({ page }) => {
+    if (await page.locator('.fmbn-bottom-nav').count() === 0) {
+      test.skip();
+      return;
+    }
+
+    await page.evaluate(() => {
+      const nav = document.querySelector('.fmbn-bottom-nav');
+      // Listen on the nav itself: once detached, events no longer reach window
+      nav.addEventListener('fmbn:destroy', () => {
+        window.__fmbnEvents.push({ name: 'fmbn:destroy', target: true });
+      });
+      nav.remove();
+    });
+
+    await page.waitForTimeout(100);
+
+    const events = await page.evaluate(() =>
+      window.__fmbnEvents.filter((event) => event.name === 'fmbn:destroy')
+    );
+
+    expect(events.length).toBeGreaterThan(0);
+  });
+});
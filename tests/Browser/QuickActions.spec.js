@@ -0,0 +1,146 @@
+import { test, expect } from '@playwright/test';
+import { replaceNav } from '../utils/nav-fixture.js';
+
+/**
+ * Quick Actions Tests
+ *
+ * Tests verify a long press, right click or Shift+F10 on a tab opens its
+ * quick action menu above the tab without navigating, and that the menu is
+ * keyboard accessible and runs its actions.
+ */
+test.describe('Quick Actions', () => {
+  const testUrl = 'http://localhost/admin';
+  const mobileViewport = { width: 393, height: 851 };
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto(testUrl);
+    await page.setViewportSize(mobileViewport);
+  });
+
+  /**
+   * Give the first tab a menu, like ->quickActions() would render it
+   */
+  const addQuickActions = async (page, { delay = 300 } = {}) => {
+    await page.evaluate(() => {
+      const item = document.querySelector('.fmbn-bottom-nav .fmbn-nav-item[href]:not([data-fmbn-fab])');
+
+      document.body.insertAdjacentHTML(
+        'beforeend',
+        `<div id="fmbn-quick-actions-test" class="fmbn-menu" role="menu" aria-label="Test" data-fmbn-menu hidden>
+          <button type="button" class="fmbn-menu__item" role="menuitem" tabindex="-1" data-fmbn-event="quick-scan" data-fmbn-params='{"mode":"qr"}'>Scan</button>
+          <button type="button" class="fmbn-menu__item" role="menuitem" tabindex="-1" data-fmbn-event="quick-export">Export</button>
+        </div>`
+      );
+
+      item.setAttribute('data-fmbn-quick-actions', 'fmbn-quick-actions-test');
+    });
+
+    await replaceNav(page, { 'data-fmbn-long-press-delay': String(delay) });
+
+    return page.locator('[data-fmbn-quick-actions]');
+  };
+
+  test('holding a tab should open its menu above it without navigating', async ({ page }) => {
+    const item = await addQuickActions(page);
+    const url = page.url();
+    const box = await item.boundingBox();
+
+    await page.mouse.move(box.x + box.width / 2, box.y + box.height / 2);
+    await page.mouse.down();
+    await page.waitForTimeout(500);
+
+    const menu = page.locator('#fmbn-quick-actions-test');
+    await expect(menu).toBeVisible();
+
+    await page.mouse.up();
+    await page.waitForTimeout(300);
+
+    expect(page.url()).toBe(url);
+    await expect(menu).toBeVisible();
+
+    const menuBox = await menu.boundingBox();
+    expect(menuBox.y + menuBox.height).toBeLessThanOrEqual(box.y);
+    expect(menuBox.x).toBeGreaterThanOrEqual(0);
+    expect(menuBox.x + menuBox.width).toBeLessThanOrEqual(mobileViewport.width);
+
+    await expect(page.locator('#fmbn-quick-actions-test [role="menuitem"]').first()).toBeFocused();
+  });
+
+  test('a short press should not open the menu', async ({ page }) => {
+    const item = await addQuickActions(page, { delay: 1000 });
+
+    await item.dispatchEvent('pointerdown', { isPrimary: true, button: 0, pointerType: 'touch' });
+    await item.dispatchEvent('pointerup', { isPrimary: true, button: 0, pointerType: 'touch' });
+    await page.waitForTimeout(1200);
+
+    await expect(page.locator('#fmbn-quick-actions-test')).toBeHidden();
+  });
+
+  test('right click should open the menu', async ({ page }) => {
+    const item = await addQuickActions(page);
+
+    await item.click({ button: 'right' });
+
+    await expect(page.locator('#fmbn-quick-actions-test')).toBeVisible();
+  });
+
+  test('Shift+F10 should open the menu and arrows should move between actions', async ({ page }) => {
+    const item = await addQuickActions(page);
+    const entries = page.locator('#fmbn-quick-actions-test [role="menuitem"]');
+
+    await item.focus();
+    await page.keyboard.press('Shift+F10');
+    await expect(entries.nth(0)).toBeFocused();
+
+    await page.keyboard.press('ArrowDown');
+    await expect(entries.nth(1)).toBeFocused();
+
+    await page.keyboard.press('ArrowDown');
+    await expect(entries.nth(0)).toBeFocused();
+
+    await page.keyboard.press('End');
+    await expect(entries.nth(1)).toBeFocused();
+  });
+
+  test('Escape should close the menu and return focus to the tab', async ({ page }) => {
+    const item = await addQuickActions(page);
+
+    await item.focus();
+    await page.keyboard.press('Shift+F10');
+    await page.keyboard.press('Escape');
+
+    await expect(page.locator('#fmbn-quick-actions-test')).toBeHidden();
+    await expect(item).toBeFocused();
+  });
+
+  test('an action should run and close the menu', async ({ page }) => {
+    const item = await addQuickActions(page);
+
+    const detail = page.evaluate(
+      () =>
+        new Promise((resolve) => {
+          window.addEventListener('quick-scan', (e) => resolve(e.detail), { once: true });
+        })
+    );
+
+    await item.click({ button: 'right' });
+    await page.locator('#fmbn-quick-actions-test [role="menuitem"]').first().click();
+
+    expect(await detail).toMatchObject({ mode: 'qr' });
+    await expect(page.locator('#fmbn-quick-actions-test')).toBeHidden();
+  });
+
+  test('opening and closing should dispatch fmbn:quick-actions-change', async ({ page }) => {
+    const item = await addQuickActions(page);
+
+    await page.evaluate(() => {
+      window.quickActionChanges = [];
+      window.addEventListener('fmbn:quick-actions-change', (e) => window.quickActionChanges.push(e.detail.open));
+    });
+
+    await item.click({ button: 'right' });
+    await page.keyboard.press('Escape');
+
+    expect(await page.evaluate(() => window.quickActionChanges)).toEqual([true, false]);
+  });
+});
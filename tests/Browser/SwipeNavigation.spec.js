@@ -0,0 +1,170 @@
+import { test, expect } from '@playwright/test';
+import { replaceNav } from '../utils/nav-fixture.js';
+
+/**
+ * Swipe Navigation Tests
+ *
+ * Tests verify the opt-in swipeNavigation mode moves to the neighboring tab
+ * on horizontal touch swipes, mirrors in RTL, and leaves vertical scrolls,
+ * short drags, scrollable regions and [data-fmbn-no-swipe] alone.
+ */
+test.describe('Swipe Navigation', () => {
+  const testUrl = 'http://localhost/admin';
+  const mobileViewport = { width: 393, height: 851 };
+
+  /**
+   * Turn the mode on and record activations instead of navigating
+   */
+  const enableSwipe = async (page, options = { enabled: true }) => {
+    await page.evaluate(() => {
+      window.swipes = [];
+      window.addEventListener('fmbn:activate', (e) => {
+        window.swipes.push({ index: e.detail.index, source: e.detail.source });
+      });
+
+      if (window.Livewire) {
+        window.Livewire.navigate = () => {};
+      }
+    });
+
+    await replaceNav(page, { 'data-fmbn-swipe-navigation': options });
+  };
+
+  /**
+   * Swipe with a touch pointer over `target` (a selector), in steps
+   */
+  const swipe = (page, { dx = 0, dy = 0, duration = 200, target = 'main', pointerType = 'touch' } = {}) =>
+    page.evaluate(
+      async ({ dx, dy, duration, target, pointerType }) => {
+        const element = document.querySelector(target) || document.body;
+        const rect = element.getBoundingClientRect();
+        const x = rect.left + rect.width / 2;
+        const y = rect.top + Math.min(rect.height / 2, 200);
+        const steps = 10;
+
+        const fire = (type, clientX, clientY) =>
+          element.dispatchEvent(
+            new PointerEvent(type, { bubbles: true, pointerId: 7, isPrimary: true, pointerType, clientX, clientY })
+          );
+
+        fire('pointerdown', x, y);
+
+        for (let i = 1; i <= steps; i++) {
+          await new Promise((resolve) => setTimeout(resolve, duration / steps));
+          fire('pointermove', x + (dx * i) / steps, y + (dy * i) / steps);
+        }
+
+        fire('pointerup', x + dx, y + dy);
+      },
+      { dx, dy, duration, target, pointerType }
+    );
+
+  const getSwipes = (page) => page.evaluate(() => window.swipes);
+
+  /**
+   * Index of the active tab
+   */
+  const getActiveIndex = (page) =>
+    page.evaluate(() =>
+      Array.from(document.querySelectorAll('.fmbn-bottom-nav .fmbn-nav-item')).findIndex((item) =>
+        item.classList.contains('fmbn-nav-item--active')
+      )
+    );
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto(testUrl);
+    await page.setViewportSize(mobileViewport);
+  });
+
+  test('swipes should do nothing unless the mode is enabled', async ({ page }) => {
+    await page.evaluate(() => {
+      window.swipes = [];
+      window.addEventListener('fmbn:activate', (e) => window.swipes.push(e.detail.source));
+    });
+
+    await swipe(page, { dx: -200 });
+
+    expect(await getSwipes(page)).toEqual([]);
+    expect(await page.evaluate(() => document.documentElement.hasAttribute('data-fmbn-swipe'))).toBe(false);
+  });
+
+  test('swiping left should open the tab on the right', async ({ page }) => {
+    await enableSwipe(page);
+    const activeIndex = await getActiveIndex(page);
+
+    await swipe(page, { dx: -200 });
+
+    const swipes = await getSwipes(page);
+    expect(swipes).toHaveLength(1);
+    expect(swipes[0].source).toBe('swipe');
+    expect(swipes[0].index).toBeGreaterThan(activeIndex);
+  });
+
+  test('swiping right from the first tab should do nothing', async ({ page }) => {
+    await enableSwipe(page);
+    test.skip((await getActiveIndex(page)) !== 0, 'The first tab is not active');
+
+    await swipe(page, { dx: 200 });
+
+    expect(await getSwipes(page)).toEqual([]);
+  });
+
+  test('swipes should mirror in RTL', async ({ page }) => {
+    await page.evaluate(() => document.documentElement.setAttribute('dir', 'rtl'));
+    await enableSwipe(page);
+    const activeIndex = await getActiveIndex(page);
+
+    // Swiping right in RTL moves forward
+    await swipe(page, { dx: 200 });
+
+    const swipes = await getSwipes(page);
+    expect(swipes).toHaveLength(1);
+    expect(swipes[0].index).toBeGreaterThan(activeIndex);
+  });
+
+  test('vertical scrolls, short drags and mouse drags should be ignored', async ({ page }) => {
+    await enableSwipe(page);
+
+    await swipe(page, { dx: -60, dy: -200 });
+    await swipe(page, { dx: -30, duration: 600 });
+    await swipe(page, { dx: -200, pointerType: 'mouse' });
+
+    expect(await getSwipes(page)).toEqual([]);
+  });
+
+  test('a quick flick should count as a swipe', async ({ page }) => {
+    await enableSwipe(page);
+
+    await swipe(page, { dx: -40, duration: 40 });
+
+    expect(await getSwipes(page)).toHaveLength(1);
+  });
+
+  test('swipes in horizontally scrollable regions and opted-out elements should be ignored', async ({ page }) => {
+    await page.evaluate(() => {
+      const scroller = document.createElement('div');
+      scroller.id = 'scroller';
+      scroller.style.cssText = 'overflow-x: auto; width: 300px; height: 100px;';
+      scroller.innerHTML = '<div style="width: 1200px; height: 100px;"></div>';
+
+      const optedOut = document.createElement('div');
+      optedOut.id = 'opted-out';
+      optedOut.setAttribute('data-fmbn-no-swipe', '');
+      optedOut.style.cssText = 'width: 300px; height: 100px;';
+
+      document.querySelector('main, body').prepend(scroller, optedOut);
+    });
+    await enableSwipe(page);
+
+    await swipe(page, { dx: -200, target: '#scroller > div' });
+    await swipe(page, { dx: -200, target: '#opted-out' });
+
+    expect(await getSwipes(page)).toEqual([]);
+  });
+
+  test('the page should only pan vertically while enabled', async ({ page }) => {
+    await enableSwipe(page);
+
+    expect(await page.evaluate(() => getComputedStyle(document.body).touchAction)).toBe('pan-y pinch-zoom');
+  });
+});
@@ -0,0 +1,124 @@
+import { test, expect } from '@playwright/test';
+import { replaceNav } from '../utils/nav-fixture.js';
+
+/**
+ * On-screen Keyboard Tests
+ *
+ * Tests verify the bar hides while the on-screen keyboard is open and comes
+ * back when focus leaves the text fields. Desktop browsers have no on-screen
+ * keyboard, so the visual viewport shrinking is simulated.
+ */
+test.describe('Hide With On-screen Keyboard', () => {
+  const testUrl = 'http://localhost/admin';
+  const mobileViewport = { width: 393, height: 851 };
+
+  test.beforeEach(async ({ page }) => {
+    // Replace visualViewport before the bar's script runs, so its height can
+    // be changed like a keyboard opening would
+    await page.addInitScript(() => {
+      const viewport = new EventTarget();
+      viewport.height = window.innerHeight;
+      viewport.scale = 1;
+
+      Object.defineProperty(window, 'visualViewport', { configurable: true, get: () => viewport });
+
+      window.setKeyboardHeight = (height) => {
+        viewport.height = window.innerHeight - height;
+        viewport.dispatchEvent(new Event('resize'));
+      };
+    });
+
+    await page.goto(testUrl);
+    await page.setViewportSize(mobileViewport);
+
+    // Controllers attach on the next frame
+    await page.evaluate(() => new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve))));
+
+    await page.evaluate(() => {
+      const field = document.createElement('input');
+      field.type = 'text';
+      field.id = 'fmbn-test-field';
+      document.querySelector('main, body').prepend(field);
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.id = 'fmbn-test-checkbox';
+      document.querySelector('main, body').prepend(checkbox);
+    });
+  });
+
+  test('the bar should hide while the keyboard is open', async ({ page }) => {
+    const nav = page.locator('.fmbn-bottom-nav');
+
+    await page.locator('#fmbn-test-field').focus();
+    await page.evaluate(() => window.setKeyboardHeight(320));
+
+    await expect(nav).toHaveAttribute('data-fmbn-keyboard-open', '');
+    await expect(nav).toBeHidden();
+  });
+
+  test('the bar should come back when focus leaves the text field', async ({ page }) => {
+    const nav = page.locator('.fmbn-bottom-nav');
+
+    await page.locator('#fmbn-test-field').focus();
+    await page.evaluate(() => window.setKeyboardHeight(320));
+    await expect(nav).toHaveAttribute('data-fmbn-keyboard-open', '');
+
+    await page.locator('#fmbn-test-checkbox').focus();
+
+    await expect(nav).not.toHaveAttribute('data-fmbn-keyboard-open');
+    await expect(nav).toBeVisible();
+  });
+
+  test('the bar should come back when the keyboard closes', async ({ page }) => {
+    const nav = page.locator('.fmbn-bottom-nav');
+
+    await page.locator('#fmbn-test-field').focus();
+    await page.evaluate(() => window.setKeyboardHeight(320));
+    await page.evaluate(() => window.setKeyboardHeight(0));
+
+    await expect(nav).not.toHaveAttribute('data-fmbn-keyboard-open');
+  });
+
+  test('a small viewport change without a focused field should not hide the bar', async ({ page }) => {
+    await page.evaluate(() => window.setKeyboardHeight(320));
+    await expect(page.locator('.fmbn-bottom-nav')).not.toHaveAttribute('data-fmbn-keyboard-open');
+
+    // Collapsing browser toolbars take less than a keyboard
+    await page.locator('#fmbn-test-field').focus();
+    await page.evaluate(() => window.setKeyboardHeight(60));
+    await expect(page.locator('.fmbn-bottom-nav')).not.toHaveAttribute('data-fmbn-keyboard-open');
+  });
+
+  test('the bar should report why it was hidden', async ({ page }) => {
+    await page.evaluate(() => {
+      window.visibilityChanges = [];
+      window.addEventListener('fmbn:visibility-change', (e) => window.visibilityChanges.push(e.detail));
+    });
+
+    await page.locator('#fmbn-test-field').focus();
+    await page.evaluate(() => window.setKeyboardHeight(320));
+    await page.locator('#fmbn-test-checkbox').focus();
+
+    expect(await page.evaluate(() => window.visibilityChanges)).toEqual([
+      { hidden: true, reason: 'keyboard' },
+      { hidden: false, reason: 'keyboard' },
+    ]);
+  });
+
+  test('a nav carrying the keyboard flag should not warn about an unknown option', async ({ page }) => {
+    const warnings = [];
+    page.on('console', (message) => {
+      if (message.type() === 'warning') warnings.push(message.text());
+    });
+
+    await page.locator('#fmbn-test-field').focus();
+    await page.evaluate(() => window.setKeyboardHeight(320));
+    await expect(page.locator('.fmbn-bottom-nav')).toHaveAttribute('data-fmbn-keyboard-open', '');
+
+    // A copy of the nav, e.g. from a morph, gets a new controller
+    await replaceNav(page);
+
+    expect(warnings.filter((text) => text.includes('keyboardOpen'))).toEqual([]);
+  });
+});
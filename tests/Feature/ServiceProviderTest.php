@@ -2,6 +2,7 @@
 
 namespace Jenilutfifauzi\FilamentMobileBottomNavigation\Tests\Feature;
 
+use Filament\Support\Facades\FilamentAsset;
 use Illuminate\Support\Facades\File;
 use Jenilutfifauzi\FilamentMobileBottomNavigation\Components\MobileBottomNavigation;
 use Jenilutfifauzi\FilamentMobileBottomNavigation\FilamentMobileBottomNavigationServiceProvider;
@@ -138,4 +139,23 @@ class ServiceProviderTest extends TestCase
         // Should not throw an exception
         $this->assertNotNull($provider);
     }
+
+    /** @test */
+    public function hotkeys_are_disabled_by_default()
+    {
+        $this->assertFalse(config('filament-mobile-bottom-navigation.hotkeys.enabled'));
+        $this->assertSame('Alt+1', config('filament-mobile-bottom-navigation.hotkeys.items.0'));
+    }
+
+    /** @test */
+    public function hotkeys_are_exposed_through_script_data()
+    {
+        $scriptData = FilamentAsset::getScriptData();
+
+        $this->assertArrayHasKey('filamentMobileBottomNavigation', $scriptData);
+        $this->assertSame(
+            config('filament-mobile-bottom-navigation.hotkeys'),
+            $scriptData['filamentMobileBottomNavigation']['defaults']['hotkeys']
+        );
+    }
 }
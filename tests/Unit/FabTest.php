@@ -0,0 +1,76 @@
+<?php
+
+namespace Jenilutfifauzi\FilamentMobileBottomNavigation\Tests\Unit;
+
+use Filament\Panel;
+use Jenilutfifauzi\FilamentMobileBottomNavigation\FilamentMobileBottomNavigation;
+use Jenilutfifauzi\FilamentMobileBottomNavigation\FilamentMobileBottomNavigationPlugin;
+use Jenilutfifauzi\FilamentMobileBottomNavigation\Tests\TestCase;
+
+/**
+ * Center Action Button Tests
+ *
+ * Tests verify the FAB resolves from the panel's plugin or the config file,
+ * gets a default label and icon, and needs exactly one target
+ */
+class FabTest extends TestCase
+{
+    protected function panelWithFab(mixed $fab): Panel
+    {
+        return Panel::make()
+            ->id('admin')
+            ->plugin(FilamentMobileBottomNavigationPlugin::make()->fab($fab));
+    }
+
+    /** @test */
+    public function there_is_no_fab_by_default()
+    {
+        $this->assertNull(app(FilamentMobileBottomNavigation::class)->getFab(Panel::make()->id('admin')));
+    }
+
+    /** @test */
+    public function fab_gets_a_default_label_and_icon()
+    {
+        $fab = app(FilamentMobileBottomNavigation::class)->getFab($this->panelWithFab(['url' => '/admin/orders/create']));
+
+        $this->assertSame('/admin/orders/create', $fab['url']);
+        $this->assertSame('heroicon-o-plus', $fab['icon']);
+        $this->assertSame('Create', $fab['label']);
+        $this->assertNull($fab['action']);
+        $this->assertSame([], $fab['params']);
+    }
+
+    /** @test */
+    public function fab_can_mount_an_action_with_params()
+    {
+        $fab = app(FilamentMobileBottomNavigation::class)->getFab($this->panelWithFab(fn (): array => [
+            'label' => 'New post',
+            'action' => 'create',
+            'params' => ['draft' => true],
+        ]));
+
+        $this->assertSame('New post', $fab['label']);
+        $this->assertSame('create', $fab['action']);
+        $this->assertSame(['draft' => true], $fab['params']);
+    }
+
+    /** @test */
+    public function fab_needs_exactly_one_target()
+    {
+        $navigation = app(FilamentMobileBottomNavigation::class);
+
+        $this->assertNull($navigation->getFab($this->panelWithFab(['label' => 'Nothing'])));
+        $this->assertNull($navigation->getFab($this->panelWithFab(['url' => '/admin', 'event' => 'open-scanner'])));
+    }
+
+    /** @test */
+    public function fab_defaults_to_the_config_value_and_can_be_removed_per_panel()
+    {
+        config()->set('filament-mobile-bottom-navigation.fab', ['event' => 'open-scanner']);
+
+        $navigation = app(FilamentMobileBottomNavigation::class);
+
+        $this->assertSame('open-scanner', $navigation->getFab(Panel::make()->id('admin'))['event']);
+        $this->assertNull($navigation->getFab($this->panelWithFab(false)));
+    }
+}
@@ -3,6 +3,7 @@
 namespace Jenilutfifauzi\FilamentMobileBottomNavigation\Tests\Unit;
 
 use Filament\Navigation\NavigationItem;
+use Jenilutfifauzi\FilamentMobileBottomNavigation\FilamentMobileBottomNavigation;
 use Jenilutfifauzi\FilamentMobileBottomNavigation\Tests\TestCase;
 
 /**
@@ -228,4 +229,27 @@ class NavigationItemTest extends TestCase
             $updatedItem->getBadge()
         );
     }
+
+    /** @test */
+    public function item_key_comes_from_the_resource_or_page_slug()
+    {
+        $item = NavigationItem::make('Bestellungen')
+            ->url('/admin/orders');
+
+        $key = app(FilamentMobileBottomNavigation::class)
+            ->getItemKey($item, ['/admin/orders' => 'orders']);
+
+        $this->assertEquals('orders', $key);
+    }
+
+    /** @test */
+    public function item_key_falls_back_to_the_slugged_label()
+    {
+        $item = NavigationItem::make('Order Queue')
+            ->url('https://example.com/queue');
+
+        $key = app(FilamentMobileBottomNavigation::class)->getItemKey($item, []);
+
+        $this->assertEquals('order-queue', $key);
+    }
 }
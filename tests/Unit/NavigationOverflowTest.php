@@ -0,0 +1,175 @@
+<?php
+
+namespace Jenilutfifauzi\FilamentMobileBottomNavigation\Tests\Unit;
+
+use Filament\Navigation\NavigationGroup;
+use Filament\Navigation\NavigationItem;
+use Filament\Panel;
+use Jenilutfifauzi\FilamentMobileBottomNavigation\FilamentMobileBottomNavigation;
+use Jenilutfifauzi\FilamentMobileBottomNavigation\FilamentMobileBottomNavigationPlugin;
+use Jenilutfifauzi\FilamentMobileBottomNavigation\Tests\TestCase;
+
+/**
+ * Navigation Overflow Tests
+ *
+ * Tests verify items past the maximum tab count move to the "More" sheet,
+ * grouped by their navigation group, and that navigation groups can show as
+ * one tab each
+ */
+class NavigationOverflowTest extends TestCase
+{
+    /**
+     * @return array<NavigationGroup>
+     */
+    protected function navigation(): array
+    {
+        return [
+            NavigationGroup::make()->items([
+                NavigationItem::make('Dashboard')->url('/admin'),
+            ]),
+            NavigationGroup::make('Shop')->items([
+                NavigationItem::make('Orders')->url('/admin/orders'),
+                NavigationItem::make('Products')->url('/admin/products'),
+                NavigationItem::make('Customers')->url('/admin/customers'),
+            ]),
+            NavigationGroup::make('Blog')->items([
+                NavigationItem::make('Posts')->url('/admin/posts'),
+                NavigationItem::make('Authors')->url('/admin/authors'),
+            ]),
+        ];
+    }
+
+    /** @test */
+    public function all_items_are_tabs_when_they_fit()
+    {
+        $split = app(FilamentMobileBottomNavigation::class)->splitNavigation($this->navigation(), 6);
+
+        $this->assertCount(6, $split['tabs']);
+        $this->assertTrue($split['overflow']->isEmpty());
+    }
+
+    /** @test */
+    public function items_past_the_maximum_move_to_the_overflow()
+    {
+        $split = app(FilamentMobileBottomNavigation::class)->splitNavigation($this->navigation(), 4);
+
+        // Three tabs, the fourth slot is the "More" tab
+        $this->assertSame(
+            ['Dashboard', 'Orders', 'Products'],
+            $split['tabs']->map(fn (NavigationItem $item): string => $item->getLabel())->all()
+        );
+    }
+
+    /** @test */
+    public function overflow_is_grouped_by_navigation_group_in_order()
+    {
+        $split = app(FilamentMobileBottomNavigation::class)->splitNavigation($this->navigation(), 4);
+
+        $this->assertSame(['Shop', 'Blog'], $split['overflow']->pluck('label')->all());
+        $this->assertSame(
+            ['Customers'],
+            $split['overflow'][0]['items']->map(fn (NavigationItem $item): string => $item->getLabel())->all()
+        );
+        $this->assertCount(2, $split['overflow'][1]['items']);
+    }
+
+    /** @test */
+    public function ungrouped_overflow_items_have_no_label()
+    {
+        $navigation = [
+            NavigationItem::make('One')->url('/one'),
+            NavigationItem::make('Two')->url('/two'),
+            NavigationItem::make('Three')->url('/three'),
+        ];
+
+        $split = app(FilamentMobileBottomNavigation::class)->splitNavigation($navigation, 2);
+
+        $this->assertCount(1, $split['tabs']);
+        $this->assertNull($split['overflow'][0]['label']);
+        $this->assertCount(2, $split['overflow'][0]['items']);
+    }
+
+    /** @test */
+    public function zero_shows_every_item()
+    {
+        $split = app(FilamentMobileBottomNavigation::class)->splitNavigation($this->navigation(), 0);
+
+        $this->assertCount(6, $split['tabs']);
+        $this->assertTrue($split['overflow']->isEmpty());
+    }
+
+    /** @test */
+    public function max_items_defaults_to_the_config_value()
+    {
+        config()->set('filament-mobile-bottom-navigation.max_items', 4);
+
+        $panel = Panel::make()->id('admin');
+
+        $this->assertSame(4, app(FilamentMobileBottomNavigation::class)->getMaxItems($panel));
+    }
+
+    /** @test */
+    public function max_items_can_be_set_per_panel()
+    {
+        $panel = Panel::make()
+            ->id('admin')
+            ->plugin(FilamentMobileBottomNavigationPlugin::make()->maxItems(3));
+
+        $this->assertSame(3, app(FilamentMobileBottomNavigation::class)->getMaxItems($panel));
+    }
+
+    /** @test */
+    public function labeled_groups_become_one_tab_each()
+    {
+        $split = app(FilamentMobileBottomNavigation::class)->splitNavigation($this->navigation(), 5, groupTabs: true);
+
+        $this->assertCount(3, $split['tabs']);
+        $this->assertInstanceOf(NavigationItem::class, $split['tabs'][0]);
+        $this->assertInstanceOf(NavigationGroup::class, $split['tabs'][1]);
+        $this->assertSame('Shop', $split['tabs'][1]->getLabel());
+        $this->assertTrue($split['overflow']->isEmpty());
+    }
+
+    /** @test */
+    public function overflowed_group_tabs_list_their_items_in_the_more_sheet()
+    {
+        $split = app(FilamentMobileBottomNavigation::class)->splitNavigation($this->navigation(), 2, groupTabs: true);
+
+        $this->assertCount(1, $split['tabs']);
+        $this->assertSame(['Shop', 'Blog'], $split['overflow']->pluck('label')->all());
+        $this->assertCount(3, $split['overflow'][0]['items']);
+    }
+
+    /** @test */
+    public function group_tabs_use_the_first_item_icon_without_a_group_icon()
+    {
+        $navigation = app(FilamentMobileBottomNavigation::class);
+
+        $this->assertSame(
+            'heroicon-o-shopping-bag',
+            $navigation->getGroupIcon(NavigationGroup::make('Shop')->items([
+                NavigationItem::make('Orders')->url('/admin/orders')->icon('heroicon-o-shopping-bag'),
+            ]))
+        );
+
+        $this->assertSame(
+            'heroicon-o-newspaper',
+            $navigation->getGroupIcon(NavigationGroup::make('Blog')->icon('heroicon-o-newspaper')->items([
+                NavigationItem::make('Posts')->url('/admin/posts'),
+            ]))
+        );
+    }
+
+    /** @test */
+    public function group_tabs_can_be_set_per_panel()
+    {
+        config()->set('filament-mobile-bottom-navigation.group_tabs', false);
+
+        $panel = Panel::make()
+            ->id('admin')
+            ->plugin(FilamentMobileBottomNavigationPlugin::make()->groupTabs());
+
+        $this->assertTrue(app(FilamentMobileBottomNavigation::class)->shouldGroupTabs($panel));
+        $this->assertFalse(app(FilamentMobileBottomNavigation::class)->shouldGroupTabs(Panel::make()->id('other')));
+    }
+}
@@ -0,0 +1,82 @@
+<?php
+
+namespace Jenilutfifauzi\FilamentMobileBottomNavigation\Tests\Unit;
+
+use Filament\Panel;
+use Jenilutfifauzi\FilamentMobileBottomNavigation\FilamentMobileBottomNavigation;
+use Jenilutfifauzi\FilamentMobileBottomNavigation\FilamentMobileBottomNavigationPlugin;
+use Jenilutfifauzi\FilamentMobileBottomNavigation\Tests\TestCase;
+
+/**
+ * Quick Actions Tests
+ *
+ * Tests verify quick actions resolve per item key from the panel's plugin or
+ * the config file, and that actions without a label or a single target are
+ * skipped
+ */
+class QuickActionsTest extends TestCase
+{
+    protected function panelWithQuickActions(mixed $quickActions): Panel
+    {
+        return Panel::make()
+            ->id('admin')
+            ->plugin(FilamentMobileBottomNavigationPlugin::make()->quickActions($quickActions));
+    }
+
+    /** @test */
+    public function there_are_no_quick_actions_by_default()
+    {
+        $this->assertSame([], app(FilamentMobileBottomNavigation::class)->getQuickActions(Panel::make()->id('admin')));
+    }
+
+    /** @test */
+    public function quick_actions_are_indexed_by_item_key()
+    {
+        $quickActions = app(FilamentMobileBottomNavigation::class)->getQuickActions($this->panelWithQuickActions(fn (): array => [
+            'orders' => [
+                ['label' => 'New order', 'icon' => 'heroicon-o-plus', 'url' => '/admin/orders/create'],
+                ['label' => 'Export', 'action' => 'export', 'params' => ['format' => 'csv']],
+            ],
+        ]));
+
+        $this->assertSame(['orders'], array_keys($quickActions));
+        $this->assertSame('/admin/orders/create', $quickActions['orders'][0]['url']);
+        $this->assertSame('heroicon-o-plus', $quickActions['orders'][0]['icon']);
+        $this->assertSame('export', $quickActions['orders'][1]['action']);
+        $this->assertNull($quickActions['orders'][1]['icon']);
+        $this->assertSame(['format' => 'csv'], $quickActions['orders'][1]['params']);
+    }
+
+    /** @test */
+    public function quick_actions_without_a_label_or_a_single_target_are_skipped()
+    {
+        $quickActions = app(FilamentMobileBottomNavigation::class)->getQuickActions($this->panelWithQuickActions([
+            'orders' => [
+                ['url' => '/admin/orders/create'],
+                ['label' => 'Nothing'],
+                ['label' => 'Both', 'url' => '/admin', 'event' => 'open-scanner'],
+                ['label' => 'Scan', 'event' => 'open-scanner'],
+            ],
+            'customers' => [
+                ['label' => 'Nothing'],
+            ],
+        ]));
+
+        $this->assertSame(['orders'], array_keys($quickActions));
+        $this->assertCount(1, $quickActions['orders']);
+        $this->assertSame('Scan', $quickActions['orders'][0]['label']);
+    }
+
+    /** @test */
+    public function quick_actions_default_to_the_config_value()
+    {
+        config()->set('filament-mobile-bottom-navigation.quick_actions', [
+            'orders' => [['label' => 'Scan', 'event' => 'open-scanner']],
+        ]);
+
+        $navigation = app(FilamentMobileBottomNavigation::class);
+
+        $this->assertSame('open-scanner', $navigation->getQuickActions(Panel::make()->id('admin'))['orders'][0]['event']);
+        $this->assertSame([], $navigation->getQuickActions($this->panelWithQuickActions([])));
+    }
+}
@@ -0,0 +1,341 @@
+<?php
+
+namespace Jenilutfifauzi\FilamentMobileBottomNavigation\Tests\Unit;
+
+use Filament\Panel;
+use Jenilutfifauzi\FilamentMobileBottomNavigation\FilamentMobileBottomNavigation;
+use Jenilutfifauzi\FilamentMobileBottomNavigation\FilamentMobileBottomNavigationPlugin;
+use Jenilutfifauzi\FilamentMobileBottomNavigation\Tests\TestCase;
+
+/**
+ * Script Options Bridge Tests
+ *
+ * Tests verify config defaults and plugin settings are merged per panel
+ * before being serialized for the JS bundle
+ */
+class ScriptOptionsTest extends TestCase
+{
+    /** @test */
+    public function defaults_are_read_from_config_with_camel_case_keys()
+    {
+        config()->set('filament-mobile-bottom-navigation.roving_tabindex', true);
+
+        $options = app(FilamentMobileBottomNavigation::class)->getDefaultScriptOptions();
+
+        $this->assertTrue($options['rovingTabindex']);
+        $this->assertArrayHasKey('wrapAround', $options);
+        $this->assertArrayHasKey('hotkeys', $options);
+    }
+
+    /** @test */
+    public function panel_without_plugin_uses_config_defaults()
+    {
+        $navigation = app(FilamentMobileBottomNavigation::class);
+        $panel = Panel::make()->id('admin');
+
+        $this->assertSame(
+            $navigation->getDefaultScriptOptions(),
+            $navigation->getPanelScriptOptions($panel)
+        );
+    }
+
+    /** @test */
+    public function plugin_settings_override_config_defaults()
+    {
+        $panel = Panel::make()
+            ->id('admin')
+            ->plugin(
+                FilamentMobileBottomNavigationPlugin::make()
+                    ->rovingTabindex()
+                    ->wrapAround(false)
+            );
+
+        $options = app(FilamentMobileBottomNavigation::class)->getPanelScriptOptions($panel);
+
+        $this->assertTrue($options['rovingTabindex']);
+        $this->assertFalse($options['wrapAround']);
+    }
+
+    /** @test */
+    public function active_sync_is_enabled_by_default_and_can_be_turned_off()
+    {
+        $navigation = app(FilamentMobileBottomNavigation::class);
+
+        $this->assertTrue($navigation->getDefaultScriptOptions()['activeSync']);
+
+        $panel = Panel::make()
+            ->id('admin')
+            ->plugin(FilamentMobileBottomNavigationPlugin::make()->activeSync(false));
+
+        $this->assertFalse($navigation->getPanelScriptOptions($panel)['activeSync']);
+    }
+
+    /** @test */
+    public function announcement_template_defaults_to_the_translation()
+    {
+        $options = app(FilamentMobileBottomNavigation::class)->getDefaultScriptOptions();
+
+        $this->assertSame(':title, page loaded', $options['announcements']['template']);
+        $this->assertTrue($options['announcements']['enabled']);
+    }
+
+    /** @test */
+    public function announcement_template_follows_the_current_locale()
+    {
+        app('translator')->addLines(
+            ['mobile-bottom-navigation.announcements.page_loaded' => ':title, halaman dimuat'],
+            'id',
+            'filament-mobile-bottom-navigation'
+        );
+
+        app()->setLocale('id');
+
+        $options = app(FilamentMobileBottomNavigation::class)->getDefaultScriptOptions();
+
+        $this->assertSame(':title, halaman dimuat', $options['announcements']['template']);
+    }
+
+    /** @test */
+    public function plugin_announcement_template_overrides_the_translation()
+    {
+        $panel = Panel::make()
+            ->id('admin')
+            ->plugin(
+                FilamentMobileBottomNavigationPlugin::make()
+                    ->announcements(['template' => ':title is ready'])
+            );
+
+        $options = app(FilamentMobileBottomNavigation::class)->getPanelScriptOptions($panel);
+
+        $this->assertSame(':title is ready', $options['announcements']['template']);
+        $this->assertTrue($options['announcements']['enabled']);
+        $this->assertSame(1000, $options['announcements']['throttle']);
+    }
+
+    /** @test */
+    public function focus_management_is_opt_in_and_keeps_config_targets()
+    {
+        $navigation = app(FilamentMobileBottomNavigation::class);
+
+        $this->assertFalse($navigation->getDefaultScriptOptions()['focusMainContent']['enabled']);
+
+        $panel = Panel::make()
+            ->id('admin')
+            ->plugin(FilamentMobileBottomNavigationPlugin::make()->focusMainContent());
+
+        $options = $navigation->getPanelScriptOptions($panel);
+
+        $this->assertTrue($options['focusMainContent']['enabled']);
+        $this->assertSame(['.fi-header-heading', 'main h1', 'h1', 'main'], $options['focusMainContent']['targets']);
+    }
+
+    /** @test */
+    public function badge_polling_endpoints_can_be_set_with_a_closure()
+    {
+        $panel = Panel::make()
+            ->id('admin')
+            ->plugin(
+                FilamentMobileBottomNavigationPlugin::make()
+                    ->badgePolling(fn (): array => [
+                        'items' => ['orders' => '/admin/orders/count'],
+                    ])
+            );
+
+        $options = app(FilamentMobileBottomNavigation::class)->getPanelScriptOptions($panel);
+
+        $this->assertTrue($options['badgePolling']['enabled']);
+        $this->assertSame(['orders' => '/admin/orders/count'], $options['badgePolling']['items']);
+        $this->assertSame(30000, $options['badgePolling']['interval']);
+    }
+
+    /** @test */
+    public function cross_tab_sync_can_be_turned_off_per_panel()
+    {
+        $navigation = app(FilamentMobileBottomNavigation::class);
+
+        $this->assertTrue($navigation->getDefaultScriptOptions()['crossTabSync']);
+
+        $panel = Panel::make()
+            ->id('admin')
+            ->plugin(FilamentMobileBottomNavigationPlugin::make()->crossTabSync(false));
+
+        $this->assertFalse($navigation->getPanelScriptOptions($panel)['crossTabSync']);
+    }
+
+    /** @test */
+    public function badge_description_defaults_to_the_plural_translations()
+    {
+        $options = app(FilamentMobileBottomNavigation::class)->getDefaultScriptOptions();
+
+        $this->assertSame(99, $options['badges']['max']);
+        $this->assertSame(
+            ['one' => ':count notification', 'other' => ':count notifications'],
+            $options['badges']['description']
+        );
+    }
+
+    /** @test */
+    public function badge_settings_do_not_get_an_enabled_flag()
+    {
+        $panel = Panel::make()
+            ->id('admin')
+            ->plugin(FilamentMobileBottomNavigationPlugin::make()->badges(['dot' => true]));
+
+        $options = app(FilamentMobileBottomNavigation::class)->getPanelScriptOptions($panel);
+
+        $this->assertTrue($options['badges']['dot']);
+        $this->assertSame(99, $options['badges']['max']);
+        $this->assertArrayNotHasKey('enabled', $options['badges']);
+    }
+
+    /** @test */
+    public function hide_on_scroll_is_disabled_by_default()
+    {
+        $options = app(FilamentMobileBottomNavigation::class)->getDefaultScriptOptions();
+
+        $this->assertFalse($options['hideOnScroll']['enabled']);
+        $this->assertSame(48, $options['hideOnScroll']['threshold']);
+    }
+
+    /** @test */
+    public function hide_on_scroll_settings_enable_it_and_keep_config_thresholds()
+    {
+        $panel = Panel::make()
+            ->id('admin')
+            ->plugin(FilamentMobileBottomNavigationPlugin::make()->hideOnScroll(['threshold' => 96]));
+
+        $options = app(FilamentMobileBottomNavigation::class)->getPanelScriptOptions($panel);
+
+        $this->assertTrue($options['hideOnScroll']['enabled']);
+        $this->assertSame(96, $options['hideOnScroll']['threshold']);
+        $this->assertSame(80, $options['hideOnScroll']['bottom']);
+    }
+
+    /** @test */
+    public function hide_with_keyboard_is_enabled_by_default_and_can_be_turned_off()
+    {
+        $this->assertTrue(app(FilamentMobileBottomNavigation::class)->getDefaultScriptOptions()['hideWithKeyboard']);
+
+        $panel = Panel::make()
+            ->id('admin')
+            ->plugin(FilamentMobileBottomNavigationPlugin::make()->hideWithKeyboard(false));
+
+        $options = app(FilamentMobileBottomNavigation::class)->getPanelScriptOptions($panel);
+
+        $this->assertFalse($options['hideWithKeyboard']);
+    }
+
+    /** @test */
+    public function swipe_navigation_is_opt_in_and_keeps_config_thresholds()
+    {
+        $this->assertFalse(app(FilamentMobileBottomNavigation::class)->getDefaultScriptOptions()['swipeNavigation']['enabled']);
+
+        $panel = Panel::make()
+            ->id('admin')
+            ->plugin(FilamentMobileBottomNavigationPlugin::make()->swipeNavigation(['distance' => 120]));
+
+        $options = app(FilamentMobileBottomNavigation::class)->getPanelScriptOptions($panel);
+
+        $this->assertTrue($options['swipeNavigation']['enabled']);
+        $this->assertSame(120, $options['swipeNavigation']['distance']);
+        $this->assertSame(0.5, $options['swipeNavigation']['velocity']);
+    }
+
+    /** @test */
+    public function breakpoint_defaults_to_768_and_can_be_set_per_panel()
+    {
+        $navigation = app(FilamentMobileBottomNavigation::class);
+
+        $this->assertSame(768, $navigation->getDefaultScriptOptions()['breakpoint']);
+        $this->assertSame(768, $navigation->getBreakpoint(null));
+
+        $panel = Panel::make()
+            ->id('admin')
+            ->plugin(FilamentMobileBottomNavigationPlugin::make()->breakpoint(1024));
+
+        $this->assertSame(1024, $navigation->getPanelScriptOptions($panel)['breakpoint']);
+        $this->assertSame(1024, $navigation->getBreakpoint($panel));
+    }
+
+    /** @test */
+    public function breakpoint_of_the_wrong_type_is_dropped()
+    {
+        $plugin = FilamentMobileBottomNavigationPlugin::make()->scriptOptions([
+            'breakpoint' => '1024px',
+        ]);
+
+        $this->assertSame([], $plugin->getScriptOptions());
+    }
+
+    /** @test */
+    public function long_press_delay_defaults_to_the_config_value()
+    {
+        $this->assertSame(500, app(FilamentMobileBottomNavigation::class)->getDefaultScriptOptions()['longPressDelay']);
+
+        $panel = Panel::make()
+            ->id('admin')
+            ->plugin(FilamentMobileBottomNavigationPlugin::make()->longPressDelay(400));
+
+        $options = app(FilamentMobileBottomNavigation::class)->getPanelScriptOptions($panel);
+
+        $this->assertSame(400, $options['longPressDelay']);
+    }
+
+    /** @test */
+    public function active_indicator_is_opt_in_and_accepts_a_style()
+    {
+        $this->assertFalse(app(FilamentMobileBottomNavigation::class)->getDefaultScriptOptions()['activeIndicator']['enabled']);
+
+        $panel = Panel::make()
+            ->id('admin')
+            ->plugin(FilamentMobileBottomNavigationPlugin::make()->activeIndicator('underline'));
+
+        $options = app(FilamentMobileBottomNavigation::class)->getPanelScriptOptions($panel);
+
+        $this->assertTrue($options['activeIndicator']['enabled']);
+        $this->assertSame('underline', $options['activeIndicator']['style']);
+    }
+
+    /** @test */
+    public function hotkey_overrides_are_merged_with_config_bindings()
+    {
+        $panel = Panel::make()
+            ->id('admin')
+            ->plugin(FilamentMobileBottomNavigationPlugin::make()->hotkeys(['focus' => 'Alt+N']));
+
+        $hotkeys = app(FilamentMobileBottomNavigation::class)->getPanelScriptOptions($panel)['hotkeys'];
+
+        $this->assertTrue($hotkeys['enabled']);
+        $this->assertSame('Alt+N', $hotkeys['focus']);
+        $this->assertSame(config('filament-mobile-bottom-navigation.hotkeys.items'), $hotkeys['items']);
+    }
+
+    /** @test */
+    public function closures_are_evaluated()
+    {
+        $plugin = FilamentMobileBottomNavigationPlugin::make()->typeahead(fn (): bool => false);
+
+        $this->assertSame(['typeahead' => false], $plugin->getScriptOptions());
+    }
+
+    /** @test */
+    public function unknown_script_options_are_ignored()
+    {
+        $plugin = FilamentMobileBottomNavigationPlugin::make()->scriptOptions([
+            'wrapAround' => false,
+            'doesNotExist' => true,
+        ]);
+
+        $this->assertSame(['wrapAround' => false], $plugin->getScriptOptions());
+    }
+
+    /** @test */
+    public function options_with_the_wrong_type_are_dropped()
+    {
+        $plugin = FilamentMobileBottomNavigationPlugin::make()->scriptOptions([
+            'typeahead' => 'yes',
+        ]);
+
+        $this->assertSame([], $plugin->getScriptOptions());
+    }
+}
@@ -0,0 +1,34 @@
+/**
+ * Navigation Fixture Helpers
+ *
+ * Controllers read their data-fmbn-* attributes once, when they attach. To
+ * try other options, a test replaces the bar with a copy carrying the new
+ * attributes, and a fresh controller attaches to the copy.
+ */
+
+/**
+ * Replace the bar with a copy carrying extra attributes
+ *
+ * Changes made to the bar before the call (e.g. marking an item) are kept in
+ * the copy.
+ *
+ * @param {import('@playwright/test').Page} page
+ * @param {Object} attributes Attribute name to value; values that are not
+ *   strings are stored as JSON (e.g. { 'data-fmbn-hide-on-scroll': { enabled: true } })
+ * @returns {Promise<void>} Resolves once the new controller is attached
+ */
+export async function replaceNav(page, attributes = {}) {
+  await page.evaluate((attributes) => {
+    const nav = document.querySelector('.fmbn-bottom-nav');
+    const copy = nav.cloneNode(true);
+
+    Object.entries(attributes).forEach(([name, value]) => {
+      copy.setAttribute(name, typeof value === 'string' ? value : JSON.stringify(value));
+    });
+
+    nav.replaceWith(copy);
+  }, attributes);
+
+  // Controllers attach on the next frame
+  await page.evaluate(() => new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve))));
+}